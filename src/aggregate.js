@@ -0,0 +1,744 @@
+import { proofCost, summarizeCosts } from './costs.js';
+
+// Aggregators turn archived event records (see archive.js) into the summary
+// structures written to data/*-stats-*.json. Each one accepts records one at a
+// time so the same code serves a full rebuild and incremental updates.
+
+// Exit delay in seconds (14 days), used when the rollup contract's own
+// configuration couldn't be read
+export const DEFAULT_EXIT_DELAY_SECONDS = 14 * 24 * 60 * 60;
+
+// proofCosts: { txHash: cost } of the proof submissions (see costs.js). When
+// given, every proof gets a `cost` (null until its receipt is fetched) and the
+// provers and summary get cost totals. Costs are looked up when summarizing,
+// so receipts fetched after the proofs were added are included.
+export function createProofAggregator({ proofCosts = null } = {}) {
+  const proverStats = {};
+  const proofsPerTx = new Map();
+  let totalProofs = 0;
+
+  return {
+    add(record) {
+      const proverId = record.args.proverId;
+
+      if (!proverStats[proverId]) {
+        proverStats[proverId] = {
+          address: proverId,
+          proofCount: 0,
+          blocks: []
+        };
+      }
+
+      proverStats[proverId].proofCount++;
+      proverStats[proverId].blocks.push({
+        blockNumber: record.args.blockNumber,
+        txHash: record.txHash,
+        ethBlockNumber: record.ethBlockNumber,
+        logIndex: record.logIndex,
+        timestamp: record.timestamp,
+        rollupVersion: record.rollupVersion
+      });
+
+      proofsPerTx.set(record.txHash, (proofsPerTx.get(record.txHash) || 0) + 1);
+      totalProofs++;
+    },
+
+    summarize() {
+      // Sort provers by proof count (descending)
+      const sortedProvers = Object.values(proverStats).sort((a, b) => b.proofCount - a.proofCount);
+      const summary = {
+        totalProofs,
+        uniqueProvers: Object.keys(proverStats).length
+      };
+
+      if (!proofCosts) {
+        return { summary, provers: sortedProvers };
+      }
+
+      const provers = sortedProvers.map(prover => {
+        const blocks = prover.blocks.map(block => {
+          const cost = proofCosts[block.txHash];
+          return { ...block, cost: cost ? proofCost(cost, proofsPerTx.get(block.txHash)) : null };
+        });
+        return { ...prover, blocks, costs: summarizeCosts(blocks.map(b => b.cost)) };
+      });
+      summary.costs = summarizeCosts(provers.flatMap(p => p.blocks.map(b => b.cost)));
+
+      return { summary, provers };
+    }
+  };
+}
+
+const byPosition = (a, b) => a.ethBlockNumber - b.ethBlockNumber || a.logIndex - b.logIndex;
+
+export function averageOf(values) {
+  return values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+}
+
+export function medianOf(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// Resolve each proposal against the archived proofs of its rollup version.
+// L2ProofVerified carries the last L2 block of the proven epoch, so a proposal
+// of block N is proven by the first proof with a block number of at least N
+// that lands after it. A proposal that is followed by another proposal of the
+// same or a lower block number before being proven was pruned from the chain
+// and will never be proven. Returns a Map of proposal to { status, proof }.
+function resolveProposals(proposals, proofs) {
+  const byVersion = new Map();
+  const versionOf = record => {
+    const version = record.rollupVersion ?? null;
+    if (!byVersion.has(version)) {
+      byVersion.set(version, []);
+    }
+    return byVersion.get(version);
+  };
+  for (const proposal of proposals) {
+    versionOf(proposal).push({ proposal, ethBlockNumber: proposal.ethBlockNumber, logIndex: proposal.logIndex });
+  }
+  for (const proof of proofs) {
+    versionOf(proof).push({ proof, ethBlockNumber: proof.ethBlockNumber, logIndex: proof.logIndex });
+  }
+
+  const resolved = new Map();
+  for (const entries of byVersion.values()) {
+    // Unproven proposals by block number, lowest first
+    let pending = [];
+    for (const entry of entries.sort(byPosition)) {
+      if (entry.proposal) {
+        const blockNumber = Number(entry.proposal.blockNumber);
+        for (const pruned of pending.filter(p => Number(p.blockNumber) >= blockNumber)) {
+          resolved.set(pruned, { status: 'pruned', proof: null });
+        }
+        pending = pending.filter(p => Number(p.blockNumber) < blockNumber);
+        pending.push(entry.proposal);
+      } else {
+        const provenUpTo = Number(entry.proof.args.blockNumber);
+        while (pending.length > 0 && Number(pending[0].blockNumber) <= provenUpTo) {
+          resolved.set(pending.shift(), { status: 'proven', proof: entry.proof });
+        }
+      }
+    }
+    for (const proposal of pending) {
+      resolved.set(proposal, { status: 'pending', proof: null });
+    }
+  }
+  return resolved;
+}
+
+// Block proposals per proposer, joined with the archived proofs (proofs: the
+// L2ProofVerified records of the proofs archive) to tell which proposed blocks
+// were proven and how long that took. The event doesn't name the proposer, so
+// records carry the sender of the proposing transaction (see indexer.js).
+export function createProposerAggregator({ proofs = [] } = {}) {
+  const proposerStats = {};
+  const proposals = [];
+
+  return {
+    add(record) {
+      const proposer = record.sender;
+
+      if (!proposerStats[proposer]) {
+        proposerStats[proposer] = {
+          address: proposer,
+          blocks: []
+        };
+      }
+
+      const proposal = {
+        blockNumber: record.args.blockNumber,
+        archive: record.args.archive,
+        txHash: record.txHash,
+        ethBlockNumber: record.ethBlockNumber,
+        logIndex: record.logIndex,
+        timestamp: record.timestamp,
+        rollupVersion: record.rollupVersion
+      };
+      proposerStats[proposer].blocks.push(proposal);
+      proposals.push(proposal);
+    },
+
+    // Proposals are only resolved here, so the same aggregator can be
+    // summarized again as blocks come in
+    summarize() {
+      const resolved = resolveProposals(proposals, proofs);
+      const allProvingTimes = [];
+      const totals = { proven: 0, pending: 0, pruned: 0 };
+
+      const sortedProposers = Object.values(proposerStats)
+        .map(({ address, blocks }) => {
+          const counts = { proven: 0, pending: 0, pruned: 0 };
+          const provingTimes = [];
+
+          const resolvedBlocks = blocks.map(block => {
+            const { status, proof } = resolved.get(block);
+            counts[status]++;
+            totals[status]++;
+
+            const provingSeconds = proof && proof.timestamp !== undefined && block.timestamp !== undefined
+              ? proof.timestamp - block.timestamp
+              : null;
+            if (provingSeconds !== null) {
+              provingTimes.push(provingSeconds);
+              allProvingTimes.push(provingSeconds);
+            }
+
+            return {
+              ...block,
+              status,
+              proof: proof && {
+                blockNumber: proof.args.blockNumber,
+                prover: proof.args.proverId,
+                txHash: proof.txHash,
+                ethBlockNumber: proof.ethBlockNumber,
+                timestamp: proof.timestamp
+              },
+              provingSeconds,
+              provingL1Blocks: proof ? proof.ethBlockNumber - block.ethBlockNumber : null
+            };
+          });
+
+          return {
+            address,
+            blockCount: blocks.length,
+            provenCount: counts.proven,
+            pendingCount: counts.pending,
+            prunedCount: counts.pruned,
+            averageProvingSeconds: averageOf(provingTimes),
+            medianProvingSeconds: medianOf(provingTimes),
+            blocks: resolvedBlocks
+          };
+        })
+        // Sort proposers by block count (descending)
+        .sort((a, b) => b.blockCount - a.blockCount);
+
+      return {
+        summary: {
+          totalBlocks: proposals.length,
+          uniqueProposers: sortedProposers.length,
+          provenBlocks: totals.proven,
+          pendingBlocks: totals.pending,
+          prunedBlocks: totals.pruned,
+          averageProvingSeconds: averageOf(allProvingTimes),
+          medianProvingSeconds: medianOf(allProvingTimes)
+        },
+        proposers: sortedProposers
+      };
+    }
+  };
+}
+
+export function createSlashAggregator() {
+  const attesterStats = {};
+  let totalSlashes = 0;
+  let totalAmountSlashed = 0n;
+
+  return {
+    add(record) {
+      const attester = record.args.attester;
+      const amount = BigInt(record.args.amount);
+
+      if (!attesterStats[attester]) {
+        attesterStats[attester] = {
+          address: attester,
+          slashCount: 0,
+          totalAmountSlashed: 0n,
+          slashes: []
+        };
+      }
+
+      attesterStats[attester].slashCount++;
+      attesterStats[attester].totalAmountSlashed += amount;
+      attesterStats[attester].slashes.push({
+        amount: amount.toString(),
+        txHash: record.txHash,
+        ethBlockNumber: record.ethBlockNumber,
+        timestamp: record.timestamp
+      });
+
+      totalSlashes++;
+      totalAmountSlashed += amount;
+    },
+
+    summarize() {
+      // Sort attesters by slash count (descending)
+      const sortedAttesters = Object.values(attesterStats)
+        .map(a => ({
+          ...a,
+          totalAmountSlashed: a.totalAmountSlashed.toString()
+        }))
+        .sort((a, b) => b.slashCount - a.slashCount);
+
+      return {
+        summary: {
+          totalSlashes,
+          totalAmountSlashed: totalAmountSlashed.toString(),
+          uniqueAttesters: Object.keys(attesterStats).length
+        },
+        attesters: sortedAttesters
+      };
+    }
+  };
+}
+
+// Withdrawal status at the given time, and how long it has left to wait or
+// how long it took to finalize
+function withdrawalStatus(withdrawal, now) {
+  if (withdrawal.finalization) {
+    return {
+      status: 'finalized',
+      secondsUntilFinalizable: 0,
+      timeToFinalize: withdrawal.finalization.timestamp - withdrawal.timestamp
+    };
+  }
+  return {
+    status: now >= withdrawal.exitableAt ? 'finalizable' : 'pending',
+    secondsUntilFinalizable: Math.max(withdrawal.exitableAt - now, 0),
+    timeToFinalize: null
+  };
+}
+
+// Each WithdrawFinalized is matched to an open WithdrawInitiated of the same
+// attester, recipient and amount. When several match, the oldest one is taken
+// and the match is flagged as ambiguous. When none match exactly but the
+// attester has a single open withdrawal to that recipient (the amount can
+// change while exiting, e.g. through slashing), that one is taken and flagged
+// as an amount mismatch. Anything else is kept as an unmatched finalization,
+// typically for a withdrawal initiated before the scanned range. Withdrawals
+// are only matched within the rollup version they were initiated on, and
+// exitDelays (by lowercase rollup address) gives each version its own delay.
+export function createExitAggregator({ exitDelaySeconds = DEFAULT_EXIT_DELAY_SECONDS, exitDelays = {} } = {}) {
+  const attesterStats = {};
+  const unmatchedFinalized = [];
+  let ambiguousMatches = 0;
+  let amountMismatches = 0;
+
+  function getAttester(attester) {
+    if (!attesterStats[attester]) {
+      attesterStats[attester] = {
+        address: attester,
+        initiatedCount: 0,
+        finalizedCount: 0,
+        totalInitiatedAmount: 0n,
+        totalFinalizedAmount: 0n,
+        initiated: [],
+        finalized: []
+      };
+    }
+    return attesterStats[attester];
+  }
+
+  function matchWithdrawal(stats, rollupVersion, recipient, amount) {
+    const open = stats.initiated.filter(w =>
+      !w.finalization && w.rollupVersion === rollupVersion && w.recipient.toLowerCase() === recipient.toLowerCase()
+    );
+    const exact = open.filter(w => w.amount === amount);
+
+    if (exact.length === 1) {
+      return { withdrawal: exact[0], match: 'exact' };
+    } else if (exact.length > 1) {
+      ambiguousMatches++;
+      return { withdrawal: exact[0], match: 'ambiguous' };
+    } else if (open.length === 1) {
+      amountMismatches++;
+      return { withdrawal: open[0], match: 'amountMismatch' };
+    }
+    return null;
+  }
+
+  return {
+    add(record) {
+      const { attester, recipient } = record.args;
+      const amount = BigInt(record.args.amount);
+      const stats = getAttester(attester);
+
+      if (record.event === 'WithdrawInitiated') {
+        stats.initiatedCount++;
+        stats.totalInitiatedAmount += amount;
+        stats.initiated.push({
+          recipient,
+          amount: amount.toString(),
+          txHash: record.txHash,
+          ethBlockNumber: record.ethBlockNumber,
+          timestamp: record.timestamp,
+          rollupVersion: record.rollupVersion,
+          exitableAt: record.timestamp + (exitDelays[record.rollupAddress?.toLowerCase()] ?? exitDelaySeconds),
+          finalization: null
+        });
+      } else if (record.event === 'WithdrawFinalized') {
+        const finalized = {
+          recipient,
+          amount: amount.toString(),
+          txHash: record.txHash,
+          ethBlockNumber: record.ethBlockNumber,
+          timestamp: record.timestamp,
+          rollupVersion: record.rollupVersion,
+          match: null
+        };
+        const matched = matchWithdrawal(stats, record.rollupVersion, recipient, finalized.amount);
+
+        if (matched) {
+          finalized.match = matched.match;
+          finalized.initiatedTxHash = matched.withdrawal.txHash;
+          matched.withdrawal.finalization = {
+            amount: finalized.amount,
+            txHash: record.txHash,
+            ethBlockNumber: record.ethBlockNumber,
+            timestamp: record.timestamp,
+            match: matched.match
+          };
+        } else {
+          unmatchedFinalized.push({ attester, ...finalized });
+        }
+
+        stats.finalizedCount++;
+        stats.totalFinalizedAmount += amount;
+        stats.finalized.push(finalized);
+      }
+    },
+
+    // Statuses depend on the wall clock, so they are only resolved here
+    summarize(now = Math.floor(Date.now() / 1000)) {
+      let totalInitiated = 0;
+      let totalFinalized = 0;
+      let pendingCanFinalize = 0;
+      let pendingCannotFinalize = 0;
+      const pendingExits = [];
+
+      const sortedAttesters = Object.values(attesterStats)
+        .map(attester => {
+          totalInitiated += attester.initiatedCount;
+          totalFinalized += attester.finalizedCount;
+
+          const initiated = attester.initiated.map(w => ({
+            ...w,
+            ...withdrawalStatus(w, now),
+            canFinalize: !w.finalization && now >= w.exitableAt
+          }));
+
+          for (const withdrawal of initiated.filter(w => w.status !== 'finalized')) {
+            if (withdrawal.canFinalize) {
+              pendingCanFinalize++;
+            } else {
+              pendingCannotFinalize++;
+            }
+            const { finalization, timeToFinalize, ...exit } = withdrawal;
+            pendingExits.push({ attester: attester.address, ...exit });
+          }
+
+          return {
+            ...attester,
+            pendingCount: initiated.filter(w => w.status !== 'finalized').length,
+            totalInitiatedAmount: attester.totalInitiatedAmount.toString(),
+            totalFinalizedAmount: attester.totalFinalizedAmount.toString(),
+            initiated,
+            finalized: [...attester.finalized]
+          };
+        })
+        // Sort attesters by initiated count (descending)
+        .sort((a, b) => b.initiatedCount - a.initiatedCount);
+
+      // Sort pending exits by exitableAt
+      pendingExits.sort((a, b) => a.exitableAt - b.exitableAt);
+
+      return {
+        currentTimestamp: now,
+        exitDelaySeconds,
+        summary: {
+          totalInitiated,
+          totalFinalized,
+          totalPending: pendingExits.length,
+          pendingCanFinalize,
+          pendingCannotFinalize,
+          unmatchedFinalized: unmatchedFinalized.length,
+          ambiguousMatches,
+          amountMismatches,
+          uniqueAttesters: Object.keys(attesterStats).length
+        },
+        pendingExits,
+        unmatchedFinalized: [...unmatchedFinalized],
+        attesters: sortedAttesters
+      };
+    }
+  };
+}
+
+// Sort order of staking entries, largest stake first
+export function byStake(a, b) {
+  const difference = BigInt(b.stake) - BigInt(a.stake);
+  return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+}
+
+// Change in stake of each staking event
+const STAKE_CHANGES = {
+  Deposit: 1n,
+  Slashed: -1n,
+  WithdrawInitiated: -1n
+};
+
+// Balance sheet of each attester: the stake after every Deposit, Slashed and
+// WithdrawInitiated, replayed in chain order. An attester whose first event
+// in the scanned range isn't a deposit staked before it, so their stake can't
+// be known and they are reported as incomplete instead of being compared
+// with the minimum. minimumStake (base units, as a string) is the threshold
+// below which an attester is flagged; belowMinimumSince is the event that
+// took them under it, which tells a slash from a partial withdrawal.
+export function createStakingAggregator({ minimumStake = null } = {}) {
+  const minimum = minimumStake === null || minimumStake === undefined ? null : BigInt(minimumStake);
+  const attesterEvents = {};
+
+  return {
+    add(record) {
+      const attester = record.args.attester;
+      if (!attesterEvents[attester]) {
+        attesterEvents[attester] = [];
+      }
+      attesterEvents[attester].push(record);
+    },
+
+    summarize() {
+      const totals = { deposits: 0, slashes: 0, withdrawals: 0, deposited: 0n, slashed: 0n, withdrawn: 0n, stake: 0n };
+      const statusCounts = { active: 0, belowMinimum: 0, withdrawn: 0, incomplete: 0 };
+      let slashedBelowMinimum = 0;
+
+      const attesters = Object.entries(attesterEvents).map(([address, records]) => {
+        const sorted = [...records].sort(byPosition);
+        const depositBeforeRange = sorted[0].event !== 'Deposit';
+        const attester = {
+          address,
+          proposer: null,
+          withdrawer: null,
+          stake: 0n,
+          totalDeposited: 0n,
+          totalSlashed: 0n,
+          totalWithdrawn: 0n,
+          depositCount: 0,
+          slashCount: 0,
+          withdrawalCount: 0,
+          depositBeforeRange,
+          belowMinimumSince: null,
+          history: []
+        };
+
+        for (const record of sorted) {
+          const amount = BigInt(record.args.amount);
+          const wasAboveMinimum = minimum === null || attester.stake >= minimum;
+          attester.stake += STAKE_CHANGES[record.event] * amount;
+
+          if (record.event === 'Deposit') {
+            attester.proposer = record.args.proposer;
+            attester.withdrawer = record.args.withdrawer;
+            attester.totalDeposited += amount;
+            attester.depositCount++;
+          } else if (record.event === 'Slashed') {
+            attester.totalSlashed += amount;
+            attester.slashCount++;
+          } else {
+            attester.totalWithdrawn += amount;
+            attester.withdrawalCount++;
+          }
+
+          if (!depositBeforeRange && minimum !== null) {
+            if (attester.stake >= minimum) {
+              attester.belowMinimumSince = null;
+            } else if (wasAboveMinimum) {
+              attester.belowMinimumSince = {
+                event: record.event,
+                amount: amount.toString(),
+                txHash: record.txHash,
+                ethBlockNumber: record.ethBlockNumber,
+                timestamp: record.timestamp
+              };
+            }
+          }
+
+          attester.history.push({
+            event: record.event,
+            amount: amount.toString(),
+            stake: attester.stake.toString(),
+            txHash: record.txHash,
+            ethBlockNumber: record.ethBlockNumber,
+            logIndex: record.logIndex,
+            timestamp: record.timestamp,
+            rollupVersion: record.rollupVersion
+          });
+        }
+
+        let status;
+        if (depositBeforeRange) {
+          status = 'incomplete';
+        } else if (attester.withdrawalCount > 0 && attester.stake <= 0n) {
+          status = 'withdrawn';
+        } else if (minimum !== null && attester.stake < minimum) {
+          status = 'belowMinimum';
+        } else {
+          status = 'active';
+        }
+        statusCounts[status]++;
+        if (status === 'belowMinimum' && attester.belowMinimumSince?.event === 'Slashed') {
+          slashedBelowMinimum++;
+        }
+
+        totals.deposits += attester.depositCount;
+        totals.slashes += attester.slashCount;
+        totals.withdrawals += attester.withdrawalCount;
+        totals.deposited += attester.totalDeposited;
+        totals.slashed += attester.totalSlashed;
+        totals.withdrawn += attester.totalWithdrawn;
+        if (!depositBeforeRange) {
+          totals.stake += attester.stake;
+        }
+
+        return {
+          ...attester,
+          status,
+          stake: attester.stake.toString(),
+          totalDeposited: attester.totalDeposited.toString(),
+          totalSlashed: attester.totalSlashed.toString(),
+          totalWithdrawn: attester.totalWithdrawn.toString()
+        };
+      });
+
+      attesters.sort(byStake);
+
+      return {
+        minimumStake: minimum === null ? null : minimum.toString(),
+        summary: {
+          totalDeposits: totals.deposits,
+          totalSlashes: totals.slashes,
+          totalWithdrawals: totals.withdrawals,
+          totalDeposited: totals.deposited.toString(),
+          totalSlashed: totals.slashed.toString(),
+          totalWithdrawn: totals.withdrawn.toString(),
+          totalStake: totals.stake.toString(),
+          uniqueAttesters: attesters.length,
+          activeAttesters: statusCounts.active,
+          belowMinimum: statusCounts.belowMinimum,
+          slashedBelowMinimum,
+          withdrawnAttesters: statusCounts.withdrawn,
+          incompleteAttesters: statusCounts.incomplete
+        },
+        attesters
+      };
+    }
+  };
+}
+
+const AGGREGATORS = {
+  proofs: createProofAggregator,
+  proposals: createProposerAggregator,
+  slash: createSlashAggregator,
+  exit: createExitAggregator,
+  staking: createStakingAggregator
+};
+
+// Per-version stats keep the summary and a leaderboard; the detailed lists are
+// only in the combined stats
+function compactSummary(mode, stats) {
+  if (mode === 'exit') {
+    return {
+      summary: stats.summary,
+      attesters: stats.attesters.map(a => ({
+        address: a.address,
+        initiatedCount: a.initiatedCount,
+        finalizedCount: a.finalizedCount,
+        pendingCount: a.pendingCount,
+        totalInitiatedAmount: a.totalInitiatedAmount,
+        totalFinalizedAmount: a.totalFinalizedAmount
+      }))
+    };
+  } else if (mode === 'proposals') {
+    return {
+      summary: stats.summary,
+      proposers: stats.proposers.map(({ address, blockCount, provenCount, pendingCount, prunedCount, averageProvingSeconds }) => ({
+        address,
+        blockCount,
+        provenCount,
+        pendingCount,
+        prunedCount,
+        averageProvingSeconds
+      }))
+    };
+  } else if (mode === 'slash') {
+    return {
+      summary: stats.summary,
+      attesters: stats.attesters.map(({ address, slashCount, totalAmountSlashed }) => ({ address, slashCount, totalAmountSlashed }))
+    };
+  } else if (mode === 'staking') {
+    return {
+      summary: stats.summary,
+      attesters: stats.attesters.map(({ address, stake, totalDeposited, totalSlashed, totalWithdrawn, status }) => ({
+        address,
+        stake,
+        totalDeposited,
+        totalSlashed,
+        totalWithdrawn,
+        status
+      }))
+    };
+  }
+  return {
+    summary: stats.summary,
+    provers: stats.provers.map(({ address, proofCount, costs }) => ({ address, proofCount, ...(costs && { costs }) }))
+  };
+}
+
+// Combined stats over all rollup versions, with a `versions` list of the stats
+// of each version (in the order their first event was seen). Events archived
+// before versions were tracked are grouped under version null.
+function createVersionedAggregator(mode, options) {
+  const combined = AGGREGATORS[mode](options);
+  const byVersion = new Map();
+
+  return {
+    add(record) {
+      combined.add(record);
+
+      const version = record.rollupVersion ?? null;
+      if (!byVersion.has(version)) {
+        byVersion.set(version, { rollupAddress: record.rollupAddress ?? null, aggregator: AGGREGATORS[mode](options) });
+      }
+      byVersion.get(version).aggregator.add(record);
+    },
+
+    summarize(now) {
+      const stats = combined.summarize(now);
+      stats.versions = [...byVersion].map(([version, { rollupAddress, aggregator }]) => ({
+        version,
+        rollupAddress,
+        ...compactSummary(mode, aggregator.summarize(now))
+      }));
+      return stats;
+    }
+  };
+}
+
+// Aggregator options recorded on a mode's checkpoint at scan time
+export function aggregatorOptions(checkpoint) {
+  return {
+    exitDelaySeconds: checkpoint?.exitDelaySeconds,
+    exitDelays: checkpoint?.exitDelays,
+    minimumStake: checkpoint?.minimumStake
+  };
+}
+
+// options are passed to the mode's aggregator (proofCosts for proofs,
+// exitDelaySeconds and exitDelays for exits, the archived proofs for
+// proposals, minimumStake for staking)
+export function createAggregator(mode, options = {}) {
+  return createVersionedAggregator(mode, options);
+}
+
+export function aggregateEvents(mode, records, options = {}) {
+  const aggregator = createAggregator(mode, options);
+  for (const record of records) {
+    aggregator.add(record);
+  }
+  return aggregator.summarize();
+}
@@ -0,0 +1,365 @@
+import fs from 'fs';
+import path from 'path';
+import { exec } from 'child_process';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { NETWORK, interpolate } from './network.js';
+import { describeError } from './scanner.js';
+import { createLabels } from './labels.js';
+import { formatTokenAmount } from './token.js';
+
+// Alert rules evaluated against the stats of each indexer run. Alerts are
+// delivered to every configured notifier (a webhook or a shell command) and
+// remembered in data/alerts-state.json so each one is only sent once. An alert
+// that stops firing is forgotten, so it is sent again if it comes back (e.g. a
+// prover whose share recovers and then drops again).
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ALERTS_FILE = process.env.ALERTS_FILE
+  ? path.resolve(process.env.ALERTS_FILE)
+  : path.join(__dirname, '..', 'alerts.json');
+
+const DATA_DIR = NETWORK.dataDir;
+const ALERTS_STATE_FILE = path.join(DATA_DIR, 'alerts-state.json');
+
+const NOTIFY_TIMEOUT_MS = 10000;
+const COMMAND_TIMEOUT_MS = 30000;
+
+// Discord rejects messages longer than this
+const DISCORD_MAX_LENGTH = 2000;
+
+function formatHours(seconds) {
+  const hours = seconds / 3600;
+  return hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+}
+
+function inScope(scope, address) {
+  return !scope || scope.has(address.toLowerCase());
+}
+
+// Prover has submitted no proofs for `hours`. Keyed by the last proof so a
+// prover going quiet again after recovering is alerted again.
+function proverInactive(rule, data, scope, now, { formatAddress }) {
+  const alerts = [];
+  const seen = new Set();
+
+  for (const prover of data.provers) {
+    seen.add(prover.address.toLowerCase());
+    if (!inScope(scope, prover.address)) {
+      continue;
+    }
+    const last = prover.blocks
+      .filter(b => b.timestamp !== undefined)
+      .reduce((latest, b) => (!latest || b.timestamp > latest.timestamp ? b : latest), null);
+    if (last && now - last.timestamp >= rule.hours * 3600) {
+      alerts.push({
+        key: `proverInactive:${prover.address.toLowerCase()}:${last.txHash}`,
+        address: prover.address,
+        lastProofAt: last.timestamp,
+        message: `Prover ${formatAddress(prover.address)} has submitted no proofs for ${formatHours(now - last.timestamp)} (last at L1 block ${last.ethBlockNumber})`
+      });
+    }
+  }
+
+  // Watched provers that never submitted a proof in the indexed range
+  for (const address of scope || []) {
+    if (!seen.has(address)) {
+      alerts.push({
+        key: `proverInactive:${address}:none`,
+        address,
+        lastProofAt: null,
+        message: `Prover ${formatAddress(address)} has not submitted any proofs in the indexed blocks`
+      });
+    }
+  }
+
+  return alerts;
+}
+
+// Prover's share of the proofs submitted in the last `hours` (default 24) is
+// below `percent`. Without addresses, only provers with proofs in that window
+// are checked.
+function proverShareBelow(rule, data, scope, now, { formatAddress }) {
+  const hours = rule.hours ?? 24;
+  const since = now - hours * 3600;
+  const counts = new Map();
+  let total = 0;
+
+  for (const prover of data.provers) {
+    const count = prover.blocks.filter(b => b.timestamp !== undefined && b.timestamp >= since).length;
+    counts.set(prover.address.toLowerCase(), { address: prover.address, count });
+    total += count;
+  }
+
+  if (total === 0) {
+    return [];
+  }
+
+  const candidates = scope
+    ? [...scope].map(address => counts.get(address) || { address, count: 0 })
+    : [...counts.values()].filter(c => c.count > 0);
+
+  return candidates
+    .filter(({ count }) => (count / total) * 100 < rule.percent)
+    .map(({ address, count }) => ({
+      key: `proverShareBelow:${address.toLowerCase()}:${rule.percent}`,
+      address,
+      share: count / total,
+      message: `Prover ${formatAddress(address)} submitted ${((count / total) * 100).toFixed(2)}% of proofs in the last ${hours}h (${count} of ${total}), below ${rule.percent}%`
+    }));
+}
+
+// Slashes of the last `maxAgeHours` (default 24), so a first run doesn't
+// report the whole history
+function slash(rule, data, scope, now, { formatAddress }) {
+  const since = now - (rule.maxAgeHours ?? 24) * 3600;
+
+  return data.attesters
+    .filter(attester => inScope(scope, attester.address))
+    .flatMap(attester => attester.slashes
+      .filter(s => s.timestamp !== undefined && s.timestamp >= since)
+      .map(s => ({
+        key: `slash:${attester.address.toLowerCase()}:${s.txHash}:${s.amount}`,
+        address: attester.address,
+        amount: s.amount,
+        txHash: s.txHash,
+        message: `Attester ${formatAddress(attester.address)} was slashed ${formatTokenAmount(s.amount, data.token)} at L1 block ${s.ethBlockNumber} (tx ${s.txHash})`
+      })));
+}
+
+// Pending withdrawal whose exit delay has passed
+function exitFinalizable(rule, data, scope, now, { formatAddress }) {
+  return data.pendingExits
+    .filter(exit => inScope(scope, exit.attester) && now >= exit.exitableAt)
+    .map(exit => ({
+      key: `exitFinalizable:${exit.attester.toLowerCase()}:${exit.txHash}:${exit.recipient.toLowerCase()}:${exit.amount}`,
+      address: exit.attester,
+      amount: exit.amount,
+      txHash: exit.txHash,
+      message: `Withdrawal of ${formatTokenAmount(exit.amount, data.token)} by ${formatAddress(exit.attester)} to ${formatAddress(exit.recipient)} can be finalized (since ${new Date(exit.exitableAt * 1000).toISOString()})`
+    }));
+}
+
+// Attester whose stake is below the minimum. Keyed by the event that took them
+// below it, so an attester that tops up and drops below again is alerted
+// again.
+function stakeBelowMinimum(rule, data, scope, now, { formatAddress }) {
+  return data.attesters
+    .filter(attester => attester.status === 'belowMinimum' && inScope(scope, attester.address))
+    .map(attester => {
+      const cause = attester.belowMinimumSince;
+      const after = cause ? ` after ${cause.event === 'Slashed' ? 'a slash' : 'a withdrawal'} at L1 block ${cause.ethBlockNumber} (tx ${cause.txHash})` : '';
+      return {
+        key: `stakeBelowMinimum:${attester.address.toLowerCase()}:${cause?.txHash}`,
+        address: attester.address,
+        stake: attester.stake,
+        txHash: cause?.txHash,
+        message: `Attester ${formatAddress(attester.address)} has ${formatTokenAmount(attester.stake, data.token)} staked, below the minimum of ${formatTokenAmount(data.minimumStake, data.token)}${after}`
+      };
+    });
+}
+
+// Rule types with the stats mode they apply to and their required numeric
+// parameters
+const RULES = {
+  proverInactive: { mode: 'prover', evaluate: proverInactive, required: ['hours'] },
+  proverShareBelow: { mode: 'prover', evaluate: proverShareBelow, required: ['percent'] },
+  slash: { mode: 'slash', evaluate: slash, required: [] },
+  exitFinalizable: { mode: 'exit', evaluate: exitFinalizable, required: [] },
+  stakeBelowMinimum: { mode: 'staking', evaluate: stakeBelowMinimum, required: [] }
+};
+
+const NOTIFIERS = ['webhook', 'command'];
+const WEBHOOK_FORMATS = ['slack', 'discord', 'json'];
+
+function parseAddresses(list, where) {
+  if (list === undefined) {
+    return null;
+  }
+  if (!Array.isArray(list) || list.some(a => !ethers.isAddress(a))) {
+    throw new Error(`${where} must be a list of addresses`);
+  }
+  return new Set(list.map(a => a.toLowerCase()));
+}
+
+// Rules from ALERTS_FILE, or null if there is none
+export function loadAlertRules() {
+  if (!fs.existsSync(ALERTS_FILE)) {
+    return null;
+  }
+
+  const config = JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf-8'));
+  const watch = parseAddresses(config.watch, `"watch" in ${ALERTS_FILE}`);
+
+  const rules = (config.rules || []).map((rule, i) => {
+    const where = `rule ${i + 1} in ${ALERTS_FILE}`;
+    if (!RULES[rule.type]) {
+      throw new Error(`Unknown alert type "${rule.type}" in ${where}, expected one of: ${Object.keys(RULES).join(', ')}`);
+    }
+    for (const name of RULES[rule.type].required) {
+      if (typeof rule[name] !== 'number' || rule[name] <= 0) {
+        throw new Error(`${where} (${rule.type}) needs a positive "${name}"`);
+      }
+    }
+    // A rule's own addresses replace the watched addresses; with neither, or
+    // with "all", the rule applies to every address
+    const scope = rule.addresses === 'all' ? null : parseAddresses(rule.addresses, `"addresses" of ${where}`) ?? watch;
+    return { ...rule, scope };
+  });
+
+  const notify = (config.notify || []).map((notifier, i) => {
+    const where = `notifier ${i + 1} in ${ALERTS_FILE}`;
+    if (!NOTIFIERS.includes(notifier.type)) {
+      throw new Error(`Unknown notifier type "${notifier.type}" in ${where}, expected one of: ${NOTIFIERS.join(', ')}`);
+    }
+    if (notifier.type === 'webhook' && !notifier.url) {
+      throw new Error(`${where} needs a "url"`);
+    }
+    if (notifier.type === 'webhook' && notifier.format && !WEBHOOK_FORMATS.includes(notifier.format)) {
+      throw new Error(`Unknown webhook format "${notifier.format}" in ${where}, expected one of: ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+    if (notifier.type === 'command' && !notifier.command) {
+      throw new Error(`${where} needs a "command"`);
+    }
+    return notifier;
+  });
+
+  return { rules, notify };
+}
+
+// Alerts currently firing for the stats of a mode (prover, slash, exit or
+// staking). Addresses in the messages are labelled with config.labels (see
+// labels.js).
+export function evaluateAlerts(mode, data, { rules, labels = createLabels(null) }, now = Math.floor(Date.now() / 1000)) {
+  return rules
+    .filter(rule => RULES[rule.type].mode === mode)
+    .flatMap(rule => RULES[rule.type].evaluate(rule, data, rule.scope, now, labels).map(alert => ({ type: rule.type, ...alert })));
+}
+
+function loadState() {
+  if (!fs.existsSync(ALERTS_STATE_FILE)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(ALERTS_STATE_FILE, 'utf-8'));
+}
+
+function saveState(state) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  fs.writeFileSync(ALERTS_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+function formatMessage(alerts) {
+  return [
+    `[${NETWORK.displayName}] ${alerts.length} alert${alerts.length === 1 ? '' : 's'}:`,
+    ...alerts.map(a => `- ${a.message}`)
+  ].join('\n');
+}
+
+// Slack and Discord incoming webhooks take the message as `text` and
+// `content`; json posts the alerts themselves
+function webhookPayload(format, text, alerts) {
+  if (format === 'discord') {
+    return { content: text.length > DISCORD_MAX_LENGTH ? `${text.slice(0, DISCORD_MAX_LENGTH - 3)}...` : text };
+  } else if (format === 'json') {
+    return { network: NETWORK.name, text, alerts };
+  }
+  return { text };
+}
+
+async function sendWebhook(notifier, text, alerts) {
+  const url = interpolate(notifier.url);
+  if (!url) {
+    throw new Error('url references an unset environment variable');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(webhookPayload(notifier.format, text, alerts)),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+}
+
+// The command gets the message, the number of alerts and the alerts as JSON in
+// ALERT_MESSAGE, ALERT_COUNT and ALERTS_JSON
+function runCommand(notifier, text, alerts) {
+  return new Promise((resolve, reject) => {
+    exec(notifier.command, {
+      timeout: COMMAND_TIMEOUT_MS,
+      env: {
+        ...process.env,
+        ALERT_MESSAGE: text,
+        ALERT_COUNT: String(alerts.length),
+        ALERTS_JSON: JSON.stringify(alerts)
+      }
+    }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(stderr.trim() || error.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Returns whether at least one notifier accepted the alerts
+async function deliver(notify, alerts) {
+  const text = formatMessage(alerts);
+  let delivered = false;
+
+  for (const notifier of notify) {
+    const label = notifier.type === 'webhook' ? 'webhook' : `command "${notifier.command}"`;
+    try {
+      await (notifier.type === 'webhook' ? sendWebhook(notifier, text, alerts) : runCommand(notifier, text, alerts));
+      delivered = true;
+    } catch (error) {
+      console.warn(`Warning: could not deliver alerts to ${label} (${describeError(error)})`);
+    }
+  }
+
+  return delivered;
+}
+
+// Evaluate the rules for the stats of a mode and send the alerts that haven't
+// been sent before. Alerts that no notifier accepted are retried on the next
+// run. Without notifiers, alerts are only printed.
+export async function runAlerts(mode, data, config, now = Math.floor(Date.now() / 1000)) {
+  const alerts = evaluateAlerts(mode, data, config, now);
+  const state = loadState();
+  const sent = state[mode] || {};
+  const fresh = alerts.filter(alert => !sent[alert.key]);
+
+  // Keep only the alerts that are still firing
+  const next = {};
+  for (const alert of alerts) {
+    if (sent[alert.key]) {
+      next[alert.key] = sent[alert.key];
+    }
+  }
+
+  if (fresh.length > 0) {
+    console.log(`\nAlerts (${fresh.length} new, ${alerts.length - fresh.length} already sent):`);
+    console.log('-'.repeat(80));
+    for (const alert of fresh) {
+      console.log(`[${alert.type}] ${alert.message}`);
+    }
+
+    const delivered = config.notify.length === 0 || await deliver(config.notify, fresh);
+    if (delivered) {
+      const sentAt = new Date(now * 1000).toISOString();
+      for (const alert of fresh) {
+        next[alert.key] = sentAt;
+      }
+    }
+  }
+
+  saveState({ ...state, [mode]: next });
+  return fresh;
+}
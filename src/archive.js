@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+
+// Raw events are stored one JSON object per line so each chunk can be appended
+// without rewriting the whole archive. The checkpoint is only advanced after a
+// chunk's events are on disk; if a run dies in between, the duplicates written
+// on the retry are dropped by loadEvents.
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// Event archive and checkpoints kept in dataDir/archive. Each network profile
+// has its own data directory (see network.js).
+export function createArchive(dataDir) {
+  const archiveDir = path.join(dataDir, 'archive');
+  const checkpointFile = path.join(archiveDir, 'checkpoints.json');
+
+  function eventsFile(mode) {
+    return path.join(archiveDir, `${mode}-events.ndjson`);
+  }
+
+  function readCheckpoints() {
+    if (!fs.existsSync(checkpointFile)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(checkpointFile, 'utf-8'));
+  }
+
+  function loadCheckpoint(mode) {
+    return readCheckpoints()[mode] || null;
+  }
+
+  function saveCheckpoint(mode, checkpoint) {
+    ensureDir(archiveDir);
+    const checkpoints = readCheckpoints();
+    checkpoints[mode] = {
+      ...checkpoint,
+      updatedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(checkpointFile, JSON.stringify(checkpoints, null, 2));
+  }
+
+  function resetArchive(mode) {
+    const file = eventsFile(mode);
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+    const checkpoints = readCheckpoints();
+    if (checkpoints[mode]) {
+      delete checkpoints[mode];
+      ensureDir(archiveDir);
+      fs.writeFileSync(checkpointFile, JSON.stringify(checkpoints, null, 2));
+    }
+  }
+
+  // Drop archived events after the given block and move the checkpoint back to
+  // it. Returns the previous last scanned block, or null if nothing changed.
+  function rollbackArchive(mode, block) {
+    const checkpoint = loadCheckpoint(mode);
+    if (!checkpoint || checkpoint.lastScannedBlock <= block) {
+      return null;
+    }
+
+    rewriteEvents(mode, loadEvents(mode).filter(r => r.ethBlockNumber <= block));
+
+    const lastScannedBlock = Math.max(block, checkpoint.fromBlock - 1);
+    const failedRanges = (checkpoint.failedRanges || [])
+      .filter(r => r.from <= lastScannedBlock)
+      .map(r => ({ ...r, to: Math.min(r.to, lastScannedBlock) }));
+
+    saveCheckpoint(mode, { ...checkpoint, lastScannedBlock, failedRanges });
+    return checkpoint.lastScannedBlock;
+  }
+
+  // Replace the whole archive for a mode
+  function rewriteEvents(mode, records) {
+    ensureDir(archiveDir);
+    fs.writeFileSync(eventsFile(mode), records.map(r => JSON.stringify(r) + '\n').join(''));
+  }
+
+  function appendEvents(mode, records) {
+    if (records.length === 0) {
+      return;
+    }
+    ensureDir(archiveDir);
+    const lines = records.map(r => JSON.stringify(r)).join('\n') + '\n';
+    fs.appendFileSync(eventsFile(mode), lines);
+  }
+
+  // Last modification time of a mode's archive, 0 if it doesn't exist yet.
+  // Long-running readers use it to tell when to reload.
+  function archiveModifiedAt(mode) {
+    const file = eventsFile(mode);
+    return fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+  }
+
+  function loadEvents(mode) {
+    const file = eventsFile(mode);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    const seen = new Set();
+    const records = [];
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      const record = JSON.parse(line);
+      const key = `${record.txHash}:${record.logIndex}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      records.push(record);
+    }
+
+    // Keep chain order regardless of the order chunks were appended in
+    return records.sort((a, b) => a.ethBlockNumber - b.ethBlockNumber || a.logIndex - b.logIndex);
+  }
+
+  return {
+    dataDir,
+    archiveDir,
+    loadCheckpoint,
+    saveCheckpoint,
+    resetArchive,
+    rollbackArchive,
+    rewriteEvents,
+    appendEvents,
+    archiveModifiedAt,
+    loadEvents
+  };
+}
+
+// Convert a log, decoded by the rollup interface, into a plain JSON record
+// tagged with the rollup that emitted it. uint256 values are kept as decimal
+// strings so they survive the round trip without losing precision.
+export function serializeEvent(log, parsed, rollup) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+
+  return {
+    event: parsed.name,
+    ethBlockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+    rollupAddress: rollup.address,
+    rollupVersion: rollup.version,
+    args
+  };
+}
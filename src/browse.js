@@ -0,0 +1,542 @@
+import path from 'path';
+import readline from 'readline';
+import { NETWORK, LABELS_FILE } from './network.js';
+import { STATS_FILES, createStatsFiles } from './statsFiles.js';
+import { loadLabels, shortAddress } from './labels.js';
+import { formatTokenAmount } from './token.js';
+import { formatCost } from './costs.js';
+import { formatDelay } from './durations.js';
+
+// Interactive terminal browser for the latest prover, slash and exit stats.
+// Each tab is a table that can be sorted, filtered and paged, and Enter opens
+// the proven L2 blocks of a prover or the slashes and withdrawals of an
+// attester. Drawn with plain ANSI escapes on the alternate screen, so the
+// terminal is left as it was on exit.
+
+const DATA_DIR = NETWORK.dataDir;
+const { loadLatestStats } = createStatsFiles(DATA_DIR);
+
+// Address labels for the tables, shown and filtered on next to the addresses
+let labels;
+try {
+  labels = loadLabels(LABELS_FILE);
+} catch (error) {
+  console.error(`Error: could not load labels from ${LABELS_FILE}: ${error.message}`);
+  process.exit(1);
+}
+const { getLabel, groupByOperator } = labels;
+
+// Parse command line arguments (e.g., "npm run browse -- --tab=slashes --by-operator")
+const ARGS = process.argv.slice(2);
+const getOption = name => ARGS.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+const START_TAB = getOption('tab') || 'proofs';
+// Group provers and attesters per operator from labels.json
+const BY_OPERATOR = ARGS.includes('--by-operator');
+
+const ESC = '\x1b[';
+const ENTER_SCREEN = `${ESC}?1049h${ESC}?25l`;
+const LEAVE_SCREEN = `${ESC}?25h${ESC}?1049l`;
+const INVERSE = `${ESC}7m`;
+const BOLD = `${ESC}1m`;
+const DIM = `${ESC}2m`;
+const RESET = `${ESC}0m`;
+
+// Lines around the table: title, tabs, status and column headers above it,
+// key help below it
+const HEADER_LINES = 4;
+const FOOTER_LINES = 1;
+
+// Space between table columns, and the narrowest a flexible column gets
+const COLUMN_GAP = 2;
+const MIN_FLEX_WIDTH = 8;
+
+const LIST_KEYS = '↑↓ move  PgUp/PgDn page  ←→ tab  s sort  r reverse  / filter  Enter details  q quit';
+const DETAIL_KEYS = '↑↓ scroll  PgUp/PgDn page  Esc back  q quit';
+const FILTER_KEYS = 'Type to filter by address or label  Enter done  Esc clear';
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const lastBlock = events => events.reduce((max, e) => Math.max(max, e.ethBlockNumber), 0);
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString().slice(0, 16).replace('T', ' ') : '';
+}
+
+// Label column of a row: the label's name, or the number of addresses of an
+// operator in grouped stats
+function rowLabel(row) {
+  if (row.addresses && row.addresses.length > 1) {
+    return `${row.addresses.length} addresses`;
+  }
+  return getLabel(row.address)?.name || '';
+}
+
+// Text the filter is matched against: addresses, label names and operators
+function searchText(row) {
+  const addresses = row.addresses || [row.address];
+  const labels = addresses.map(a => getLabel(a)).filter(Boolean).map(label => `${label.name} ${label.operator || ''}`);
+  return [row.address, ...addresses, ...labels].join(' ').toLowerCase();
+}
+
+// Table columns: `value` is what the column sorts by, `text` what it shows
+// (the value by default). Text columns sort ascending first, numbers
+// descending. The `flex` column takes the width the others leave, and on
+// narrow terminals `compact` replaces the column.
+const addressColumn = title => ({
+  title,
+  width: 42,
+  value: row => row.address.toLowerCase(),
+  text: row => row.address,
+  compact: { width: 13, text: row => shortAddress(row.address) }
+});
+const labelColumn = { title: 'Label', flex: true, value: row => rowLabel(row).toLowerCase(), text: rowLabel };
+const countColumn = (title, field, width = 9) => ({ title, width, align: 'right', descending: true, value: row => row[field] });
+const amountColumn = (title, field, token) => ({
+  title,
+  width: 18,
+  align: 'right',
+  descending: true,
+  value: row => BigInt(row[field]),
+  text: row => formatTokenAmount(row[field], token)
+});
+
+const TABS = [
+  {
+    key: 'proofs',
+    title: 'Proofs',
+    mode: 'prover',
+    rows: data => data.provers,
+    columns: data => [
+      addressColumn('Prover'),
+      labelColumn,
+      countColumn('Proofs', 'proofCount', 7),
+      {
+        title: 'Share',
+        width: 7,
+        align: 'right',
+        descending: true,
+        value: row => (data.summary.totalProofs > 0 ? row.proofCount / data.summary.totalProofs : 0),
+        text: row => `${(data.summary.totalProofs > 0 ? (row.proofCount / data.summary.totalProofs) * 100 : 0).toFixed(2)}%`
+      },
+      { title: 'Last L1 block', width: 13, align: 'right', descending: true, value: row => lastBlock(row.blocks) },
+      ...(data.summary.costs ? [{
+        title: 'Cost',
+        width: 16,
+        align: 'right',
+        descending: true,
+        value: row => BigInt(row.costs.totalCost),
+        text: row => formatCost(row.costs.totalCost)
+      }] : [])
+    ],
+    detail: proverDetail
+  },
+  {
+    key: 'slashes',
+    title: 'Slashes',
+    mode: 'slash',
+    rows: data => data.attesters,
+    columns: data => [
+      addressColumn('Attester'),
+      labelColumn,
+      countColumn('Slashes', 'slashCount', 7),
+      amountColumn('Slashed', 'totalAmountSlashed', data.token),
+      { title: 'Last L1 block', width: 13, align: 'right', descending: true, value: row => lastBlock(row.slashes) }
+    ],
+    detail: attesterDetail
+  },
+  {
+    key: 'exits',
+    title: 'Exits',
+    mode: 'exit',
+    rows: data => data.attesters,
+    columns: data => [
+      addressColumn('Attester'),
+      labelColumn,
+      countColumn('Initiated', 'initiatedCount'),
+      countColumn('Finalized', 'finalizedCount'),
+      { ...countColumn('Pending', 'pendingCount', 7), value: row => row.pendingCount ?? row.initiatedCount - row.finalizedCount },
+      amountColumn('Initiated amount', 'totalInitiatedAmount', data.token),
+      amountColumn('Finalized amount', 'totalFinalizedAmount', data.token)
+    ],
+    detail: attesterDetail
+  }
+];
+
+// Latest stats of each tab's mode, null for modes that haven't been indexed
+function loadTabStats(mode) {
+  const stats = loadLatestStats(mode);
+  if (stats && BY_OPERATOR) {
+    stats.data = groupByOperator(mode, stats.data);
+  }
+  return stats;
+}
+
+// The heading of a drill-down: the address with its label and operator
+function describeRow(kind, row) {
+  const label = getLabel(row.address);
+  const operator = label?.operator && label.operator !== label.name ? `, ${label.operator}` : '';
+  const name = label ? ` (${label.name}${operator})` : '';
+  const members = row.addresses && row.addresses.length > 1 ? `: ${row.addresses.map(shortAddress).join(', ')}` : '';
+  return `${kind} ${row.address}${name}${members}`;
+}
+
+// One prover's proofs, newest first
+function proverDetail(row, { stats }) {
+  const { data } = stats.proofs;
+  const blocks = [...row.blocks].sort((a, b) => b.ethBlockNumber - a.ethBlockNumber || (b.logIndex ?? 0) - (a.logIndex ?? 0));
+  const l2Blocks = blocks.map(b => Number(b.blockNumber));
+  const lowest = l2Blocks.reduce((min, n) => Math.min(min, n), Infinity);
+  const highest = l2Blocks.reduce((max, n) => Math.max(max, n), -Infinity);
+  const info = [
+    `Proofs: ${row.proofCount} (${((row.proofCount / data.summary.totalProofs) * 100).toFixed(2)}%), L2 blocks ${lowest} to ${highest}`
+  ];
+  if (row.costs) {
+    info.push(`Cost: ${formatCost(row.costs.totalCost)}, ${row.costs.averageCostPerProof === null ? 'no receipts yet' : `${formatCost(row.costs.averageCostPerProof)} per proof`}`);
+  }
+
+  return {
+    title: describeRow('Prover', row),
+    info,
+    columns: [
+      { title: 'L2 block', width: 8, align: 'right', text: b => b.blockNumber },
+      { title: 'Version', width: 10, align: 'right', text: b => b.rollupVersion ?? '' },
+      { title: 'L1 block', width: 10, align: 'right', text: b => String(b.ethBlockNumber) },
+      { title: 'Time (UTC)', width: 16, text: b => formatTime(b.timestamp) },
+      ...(row.costs ? [{ title: 'Cost', width: 16, align: 'right', text: b => (b.cost ? formatCost(b.cost.totalCost) : '') }] : []),
+      { title: 'Tx hash', flex: true, text: b => b.txHash }
+    ],
+    rows: blocks
+  };
+}
+
+function describeInitiated(withdrawal, now) {
+  if (withdrawal.finalization) {
+    return `finalized after ${formatDelay(withdrawal.finalization.timestamp - withdrawal.timestamp)}`;
+  }
+  return now >= withdrawal.exitableAt ? 'finalizable now' : `pending, ${formatDelay(withdrawal.exitableAt - now)} left`;
+}
+
+// One attester's slashes and withdrawals from the slash and exit stats,
+// newest first. Grouped stats are joined by operator name.
+function attesterDetail(row, { stats }) {
+  const find = data => data?.attesters.find(a => a.address.toLowerCase() === row.address.toLowerCase());
+  const slashData = stats.slashes?.data;
+  const exitData = stats.exits?.data;
+  const slashed = find(slashData);
+  const exits = find(exitData);
+  const now = Math.floor(Date.now() / 1000);
+  const by = entry => (entry.attester ? `by ${shortAddress(entry.attester)}, ` : '');
+
+  const info = [];
+  if (!slashData) {
+    info.push(`Slashes: no slash stats available (run: ${STATS_FILES.slash.command})`);
+  } else {
+    info.push(slashed ? `Slashes: ${slashed.slashCount}, ${formatTokenAmount(slashed.totalAmountSlashed, slashData.token)} in total` : 'Slashes: none');
+  }
+  if (!exitData) {
+    info.push(`Withdrawals: no exit stats available (run: ${STATS_FILES.exit.command})`);
+  } else if (!exits) {
+    info.push('Withdrawals: none');
+  } else {
+    const pending = exits.pendingCount ?? exits.initiatedCount - exits.finalizedCount;
+    info.push(`Withdrawals: ${exits.initiatedCount} initiated (${formatTokenAmount(exits.totalInitiatedAmount, exitData.token)}), ${exits.finalizedCount} finalized (${formatTokenAmount(exits.totalFinalizedAmount, exitData.token)}), ${pending} pending`);
+  }
+
+  const history = [
+    ...(slashed?.slashes || []).map(s => ({ ...s, event: 'Slashed', amountText: formatTokenAmount(s.amount, slashData.token), details: '' })),
+    ...(exits?.initiated || []).map(w => ({
+      ...w,
+      event: 'Initiated',
+      amountText: formatTokenAmount(w.amount, exitData.token),
+      details: `${by(w)}to ${shortAddress(w.recipient)}, ${describeInitiated(w, now)}`
+    })),
+    ...(exits?.finalized || []).map(w => ({
+      ...w,
+      event: 'Finalized',
+      amountText: formatTokenAmount(w.amount, exitData.token),
+      details: `${by(w)}to ${shortAddress(w.recipient)}${w.match ? '' : ', no matching initiation'}`
+    }))
+  ].sort((a, b) => b.ethBlockNumber - a.ethBlockNumber || (b.logIndex ?? 0) - (a.logIndex ?? 0));
+
+  return {
+    title: describeRow('Attester', row),
+    info,
+    columns: [
+      { title: 'Event', width: 9, text: h => h.event },
+      { title: 'Amount', width: 18, align: 'right', text: h => h.amountText },
+      { title: 'L1 block', width: 10, align: 'right', text: h => String(h.ethBlockNumber) },
+      { title: 'Time (UTC)', width: 16, text: h => formatTime(h.timestamp) },
+      { title: 'Details', width: 40, text: h => h.details },
+      { title: 'Tx hash', flex: true, text: h => h.txHash }
+    ],
+    rows: history
+  };
+}
+
+// Text cut or padded to a width, cut text ending in an ellipsis
+function fit(text, width, align = 'left') {
+  const value = String(text);
+  if (value.length > width) {
+    return width > 1 ? `${value.slice(0, width - 1)}…` : value.slice(0, width);
+  }
+  return align === 'right' ? value.padStart(width) : value.padEnd(width);
+}
+
+// Columns laid out for the terminal width: compact columns when the full
+// ones don't fit, and the flexible column as wide as the rest allows
+function layoutColumns(columns, totalWidth) {
+  const fixedWidth = cols => cols.reduce((sum, c) => sum + (c.flex ? MIN_FLEX_WIDTH : c.width), 0) + COLUMN_GAP * (cols.length - 1);
+  const laidOut = fixedWidth(columns) > totalWidth
+    ? columns.map(c => (c.compact ? { ...c, ...c.compact } : c))
+    : columns;
+  const flexWidth = MIN_FLEX_WIDTH + Math.max(totalWidth - fixedWidth(laidOut), 0);
+  return laidOut.map(c => (c.flex ? { ...c, width: flexWidth } : c));
+}
+
+function formatRow(columns, cells) {
+  return cells.map((cell, i) => fit(cell, columns[i].width, columns[i].align)).join(' '.repeat(COLUMN_GAP));
+}
+
+function cellText(column, row) {
+  return column.text ? column.text(row) : String(column.value(row));
+}
+
+function main() {
+  const stats = {};
+  const views = [];
+  for (const tab of TABS) {
+    stats[tab.key] = loadTabStats(tab.mode);
+    const columns = stats[tab.key] ? tab.columns(stats[tab.key].data) : [];
+    // Sorted by the first count column, like the stats files
+    const sortColumn = Math.max(columns.findIndex(c => c.descending), 0);
+    views.push({ tab, columns, sortColumn, descending: true, filter: '', selected: 0 });
+  }
+
+  if (TABS.every(tab => !stats[tab.key])) {
+    console.error('No stats files found. Run the indexer first with: npm start, npm run slash or npm run exit');
+    process.exit(1);
+  }
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    console.error('The stats browser needs an interactive terminal. Use npm run stats, or its --format option, for output that can be piped.');
+    process.exit(1);
+  }
+
+  let current = Math.max(TABS.findIndex(tab => tab.key === START_TAB), 0);
+  let detail = null;
+  let editing = false;
+
+  const size = () => ({ width: process.stdout.columns || 80, height: process.stdout.rows || 24 });
+  const pageSize = () => Math.max(size().height - HEADER_LINES - FOOTER_LINES, 1);
+
+  // Rows of a tab after its filter, in its sort order
+  function visibleRows(view) {
+    const data = stats[view.tab.key]?.data;
+    if (!data) {
+      return [];
+    }
+    const needle = view.filter.toLowerCase();
+    const column = view.columns[view.sortColumn];
+    return view.tab.rows(data)
+      .filter(row => !needle || searchText(row).includes(needle))
+      .sort((a, b) => compare(column.value(a), column.value(b)) * (view.descending ? -1 : 1));
+  }
+
+  function titleLine(width) {
+    const view = views[current];
+    const file = stats[view.tab.key];
+    const failed = file?.data.failedRanges?.length || 0;
+    const source = file
+      ? ` - ${path.basename(file.file)}, scanned ${new Date(file.data.scannedAt).toLocaleString()}${failed > 0 ? `, INCOMPLETE (${failed} failed block ranges)` : ''}`
+      : '';
+    return `${BOLD}${fit(`${NETWORK.displayName.toUpperCase()} STATS${BY_OPERATOR ? ' BY OPERATOR' : ''}${source}`, width)}${RESET}`;
+  }
+
+  function tabsLine(width) {
+    const labels = TABS.map((tab, i) => {
+      const count = stats[tab.key] ? ` (${tab.rows(stats[tab.key].data).length})` : '';
+      return ` ${i + 1} ${tab.title}${count} `;
+    });
+    if (labels.join('').length > width) {
+      return fit(labels.join(''), width);
+    }
+    return labels.map((label, i) => (i === current ? `${INVERSE}${label}${RESET}` : label)).join('');
+  }
+
+  function listLines(width) {
+    const view = views[current];
+    const file = stats[view.tab.key];
+    if (!file) {
+      return [
+        '',
+        `No ${view.tab.mode} stats files found. Run the indexer first with: ${STATS_FILES[view.tab.mode].command}`
+      ];
+    }
+
+    const rows = visibleRows(view);
+    const perPage = pageSize();
+    view.selected = Math.min(view.selected, Math.max(rows.length - 1, 0));
+    const page = Math.floor(view.selected / perPage);
+    const pages = Math.max(Math.ceil(rows.length / perPage), 1);
+
+    const sortedBy = `sorted by ${view.columns[view.sortColumn].title} ${view.descending ? '↓' : '↑'}`;
+    const status = editing || view.filter
+      ? `Filter: ${view.filter}${editing ? '_' : ''}  (${rows.length} of ${view.tab.rows(file.data).length})`
+      : `${rows.length} ${BY_OPERATOR ? 'operators' : 'addresses'}`;
+
+    const columns = layoutColumns(view.columns, width);
+    const lines = [
+      fit(`${status}, ${sortedBy}, page ${page + 1}/${pages}`, width),
+      `${BOLD}${fit(formatRow(columns, columns.map(c => c.title)), width)}${RESET}`
+    ];
+
+    for (let i = page * perPage; i < Math.min((page + 1) * perPage, rows.length); i++) {
+      const line = fit(formatRow(columns, columns.map(c => cellText(c, rows[i]))), width);
+      lines.push(i === view.selected ? `${INVERSE}${line}${RESET}` : line);
+    }
+    if (rows.length === 0) {
+      lines.push(view.filter ? 'No rows match the filter.' : 'Nothing found in the scanned block range.');
+    }
+    return lines;
+  }
+
+  function detailLines(width) {
+    const columns = layoutColumns(detail.columns, width);
+    const lines = [
+      `${BOLD}${fit(detail.title, width)}${RESET}`,
+      ...detail.info.map(line => fit(line, width)),
+      `${BOLD}${fit(formatRow(columns, columns.map(c => c.title)), width)}${RESET}`
+    ];
+    const perPage = detailPageSize();
+    detail.offset = Math.max(Math.min(detail.offset, detail.rows.length - perPage), 0);
+    for (const row of detail.rows.slice(detail.offset, detail.offset + perPage)) {
+      lines.push(fit(formatRow(columns, columns.map(c => c.text(row))), width));
+    }
+    if (detail.rows.length === 0) {
+      lines.push('No events found in the scanned block range.');
+    }
+    return lines;
+  }
+
+  // Rows of the drill-down table, below the title, tabs, heading, info lines
+  // and column header
+  function detailPageSize() {
+    return Math.max(size().height - FOOTER_LINES - 4 - detail.info.length, 1);
+  }
+
+  function render() {
+    const { width, height } = size();
+    const lines = [titleLine(width), tabsLine(width), ...(detail ? detailLines(width) : listLines(width))];
+    const body = lines.slice(0, height - FOOTER_LINES);
+    while (body.length < height - FOOTER_LINES) {
+      body.push('');
+    }
+    const keys = editing ? FILTER_KEYS : detail ? DETAIL_KEYS : LIST_KEYS;
+    const scroll = detail && detail.rows.length > 0
+      ? `  ${detail.offset + 1}-${Math.min(detail.offset + detailPageSize(), detail.rows.length)} of ${detail.rows.length}`
+      : '';
+    body.push(`${DIM}${fit(keys + scroll, width)}${RESET}`);
+    process.stdout.write(`${ESC}H${body.map(line => `${line}${ESC}K`).join('\n')}`);
+  }
+
+  function quit(error = null) {
+    process.stdout.write(LEAVE_SCREEN);
+    process.stdin.setRawMode(false);
+    if (error) {
+      console.error(`Error: ${error.stack || error.message}`);
+    }
+    process.exit(error ? 1 : 0);
+  }
+
+  function switchTab(index) {
+    current = (index + TABS.length) % TABS.length;
+    editing = false;
+  }
+
+  function moveSelection(view, delta, rows) {
+    view.selected = Math.min(Math.max(view.selected + delta, 0), Math.max(rows.length - 1, 0));
+  }
+
+  function onFilterKey(view, str, key) {
+    if (key.name === 'return') {
+      editing = false;
+    } else if (key.name === 'escape') {
+      view.filter = '';
+      editing = false;
+    } else if (key.name === 'backspace') {
+      view.filter = view.filter.slice(0, -1);
+    } else if (str && !key.ctrl && !key.meta && str.length === 1 && str >= ' ') {
+      view.filter += str;
+    }
+    view.selected = 0;
+  }
+
+  function onDetailKey(key) {
+    const perPage = detailPageSize();
+    const moves = { up: -1, k: -1, down: 1, j: 1, pageup: -perPage, pagedown: perPage, home: -Infinity, end: Infinity };
+    if (moves[key.name] !== undefined) {
+      detail.offset = Math.max(Math.min(detail.offset + moves[key.name], detail.rows.length - perPage), 0);
+    } else if (['escape', 'backspace', 'left'].includes(key.name)) {
+      detail = null;
+    }
+  }
+
+  function onListKey(view, str, key) {
+    const rows = visibleRows(view);
+    const moves = { up: -1, k: -1, down: 1, j: 1, pageup: -pageSize(), pagedown: pageSize(), home: -Infinity, end: Infinity };
+    if (moves[key.name] !== undefined) {
+      moveSelection(view, moves[key.name], rows);
+    } else if (key.name === 'right' || (key.name === 'tab' && !key.shift)) {
+      switchTab(current + 1);
+    } else if (key.name === 'left' || key.name === 'tab') {
+      switchTab(current - 1);
+    } else if (str >= '1' && str <= String(TABS.length)) {
+      switchTab(Number(str) - 1);
+    } else if (str === 's' && view.columns.length > 0) {
+      view.sortColumn = (view.sortColumn + 1) % view.columns.length;
+      view.descending = Boolean(view.columns[view.sortColumn].descending);
+      view.selected = 0;
+    } else if (str === 'r') {
+      view.descending = !view.descending;
+      view.selected = 0;
+    } else if (str === '/' && stats[view.tab.key]) {
+      editing = true;
+    } else if (key.name === 'escape') {
+      view.filter = '';
+      view.selected = 0;
+    } else if (key.name === 'return' && rows.length > 0) {
+      detail = { ...view.tab.detail(rows[view.selected], { stats }), offset: 0 };
+    }
+  }
+
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.on('keypress', (str, key = {}) => {
+    if (key.ctrl && key.name === 'c') {
+      quit();
+    }
+    const view = views[current];
+    try {
+      if (editing) {
+        onFilterKey(view, str, key);
+      } else if (str === 'q') {
+        quit();
+      } else if (detail) {
+        onDetailKey(key);
+      } else {
+        onListKey(view, str, key);
+      }
+      render();
+    } catch (error) {
+      // Leave the alternate screen first, or the error would be wiped with it
+      quit(error);
+    }
+  });
+  process.stdout.on('resize', () => {
+    process.stdout.write(`${ESC}2J`);
+    render();
+  });
+
+  process.stdout.write(`${ENTER_SCREEN}${ESC}2J`);
+  render();
+}
+
+main();
@@ -0,0 +1,92 @@
+import { buildTimeSeries } from './timeseries.js';
+
+// Concentration of proofs across provers (or block proposals across
+// proposers, slashes across attesters): Herfindahl-Hirschman index, Gini
+// coefficient and Nakamoto coefficient, the number of addresses active in
+// rolling windows, and the same metrics per time series bucket to see how
+// they change over time.
+
+// Per-address counts of a time series entry, by stats mode
+const SERIES_FIELDS = {
+  prover: 'byProver',
+  proposer: 'byProposer',
+  slash: 'byAttester'
+};
+
+// Rolling windows counted back from the scan time
+export const ACTIVE_WINDOWS = {
+  '24h': 86400,
+  '7d': 7 * 86400,
+  '30d': 30 * 86400
+};
+
+// Metrics for a list of per-address counts. HHI is on the usual 0 to 10000
+// scale (sum of squared percentage shares), Gini goes from 0 (all equal) to
+// close to 1 (one address has everything) and Nakamoto is the smallest number
+// of addresses that together have more than half of the total.
+export function concentrationMetrics(counts) {
+  const values = counts.filter(c => c > 0).sort((a, b) => b - a);
+  const total = values.reduce((sum, c) => sum + c, 0);
+
+  if (total === 0) {
+    return { total: 0, participants: 0, hhi: null, gini: null, nakamoto: null };
+  }
+
+  const shares = values.map(c => c / total);
+  const hhi = shares.reduce((sum, share) => sum + (share * 100) ** 2, 0);
+
+  // Gini over the counts in ascending order
+  const n = values.length;
+  const weighted = [...values].reverse().reduce((sum, c, i) => sum + (i + 1) * c, 0);
+  const gini = (2 * weighted) / (n * total) - (n + 1) / n;
+
+  let cumulative = 0;
+  let nakamoto = n;
+  for (const [i, share] of shares.entries()) {
+    cumulative += share;
+    if (cumulative > 0.5) {
+      nakamoto = i + 1;
+      break;
+    }
+  }
+
+  return {
+    total,
+    participants: n,
+    hhi: Math.round(hhi),
+    gini: Number(gini.toFixed(4)),
+    nakamoto
+  };
+}
+
+// Event timestamps per address of a prover, proposer or slash stats file
+function timestampsByAddress(mode, data) {
+  if (mode === 'slash') {
+    return data.attesters.map(a => ({ address: a.address, count: a.slashCount, timestamps: a.slashes.map(s => s.timestamp) }));
+  } else if (mode === 'proposer') {
+    return data.proposers.map(p => ({ address: p.address, count: p.blockCount, timestamps: p.blocks.map(b => b.timestamp) }));
+  }
+  return data.provers.map(p => ({ address: p.address, count: p.proofCount, timestamps: p.blocks.map(b => b.timestamp) }));
+}
+
+// Concentration of a prover, proposer or slash stats file. Uses the file's
+// time series when given, otherwise builds a daily one.
+export function buildConcentration(mode, data, timeSeries = buildTimeSeries(mode, data, 'day'), now = Math.floor(Date.now() / 1000)) {
+  const addresses = timestampsByAddress(mode, data);
+  const field = SERIES_FIELDS[mode];
+
+  return {
+    ...concentrationMetrics(addresses.map(a => a.count)),
+    active: Object.entries(ACTIVE_WINDOWS).map(([window, seconds]) => ({
+      window,
+      seconds,
+      count: addresses.filter(a => a.timestamps.some(t => t !== undefined && t >= now - seconds)).length
+    })),
+    bucket: timeSeries.bucket,
+    series: timeSeries.series.map(entry => ({
+      start: entry.start,
+      timestamp: entry.timestamp,
+      ...concentrationMetrics(Object.values(entry[field]))
+    }))
+  };
+}
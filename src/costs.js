@@ -0,0 +1,187 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { mapConcurrent } from './rpc.js';
+
+// Cost of submitting proofs, from the receipts and transactions of the
+// proof submissions. Receipts are cached in the archive directory by
+// transaction hash, so each one is fetched at most once; entries for reorged
+// blocks are dropped by forgetProofCostsAfter. Amounts are wei strings, the
+// proofs are paid for in ETH whatever the staking asset is.
+
+// Blob gas per blob (EIP-4844), for receipts that don't report blobGasUsed
+const GAS_PER_BLOB = 131072n;
+
+// Cost of one transaction: gas at its effective gas price, plus its blob fee
+// when it carries blobs. blobCost is null when the blob gas price is unknown,
+// and totalCost then only covers the execution.
+function costFromReceipt(receipt, tx) {
+  const blobs = BigInt(tx.blobVersionedHashes?.length ?? 0);
+  const blobGasUsed = receipt.blobGasUsed ?? (blobs > 0n ? blobs * GAS_PER_BLOB : null);
+  const blobGasPrice = receipt.blobGasPrice ?? null;
+
+  const executionCost = receipt.gasUsed * receipt.gasPrice;
+  let blobCost = 0n;
+  if (blobGasUsed !== null && blobGasUsed > 0n) {
+    blobCost = blobGasPrice === null ? null : blobGasUsed * blobGasPrice;
+  }
+
+  return {
+    ethBlockNumber: receipt.blockNumber,
+    from: tx.from,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.gasPrice.toString(),
+    blobGasUsed: blobGasUsed?.toString() ?? null,
+    blobGasPrice: blobGasPrice?.toString() ?? null,
+    executionCost: executionCost.toString(),
+    blobCost: blobCost?.toString() ?? null,
+    totalCost: (executionCost + (blobCost ?? 0n)).toString()
+  };
+}
+
+// Up to `concurrency` transactions are fetched at once. onProgress receives
+// the indexer's progress events (see indexer.js).
+export function createProofCostCache(archiveDir, { concurrency = 10, onProgress = () => {} } = {}) {
+  const proofCostsFile = path.join(archiveDir, 'proof-costs.json');
+  let cache = null;
+
+  // { txHash: cost } of every cached transaction. The same object is updated
+  // by later fetches.
+  function loadProofCosts() {
+    if (!cache) {
+      cache = fs.existsSync(proofCostsFile)
+        ? JSON.parse(fs.readFileSync(proofCostsFile, 'utf-8'))
+        : {};
+    }
+    return cache;
+  }
+
+  function saveCache() {
+    if (!fs.existsSync(archiveDir)) {
+      fs.mkdirSync(archiveDir, { recursive: true });
+    }
+    fs.writeFileSync(proofCostsFile, JSON.stringify(cache));
+  }
+
+  // Fetch the receipts and transactions of the given hashes that aren't
+  // cached yet. A transaction that can't be fetched is left out of the cache
+  // so a later run tries it again. Returns { fetched, failed, error }, error
+  // being the first failure.
+  async function fetchProofCosts(provider, txHashes) {
+    const costs = loadProofCosts();
+    const missing = [...new Set(txHashes)].filter(hash => costs[hash] === undefined);
+    let fetched = 0;
+    let failed = 0;
+    let error = null;
+
+    await mapConcurrent(missing, concurrency, async hash => {
+      try {
+        const [receipt, tx] = await Promise.all([provider.getTransactionReceipt(hash), provider.getTransaction(hash)]);
+        if (!receipt || !tx) {
+          throw new Error(`transaction ${hash} not found`);
+        }
+        costs[hash] = costFromReceipt(receipt, tx);
+        fetched++;
+      } catch (e) {
+        failed++;
+        error = error ?? e;
+      }
+      if ((fetched + failed) % 50 === 0 && fetched + failed < missing.length) {
+        onProgress({
+          type: 'proofCosts',
+          level: 'info',
+          message: `  Fetched ${fetched + failed}/${missing.length} proof receipts...`,
+          fetched: fetched + failed,
+          total: missing.length
+        });
+      }
+    });
+
+    if (fetched > 0) {
+      saveCache();
+    }
+
+    return { fetched, failed, error };
+  }
+
+  function forgetProofCostsAfter(blockNumber) {
+    const costs = loadProofCosts();
+    for (const [hash, cost] of Object.entries(costs)) {
+      if (cost.ethBlockNumber > blockNumber) {
+        delete costs[hash];
+      }
+    }
+    saveCache();
+  }
+
+  // Drop the costs held in memory, so the next lookup reads the file again
+  // after another process changed it
+  function reloadProofCosts() {
+    cache = null;
+  }
+
+  return { loadProofCosts, fetchProofCosts, forgetProofCostsAfter, reloadProofCosts };
+}
+
+// Cost of one proof. Proofs submitted in the same transaction split its gas
+// and fees evenly.
+export function proofCost(cost, proofsInTx = 1) {
+  const share = BigInt(proofsInTx);
+  const split = value => value === null ? null : (BigInt(value) / share).toString();
+
+  return {
+    gasUsed: split(cost.gasUsed),
+    effectiveGasPrice: cost.effectiveGasPrice,
+    blobGasUsed: split(cost.blobGasUsed),
+    blobGasPrice: cost.blobGasPrice,
+    executionCost: split(cost.executionCost),
+    blobCost: split(cost.blobCost),
+    totalCost: split(cost.totalCost)
+  };
+}
+
+const COST_TOTALS = ['gasUsed', 'blobGasUsed', 'executionCost', 'blobCost', 'totalCost'];
+
+// Averages of summed costs: the gas price weighted by gas used, and the cost
+// per proof with a known cost
+function withAverages(totals) {
+  const gasUsed = BigInt(totals.gasUsed);
+  return {
+    ...totals,
+    averageGasPrice: gasUsed > 0n ? (BigInt(totals.executionCost) / gasUsed).toString() : null,
+    averageCostPerProof: totals.proofsWithCost > 0 ? (BigInt(totals.totalCost) / BigInt(totals.proofsWithCost)).toString() : null
+  };
+}
+
+// Cost totals of a list of proof costs (see proofCost), null for proofs whose
+// receipt hasn't been fetched
+export function summarizeCosts(costs) {
+  const known = costs.filter(Boolean);
+  const totals = { proofsWithCost: known.length, proofsWithoutCost: costs.length - known.length };
+  for (const field of COST_TOTALS) {
+    totals[field] = known.reduce((sum, cost) => sum + BigInt(cost[field] ?? 0), 0n).toString();
+  }
+  return withAverages(totals);
+}
+
+// Cost totals of several summaries, e.g. the provers of an operator
+export function mergeCostSummaries(summaries) {
+  const totals = {
+    proofsWithCost: summaries.reduce((sum, s) => sum + s.proofsWithCost, 0),
+    proofsWithoutCost: summaries.reduce((sum, s) => sum + s.proofsWithoutCost, 0)
+  };
+  for (const field of COST_TOTALS) {
+    totals[field] = summaries.reduce((sum, s) => sum + BigInt(s[field]), 0n).toString();
+  }
+  return withAverages(totals);
+}
+
+// Cost in wei as ETH for the console, e.g. "0.004213 ETH"
+export function formatCost(wei) {
+  return `${Number(ethers.formatEther(wei)).toFixed(6)} ETH`;
+}
+
+// Gas price in wei as gwei, e.g. "12.50 gwei"
+export function formatGasPrice(wei) {
+  return `${Number(ethers.formatUnits(wei, 'gwei')).toFixed(2)} gwei`;
+}
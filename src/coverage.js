@@ -0,0 +1,223 @@
+// L2 proof coverage and race analysis. Reconstructs the proven L2 chain from
+// the L2 block number carried by each L2ProofVerified event in a prover stats
+// file: which epochs were proven, which of them more than once, and for each
+// prover how often it was the first to prove them compared to its raw proof
+// count. L2 block numbers start over with every rollup
+// version, so the analysis covers a single version when proofs carry one.
+//
+// The block number of a proof is the last L2 block of the epoch it proves, so
+// a proof that lands above the proven tip proves every block from the old tip
+// up to its own. A proof at or below the tip proves nothing new. The blocks
+// below the first proof in the stats are left out, as the tip it started from
+// is not known.
+//
+// Proofs alone can't show what was never proven, so the unproven ranges come
+// from a proposer stats file when one is passed in: the blocks proposed above
+// the proven tip, and the proposals pruned from the chain before a proof
+// reached them.
+
+// Order proofs by when they landed on L1
+function byInclusion(a, b) {
+  return a.ethBlockNumber - b.ethBlockNumber || (a.logIndex ?? 0) - (b.logIndex ?? 0);
+}
+
+// The epoch that proved an L2 block, or undefined if the block is below the
+// first one. Epochs are in proven order, so their block ranges ascend.
+function findEpoch(epochs, l2BlockNumber) {
+  let low = 0;
+  let high = epochs.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (epochs[mid].to < l2BlockNumber) {
+      low = mid + 1;
+    } else if (epochs[mid].from > l2BlockNumber) {
+      high = mid - 1;
+    } else {
+      return epochs[mid];
+    }
+  }
+  return undefined;
+}
+
+// Highest L2 block number of the given proposals
+function highestProposed(proposals) {
+  return proposals.reduce((max, p) => Math.max(max, p.l2BlockNumber), -Infinity);
+}
+
+// Ranges of L2 blocks that were proposed but never proven, from proposer
+// stats. Pruned proposals are grouped by runs of consecutive block numbers in
+// the order they were proposed, as a prune drops every pending proposal from
+// its block number up. The block numbers of a pruned range are usually
+// proposed and proven again, its proposals never are.
+function findUnprovenRanges(proposals, tip) {
+  const ranges = [];
+  let current = null;
+  for (const proposal of proposals.filter(p => p.status === 'pruned').sort(byInclusion)) {
+    if (current && proposal.l2BlockNumber === current.to + 1) {
+      current.to++;
+      current.blocks++;
+      continue;
+    }
+    current = {
+      from: proposal.l2BlockNumber,
+      to: proposal.l2BlockNumber,
+      blocks: 1,
+      status: 'pruned',
+      ethBlockNumber: proposal.ethBlockNumber
+    };
+    ranges.push(current);
+  }
+
+  // Proposals still on the chain above the proven tip are waiting for a proof
+  const canonical = proposals.filter(p => p.status !== 'pruned');
+  if (canonical.length > 0) {
+    const from = tip === null ? canonical.reduce((min, p) => Math.min(min, p.l2BlockNumber), Infinity) : tip + 1;
+    const to = highestProposed(canonical);
+    if (to >= from) {
+      ranges.push({ from, to, blocks: to - from + 1, status: 'pending', ethBlockNumber: null });
+    }
+  }
+
+  return ranges.sort((a, b) => a.from - b.from || a.ethBlockNumber - b.ethBlockNumber);
+}
+
+// Proofs of every version are analyzed together when rollupVersion is
+// undefined. `proposals` is an optional proposer stats file to find the
+// unproven ranges in.
+export function analyzeCoverage(data, rollupVersion, proposals) {
+  const proofs = data.provers.flatMap(p => p.blocks
+    .filter(b => rollupVersion === undefined || b.rollupVersion === rollupVersion)
+    .map(b => ({
+      prover: p.address,
+      l2BlockNumber: Number(b.blockNumber),
+      ethBlockNumber: b.ethBlockNumber,
+      logIndex: b.logIndex,
+      timestamp: b.timestamp,
+      txHash: b.txHash
+    })))
+    .sort(byInclusion);
+
+  const proverStats = {};
+  const getProver = address => {
+    if (!proverStats[address]) {
+      proverStats[address] = {
+        address,
+        proofCount: 0,
+        firstToProve: 0,
+        firstToProveBlocks: 0,
+        redundant: 0,
+        delays: 0,
+        totalDelayBlocks: 0,
+        totalDelaySeconds: 0,
+        delaysWithTimestamp: 0
+      };
+    }
+    return proverStats[address];
+  };
+
+  // Walk the proofs in L1 order, advancing the proven tip. Each proof that
+  // advances it opens an epoch, later proofs of a block in that epoch are
+  // redundant and count against it.
+  const epochs = [];
+  let tip = null;
+  for (const proof of proofs) {
+    const stats = getProver(proof.prover);
+    stats.proofCount++;
+
+    if (tip === null || proof.l2BlockNumber > tip) {
+      const from = tip === null ? proof.l2BlockNumber : tip + 1;
+      epochs.push({ from, to: proof.l2BlockNumber, winner: proof, redundant: [] });
+      stats.firstToProve++;
+      stats.firstToProveBlocks += proof.l2BlockNumber - from + 1;
+      tip = proof.l2BlockNumber;
+      continue;
+    }
+
+    stats.redundant++;
+    // A proof of a block below the first epoch raced a proof the stats
+    // don't include, so there's no delay to measure
+    const epoch = findEpoch(epochs, proof.l2BlockNumber);
+    if (!epoch) {
+      continue;
+    }
+    epoch.redundant.push(proof);
+    stats.delays++;
+    stats.totalDelayBlocks += proof.ethBlockNumber - epoch.winner.ethBlockNumber;
+    if (proof.timestamp !== undefined && epoch.winner.timestamp !== undefined) {
+      stats.totalDelaySeconds += proof.timestamp - epoch.winner.timestamp;
+      stats.delaysWithTimestamp++;
+    }
+  }
+
+  const contested = epochs
+    .filter(epoch => epoch.redundant.length > 0)
+    .map(({ from, to, winner, redundant }) => ({
+      fromL2Block: from,
+      toL2Block: to,
+      winner: {
+        prover: winner.prover,
+        ethBlockNumber: winner.ethBlockNumber,
+        txHash: winner.txHash
+      },
+      redundant: redundant.map(p => ({
+        prover: p.prover,
+        l2BlockNumber: p.l2BlockNumber,
+        ethBlockNumber: p.ethBlockNumber,
+        delayBlocks: p.ethBlockNumber - winner.ethBlockNumber,
+        txHash: p.txHash
+      }))
+    }));
+
+  const totalProofs = proofs.length;
+  const provenBlocks = epochs.reduce((sum, e) => sum + e.to - e.from + 1, 0);
+
+  const provers = Object.values(proverStats)
+    .map(p => ({
+      address: p.address,
+      proofCount: p.proofCount,
+      proofShare: totalProofs > 0 ? p.proofCount / totalProofs : 0,
+      firstToProve: p.firstToProve,
+      firstToProveBlocks: p.firstToProveBlocks,
+      firstToProveShare: provenBlocks > 0 ? p.firstToProveBlocks / provenBlocks : 0,
+      redundant: p.redundant,
+      avgDelayBlocks: p.delays > 0 ? p.totalDelayBlocks / p.delays : null,
+      avgDelaySeconds: p.delaysWithTimestamp > 0 ? p.totalDelaySeconds / p.delaysWithTimestamp : null
+    }))
+    .sort((a, b) => b.firstToProveBlocks - a.firstToProveBlocks || b.proofCount - a.proofCount);
+
+  const lowest = epochs[0]?.from;
+  const highest = epochs[epochs.length - 1]?.to;
+
+  const proposed = proposals
+    ? proposals.proposers.flatMap(p => p.blocks
+      .filter(b => rollupVersion === undefined || b.rollupVersion === rollupVersion)
+      .map(b => ({
+        l2BlockNumber: Number(b.blockNumber),
+        ethBlockNumber: b.ethBlockNumber,
+        logIndex: b.logIndex,
+        status: b.status
+      })))
+    : [];
+  const unprovenRanges = proposals ? findUnprovenRanges(proposed, tip) : [];
+  const canonical = proposed.filter(p => p.status !== 'pruned');
+
+  return {
+    rollupVersion: rollupVersion ?? null,
+    summary: {
+      totalProofs,
+      provenEpochs: epochs.length,
+      uniqueL2BlocksProven: provenBlocks,
+      lowestL2Block: lowest ?? null,
+      highestL2Block: highest ?? null,
+      avgEpochBlocks: epochs.length > 0 ? provenBlocks / epochs.length : 0,
+      contestedEpochs: contested.length,
+      redundantProofs: totalProofs - epochs.length,
+      highestProposedL2Block: canonical.length > 0 ? highestProposed(canonical) : null,
+      unprovenRanges: unprovenRanges.length,
+      unprovenBlocks: unprovenRanges.reduce((sum, r) => sum + r.blocks, 0)
+    },
+    provers,
+    unprovenRanges,
+    contested
+  };
+}
@@ -0,0 +1,183 @@
+// Differences between two stats snapshots of the same mode: per-prover proof
+// deltas and rank changes, provers that appeared or disappeared, slashes added
+// since the earlier snapshot, and withdrawals whose status moved on. Statuses
+// are taken as of each snapshot's scan time.
+
+// Key for each item, with a counter appended to keys seen before so identical
+// events (e.g. two equal withdrawals in one transaction) stay distinct
+function keyItems(items, keyOf) {
+  const seen = new Map();
+  return items.map(item => {
+    const key = keyOf(item);
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+    return { key: `${key}#${count}`, item };
+  });
+}
+
+function byAddress(items) {
+  return new Map(items.map((item, index) => [item.address.toLowerCase(), { item, rank: index + 1 }]));
+}
+
+function snapshotInfo(data) {
+  return {
+    scannedAt: data.scannedAt,
+    blockRange: data.blockRange
+  };
+}
+
+function delta(before, after) {
+  return { before, after, change: after - before };
+}
+
+function amountDelta(before, after) {
+  return { before, after, change: (BigInt(after) - BigInt(before)).toString() };
+}
+
+function diffProvers(before, after) {
+  const previous = byAddress(before.provers);
+  const current = byAddress(after.provers);
+
+  const provers = after.provers.map((prover, index) => {
+    const old = previous.get(prover.address.toLowerCase());
+    return {
+      address: prover.address,
+      proofs: delta(old ? old.item.proofCount : 0, prover.proofCount),
+      rank: { before: old ? old.rank : null, after: index + 1, change: old ? old.rank - (index + 1) : null },
+      isNew: !old
+    };
+  });
+
+  const disappeared = before.provers
+    .filter(p => !current.has(p.address.toLowerCase()))
+    .map(p => ({ address: p.address, proofCount: p.proofCount, rank: previous.get(p.address.toLowerCase()).rank }));
+
+  return {
+    summary: {
+      totalProofs: delta(before.summary.totalProofs, after.summary.totalProofs),
+      uniqueProvers: delta(before.summary.uniqueProvers, after.summary.uniqueProvers),
+      newProvers: provers.filter(p => p.isNew).length,
+      disappearedProvers: disappeared.length,
+      rankChanges: provers.filter(p => p.rank.change).length
+    },
+    provers,
+    newProvers: provers.filter(p => p.isNew),
+    disappearedProvers: disappeared,
+    // Provers that were already there and submitted nothing since
+    idleProvers: provers.filter(p => !p.isNew && p.proofs.change === 0).map(p => p.address)
+  };
+}
+
+function diffSlashes(before, after) {
+  const previous = byAddress(before.attesters);
+  const newSlashes = [];
+
+  for (const attester of after.attesters) {
+    const old = previous.get(attester.address.toLowerCase());
+    const known = new Set(keyItems(old ? old.item.slashes : [], s => `${s.txHash}:${s.amount}`).map(s => s.key));
+    for (const { key, item } of keyItems(attester.slashes, s => `${s.txHash}:${s.amount}`)) {
+      if (!known.has(key)) {
+        newSlashes.push({ attester: attester.address, firstSlash: !old, ...item });
+      }
+    }
+  }
+
+  newSlashes.sort((a, b) => a.ethBlockNumber - b.ethBlockNumber);
+
+  return {
+    summary: {
+      totalSlashes: delta(before.summary.totalSlashes, after.summary.totalSlashes),
+      totalAmountSlashed: amountDelta(before.summary.totalAmountSlashed, after.summary.totalAmountSlashed),
+      uniqueAttesters: delta(before.summary.uniqueAttesters, after.summary.uniqueAttesters),
+      newSlashes: newSlashes.length,
+      newlySlashedAttesters: new Set(newSlashes.filter(s => s.firstSlash).map(s => s.attester.toLowerCase())).size
+    },
+    newSlashes
+  };
+}
+
+// Status of a withdrawal at the time its snapshot was taken. Stats files
+// written before withdrawals were matched individually have no status.
+function withdrawalStatus(withdrawal, snapshot) {
+  if (withdrawal.status) {
+    return withdrawal.status;
+  }
+  if (withdrawal.finalization) {
+    return 'finalized';
+  }
+  const scannedAt = snapshot.currentTimestamp ?? Math.floor(new Date(snapshot.scannedAt).getTime() / 1000);
+  return scannedAt >= withdrawal.exitableAt ? 'finalizable' : 'pending';
+}
+
+function withdrawalKey(w) {
+  return `${w.txHash}:${w.recipient.toLowerCase()}:${w.amount}`;
+}
+
+function diffExits(before, after) {
+  const previousStatus = new Map();
+  for (const attester of before.attesters) {
+    for (const { key, item } of keyItems(attester.initiated, withdrawalKey)) {
+      previousStatus.set(`${attester.address.toLowerCase()}:${key}`, withdrawalStatus(item, before));
+    }
+  }
+
+  const newWithdrawals = [];
+  const statusChanges = [];
+
+  for (const attester of after.attesters) {
+    for (const { key, item } of keyItems(attester.initiated, withdrawalKey)) {
+      const from = previousStatus.get(`${attester.address.toLowerCase()}:${key}`);
+      const to = withdrawalStatus(item, after);
+      const entry = {
+        attester: attester.address,
+        recipient: item.recipient,
+        amount: item.amount,
+        txHash: item.txHash,
+        exitableAt: item.exitableAt,
+        finalizedTxHash: item.finalization?.txHash ?? null
+      };
+
+      if (from === undefined) {
+        newWithdrawals.push({ ...entry, status: to });
+      } else if (from !== to) {
+        statusChanges.push({ ...entry, from, to });
+      }
+    }
+  }
+
+  const moved = (from, to) => statusChanges.filter(c => c.from === from && c.to === to).length;
+
+  return {
+    summary: {
+      totalInitiated: delta(before.summary.totalInitiated, after.summary.totalInitiated),
+      totalFinalized: delta(before.summary.totalFinalized, after.summary.totalFinalized),
+      totalPending: delta(before.summary.totalPending, after.summary.totalPending),
+      newWithdrawals: newWithdrawals.length,
+      pendingToFinalizable: moved('pending', 'finalizable'),
+      pendingToFinalized: moved('pending', 'finalized'),
+      finalizableToFinalized: moved('finalizable', 'finalized')
+    },
+    newWithdrawals,
+    statusChanges
+  };
+}
+
+const DIFFS = {
+  prover: diffProvers,
+  slash: diffSlashes,
+  exit: diffExits
+};
+
+// Compare two stats snapshots of a mode (prover, slash or exit)
+export function diffStats(mode, before, after) {
+  if (!DIFFS[mode]) {
+    throw new Error(`Unknown mode "${mode}", expected one of: ${Object.keys(DIFFS).join(', ')}`);
+  }
+
+  return {
+    mode,
+    before: snapshotInfo(before),
+    after: snapshotInfo(after),
+    ...DIFFS[mode](before, after)
+  };
+}
@@ -0,0 +1,36 @@
+// Durations in seconds as shown in the console, the TUI and the progress
+// output: exit delays and proving times in words, scan ETAs in short form.
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+const DELAY_UNITS = [[86400, 'day'], [3600, 'hour'], [60, 'minute'], [1, 'second']];
+
+// Delays such as exit delays and proving times in their two largest units:
+// "1 day", "2 days 3 hours", "1 hour 5 minutes" or "45 seconds"
+export function formatDelay(seconds) {
+  const s = Math.max(Math.round(seconds), 0);
+  const index = DELAY_UNITS.findIndex(([size]) => s >= size);
+  if (index === -1) {
+    return plural(0, 'second');
+  }
+  const [size, unit] = DELAY_UNITS[index];
+  const delay = plural(Math.floor(s / size), unit);
+  if (index === DELAY_UNITS.length - 1) {
+    return delay;
+  }
+  const [nextSize, nextUnit] = DELAY_UNITS[index + 1];
+  const rest = Math.floor((s % size) / nextSize);
+  return rest > 0 ? `${delay} ${plural(rest, nextUnit)}` : delay;
+}
+
+// "1h 05m", "3m 20s" or "12s"
+export function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  if (s >= 3600) {
+    return `${Math.floor(s / 3600)}h ${String(Math.floor((s % 3600) / 60)).padStart(2, '0')}m`;
+  }
+  if (s >= 60) {
+    return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`;
+  }
+  return `${s}s`;
+}
@@ -0,0 +1,435 @@
+import { ethers } from 'ethers';
+import { createLabels } from './labels.js';
+import { formatTokenUnits } from './token.js';
+
+// Export formats for saved stats. Each stats mode is flattened into named
+// tables (one row per prover, proof, proposal, slash, pending exit, ...)
+// which are then rendered as CSV or Markdown, or streamed as NDJSON events.
+// Amounts are given both in base units and in whole tokens of the staking
+// asset (see token.js), as `amount` and `amountTokens`. Proof costs are in
+// ETH, with gas prices in gwei. The label and operator of the address each
+// row is about come from the `labels` option, and are left empty without it.
+
+export const FORMATS = ['json', 'csv', 'md', 'ndjson'];
+
+// Table written when a single CSV is requested without --table
+export const DEFAULT_TABLES = {
+  prover: 'provers',
+  proposer: 'proposers',
+  slash: 'attesters',
+  exit: 'pendingExits',
+  staking: 'attesters'
+};
+
+function amountColumns(amount, token) {
+  return [amount, formatTokenUnits(amount, token)];
+}
+
+function labelColumns(labels, address) {
+  const { label, operator } = labels.labelFields(address);
+  return [label ?? '', operator ?? ''];
+}
+
+const formatEth = wei => wei === null ? '' : ethers.formatEther(wei);
+const formatGwei = wei => wei === null ? '' : ethers.formatUnits(wei, 'gwei');
+
+// Cost columns of the provers and proofs tables, when the stats include proof
+// costs. Proofs without a fetched receipt have empty cost columns.
+const PROVER_COST_COLUMNS = ['proofsWithCost', 'gasUsed', 'averageGasPriceGwei', 'blobCostEth', 'totalCostWei', 'totalCostEth', 'averageCostPerProofEth'];
+const PROOF_COST_COLUMNS = ['gasUsed', 'effectiveGasPriceGwei', 'blobCostEth', 'costWei', 'costEth'];
+
+function proverCostColumns(costs) {
+  return [
+    costs.proofsWithCost,
+    costs.gasUsed,
+    formatGwei(costs.averageGasPrice),
+    formatEth(costs.blobCost),
+    costs.totalCost,
+    formatEth(costs.totalCost),
+    formatEth(costs.averageCostPerProof)
+  ];
+}
+
+function proofCostColumns(cost) {
+  if (!cost) {
+    return PROOF_COST_COLUMNS.map(() => '');
+  }
+  return [cost.gasUsed, formatGwei(cost.effectiveGasPrice), formatEth(cost.blobCost), cost.totalCost, formatEth(cost.totalCost)];
+}
+
+function getProverTables(data, labels) {
+  const total = data.summary.totalProofs;
+  const withCosts = Boolean(data.summary.costs);
+
+  return {
+    provers: {
+      columns: ['rank', 'address', 'label', 'operator', 'proofCount', 'sharePercent', ...(withCosts ? PROVER_COST_COLUMNS : [])],
+      rows: data.provers.map((p, i) => [
+        i + 1,
+        p.address,
+        ...labelColumns(labels, p.address),
+        p.proofCount,
+        total > 0 ? ((p.proofCount / total) * 100).toFixed(2) : '0.00',
+        ...(withCosts ? proverCostColumns(p.costs) : [])
+      ])
+    },
+    proofs: {
+      columns: ['prover', 'label', 'operator', 'rollupVersion', 'l2BlockNumber', 'ethBlockNumber', 'txHash', ...(withCosts ? PROOF_COST_COLUMNS : [])],
+      rows: data.provers
+        .flatMap(p => p.blocks.map(b => [
+          p.address,
+          ...labelColumns(labels, p.address),
+          b.rollupVersion,
+          b.blockNumber,
+          b.ethBlockNumber,
+          b.txHash,
+          ...(withCosts ? proofCostColumns(b.cost) : [])
+        ]))
+        .sort((a, b) => a[5] - b[5])
+    }
+  };
+}
+
+function getProposerTables(data, labels) {
+  const total = data.summary.totalBlocks;
+
+  return {
+    proposers: {
+      columns: ['rank', 'address', 'label', 'operator', 'blockCount', 'sharePercent', 'provenCount', 'pendingCount', 'prunedCount', 'averageProvingSeconds', 'medianProvingSeconds'],
+      rows: data.proposers.map((p, i) => [
+        i + 1,
+        p.address,
+        ...labelColumns(labels, p.address),
+        p.blockCount,
+        total > 0 ? ((p.blockCount / total) * 100).toFixed(2) : '0.00',
+        p.provenCount,
+        p.pendingCount,
+        p.prunedCount,
+        p.averageProvingSeconds,
+        p.medianProvingSeconds
+      ])
+    },
+    proposals: {
+      columns: ['proposer', 'label', 'operator', 'rollupVersion', 'l2BlockNumber', 'ethBlockNumber', 'txHash', 'status', 'provingSeconds', 'provenAtEthBlock', 'prover', 'proofTxHash'],
+      rows: data.proposers
+        .flatMap(p => p.blocks.map(b => [
+          p.address,
+          ...labelColumns(labels, p.address),
+          b.rollupVersion,
+          b.blockNumber,
+          b.ethBlockNumber,
+          b.txHash,
+          b.status,
+          b.provingSeconds,
+          b.proof ? b.proof.ethBlockNumber : '',
+          b.proof ? b.proof.prover : '',
+          b.proof ? b.proof.txHash : ''
+        ]))
+        .sort((a, b) => a[5] - b[5])
+    }
+  };
+}
+
+function getSlashTables(data, labels) {
+  return {
+    attesters: {
+      columns: ['address', 'label', 'operator', 'slashCount', 'totalAmount', 'totalAmountTokens'],
+      rows: data.attesters.map(a => [a.address, ...labelColumns(labels, a.address), a.slashCount, ...amountColumns(a.totalAmountSlashed, data.token)])
+    },
+    slashes: {
+      columns: ['attester', 'label', 'operator', 'amount', 'amountTokens', 'ethBlockNumber', 'txHash'],
+      rows: data.attesters
+        .flatMap(a => a.slashes.map(s => [a.address, ...labelColumns(labels, a.address), ...amountColumns(s.amount, data.token), s.ethBlockNumber, s.txHash]))
+        .sort((a, b) => a[5] - b[5])
+    }
+  };
+}
+
+function getExitTables(data, labels) {
+  // Like getStats.js, judge finalizability by the current time rather than
+  // the time of the scan
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    pendingExits: {
+      columns: ['attester', 'label', 'operator', 'recipient', 'amount', 'amountTokens', 'initiatedAt', 'exitableAt', 'canFinalize', 'ethBlockNumber', 'txHash'],
+      rows: data.pendingExits.map(e => [
+        e.attester,
+        ...labelColumns(labels, e.attester),
+        e.recipient,
+        ...amountColumns(e.amount, data.token),
+        new Date(e.timestamp * 1000).toISOString(),
+        new Date(e.exitableAt * 1000).toISOString(),
+        now >= e.exitableAt,
+        e.ethBlockNumber,
+        e.txHash
+      ])
+    },
+    withdrawals: {
+      columns: ['attester', 'label', 'operator', 'recipient', 'amount', 'amountTokens', 'status', 'initiatedAt', 'exitableAt', 'finalizedAt', 'timeToFinalizeSeconds', 'match', 'ethBlockNumber', 'txHash', 'finalizedTxHash'],
+      rows: data.attesters
+        .flatMap(a => a.initiated.map(e => [
+          e.attester ?? a.address,
+          ...labelColumns(labels, e.attester ?? a.address),
+          e.recipient,
+          ...amountColumns(e.amount, data.token),
+          e.finalization ? 'finalized' : now >= e.exitableAt ? 'finalizable' : 'pending',
+          new Date(e.timestamp * 1000).toISOString(),
+          new Date(e.exitableAt * 1000).toISOString(),
+          e.finalization ? new Date(e.finalization.timestamp * 1000).toISOString() : '',
+          e.finalization ? e.finalization.timestamp - e.timestamp : '',
+          e.finalization ? e.finalization.match : '',
+          e.ethBlockNumber,
+          e.txHash,
+          e.finalization ? e.finalization.txHash : ''
+        ]))
+        .sort((a, b) => a[12] - b[12])
+    },
+    attesters: {
+      columns: ['address', 'label', 'operator', 'initiatedCount', 'finalizedCount', 'pendingCount', 'initiatedAmount', 'initiatedAmountTokens', 'finalizedAmount', 'finalizedAmountTokens'],
+      rows: data.attesters.map(a => [
+        a.address,
+        ...labelColumns(labels, a.address),
+        a.initiatedCount,
+        a.finalizedCount,
+        a.pendingCount ?? a.initiatedCount - a.finalizedCount,
+        ...amountColumns(a.totalInitiatedAmount, data.token),
+        ...amountColumns(a.totalFinalizedAmount, data.token)
+      ])
+    }
+  };
+}
+
+function getStakingTables(data, labels) {
+  return {
+    attesters: {
+      columns: ['address', 'label', 'operator', 'status', 'stake', 'stakeTokens', 'totalDeposited', 'totalDepositedTokens', 'totalSlashed', 'totalSlashedTokens', 'totalWithdrawn', 'totalWithdrawnTokens', 'depositCount', 'slashCount', 'withdrawalCount', 'belowMinimumSince', 'belowMinimumTxHash'],
+      rows: data.attesters.map(a => [
+        a.address,
+        ...labelColumns(labels, a.address),
+        a.status,
+        ...amountColumns(a.stake, data.token),
+        ...amountColumns(a.totalDeposited, data.token),
+        ...amountColumns(a.totalSlashed, data.token),
+        ...amountColumns(a.totalWithdrawn, data.token),
+        a.depositCount,
+        a.slashCount,
+        a.withdrawalCount,
+        a.belowMinimumSince ? a.belowMinimumSince.event : '',
+        a.belowMinimumSince ? a.belowMinimumSince.txHash : ''
+      ])
+    },
+    history: {
+      columns: ['attester', 'label', 'operator', 'event', 'amount', 'amountTokens', 'stake', 'stakeTokens', 'rollupVersion', 'ethBlockNumber', 'txHash'],
+      rows: data.attesters
+        .flatMap(a => a.history.map(h => [
+          h.attester ?? a.address,
+          ...labelColumns(labels, h.attester ?? a.address),
+          h.event,
+          ...amountColumns(h.amount, data.token),
+          ...amountColumns(h.stake, data.token),
+          h.rollupVersion,
+          h.ethBlockNumber,
+          h.txHash
+        ]))
+        .sort((a, b) => a[9] - b[9])
+    }
+  };
+}
+
+// One row per rollup version with its totals
+function getVersionTable(mode, data) {
+  const rows = data.versions.map(({ version, rollupAddress, summary }) => {
+    if (mode === 'staking') {
+      return [version, rollupAddress, summary.totalDeposits, summary.totalSlashes, summary.totalWithdrawals, ...amountColumns(summary.totalStake, data.token), summary.uniqueAttesters, summary.belowMinimum];
+    } else if (mode === 'exit') {
+      return [version, rollupAddress, summary.totalInitiated, summary.totalFinalized, summary.totalPending, summary.uniqueAttesters];
+    } else if (mode === 'slash') {
+      return [version, rollupAddress, summary.totalSlashes, ...amountColumns(summary.totalAmountSlashed, data.token), summary.uniqueAttesters];
+    } else if (mode === 'proposer') {
+      return [version, rollupAddress, summary.totalBlocks, summary.provenBlocks, summary.pendingBlocks, summary.prunedBlocks, summary.uniqueProposers];
+    }
+    return [version, rollupAddress, summary.totalProofs, summary.uniqueProvers];
+  });
+
+  const columns = mode === 'staking'
+    ? ['version', 'rollupAddress', 'totalDeposits', 'totalSlashes', 'totalWithdrawals', 'totalStake', 'totalStakeTokens', 'uniqueAttesters', 'belowMinimum']
+    : mode === 'exit'
+      ? ['version', 'rollupAddress', 'totalInitiated', 'totalFinalized', 'totalPending', 'uniqueAttesters']
+      : mode === 'slash'
+        ? ['version', 'rollupAddress', 'totalSlashes', 'totalAmount', 'totalAmountTokens', 'uniqueAttesters']
+        : mode === 'proposer'
+          ? ['version', 'rollupAddress', 'totalBlocks', 'provenBlocks', 'pendingBlocks', 'prunedBlocks', 'uniqueProposers']
+          : ['version', 'rollupAddress', 'totalProofs', 'uniqueProvers'];
+
+  return { columns, rows };
+}
+
+export function getTables(mode, data, { labels = createLabels(null) } = {}) {
+  let tables;
+  if (mode === 'staking') {
+    tables = getStakingTables(data, labels);
+  } else if (mode === 'exit') {
+    tables = getExitTables(data, labels);
+  } else if (mode === 'slash') {
+    tables = getSlashTables(data, labels);
+  } else if (mode === 'proposer') {
+    tables = getProposerTables(data, labels);
+  } else {
+    tables = getProverTables(data, labels);
+  }
+
+  // Stats files written before rollup versions were tracked have no versions
+  if (data.versions) {
+    tables.versions = getVersionTable(mode, data);
+  }
+  if (data.concentration) {
+    tables.concentration = {
+      columns: ['start', 'total', 'participants', 'hhi', 'gini', 'nakamoto'],
+      rows: data.concentration.series.map(e => [e.start, e.total, e.participants, e.hhi, e.gini, e.nakamoto])
+    };
+  }
+  return tables;
+}
+
+function csvValue(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv({ columns, rows }) {
+  return [columns, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+function markdownValue(value) {
+  return String(value ?? '').replace(/\|/g, '\\|');
+}
+
+export function toMarkdown({ columns, rows }) {
+  const lines = [
+    `| ${columns.join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(markdownValue).join(' | ')} |`)
+  ];
+  return lines.join('\n') + '\n';
+}
+
+// One JSON object per event, in L1 block order
+export function toNdjson(mode, data, { labels = createLabels(null) } = {}) {
+  let events;
+
+  if (mode === 'staking') {
+    events = data.attesters.flatMap(a => a.history.map(h => ({
+      event: h.event,
+      attester: h.attester ?? a.address,
+      ...labels.labelFields(h.attester ?? a.address),
+      amount: h.amount,
+      amountTokens: formatTokenUnits(h.amount, data.token),
+      stake: h.stake,
+      stakeTokens: formatTokenUnits(h.stake, data.token),
+      rollupVersion: h.rollupVersion,
+      ethBlockNumber: h.ethBlockNumber,
+      txHash: h.txHash
+    })));
+  } else if (mode === 'exit') {
+    events = data.attesters.flatMap(a => [
+      ...a.initiated.map(e => ({
+        event: 'WithdrawInitiated',
+        attester: e.attester ?? a.address,
+        ...labels.labelFields(e.attester ?? a.address),
+        recipient: e.recipient,
+        amount: e.amount,
+        amountTokens: formatTokenUnits(e.amount, data.token),
+        timestamp: e.timestamp,
+        exitableAt: e.exitableAt,
+        status: e.status,
+        finalizedTxHash: e.finalization ? e.finalization.txHash : null,
+        ethBlockNumber: e.ethBlockNumber,
+        txHash: e.txHash
+      })),
+      ...a.finalized.map(e => ({
+        event: 'WithdrawFinalized',
+        attester: e.attester ?? a.address,
+        ...labels.labelFields(e.attester ?? a.address),
+        recipient: e.recipient,
+        amount: e.amount,
+        amountTokens: formatTokenUnits(e.amount, data.token),
+        match: e.match,
+        ethBlockNumber: e.ethBlockNumber,
+        txHash: e.txHash
+      }))
+    ]);
+  } else if (mode === 'slash') {
+    events = data.attesters.flatMap(a => a.slashes.map(s => ({
+      event: 'Slashed',
+      attester: a.address,
+      ...labels.labelFields(a.address),
+      amount: s.amount,
+      amountTokens: formatTokenUnits(s.amount, data.token),
+      ethBlockNumber: s.ethBlockNumber,
+      txHash: s.txHash
+    })));
+  } else if (mode === 'proposer') {
+    events = data.proposers.flatMap(p => p.blocks.map(b => ({
+      event: 'L2BlockProposed',
+      proposer: p.address,
+      ...labels.labelFields(p.address),
+      rollupVersion: b.rollupVersion,
+      l2BlockNumber: b.blockNumber,
+      status: b.status,
+      provingSeconds: b.provingSeconds,
+      proofTxHash: b.proof ? b.proof.txHash : null,
+      ethBlockNumber: b.ethBlockNumber,
+      txHash: b.txHash
+    })));
+  } else {
+    events = data.provers.flatMap(p => p.blocks.map(b => ({
+      event: 'L2ProofVerified',
+      prover: p.address,
+      ...labels.labelFields(p.address),
+      rollupVersion: b.rollupVersion,
+      l2BlockNumber: b.blockNumber,
+      ...(b.cost !== undefined && { cost: b.cost }),
+      ethBlockNumber: b.ethBlockNumber,
+      txHash: b.txHash
+    })));
+  }
+
+  events.sort((a, b) => a.ethBlockNumber - b.ethBlockNumber);
+  return events.map(e => JSON.stringify(e)).join('\n') + (events.length > 0 ? '\n' : '');
+}
+
+// Render a stats file in one format. For CSV a single table is rendered
+// (DEFAULT_TABLES unless one is named with `table`), Markdown includes every
+// table. `labels` (see labels.js) fills the label and operator columns.
+export function formatStats(mode, data, format, { table: tableName, labels } = {}) {
+  if (format === 'json') {
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  if (format === 'ndjson') {
+    return toNdjson(mode, data, { labels });
+  }
+
+  const tables = getTables(mode, data, { labels });
+
+  if (format === 'csv') {
+    const name = tableName || DEFAULT_TABLES[mode];
+    if (!tables[name]) {
+      throw new Error(`Unknown table "${name}" for ${mode} stats, expected one of: ${Object.keys(tables).join(', ')}`);
+    }
+    return toCsv(tables[name]);
+  }
+
+  if (format === 'md') {
+    const names = tableName ? [tableName] : Object.keys(tables);
+    return names.map(name => {
+      if (!tables[name]) {
+        throw new Error(`Unknown table "${name}" for ${mode} stats, expected one of: ${Object.keys(tables).join(', ')}`);
+      }
+      return `### ${name}\n\n${toMarkdown(tables[name])}`;
+    }).join('\n');
+  }
+
+  throw new Error(`Unknown format "${format}", expected one of: ${FORMATS.join(', ')}`);
+}
@@ -1,78 +1,183 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { ethers } from 'ethers';
+import { STATS_FILES, readStatsFile, createStatsFiles } from './statsFiles.js';
+import { FORMATS, formatStats } from './formats.js';
+import { BUCKETS, buildTimeSeries, sparkline } from './timeseries.js';
+import { analyzeCoverage } from './coverage.js';
+import { buildConcentration } from './concentration.js';
+import { buildAddressProfile } from './profile.js';
+import { diffStats } from './diff.js';
+import { NETWORK, LABELS_FILE } from './network.js';
+import { loadLabels } from './labels.js';
+import { formatTokenAmount, formatTokenUnits } from './token.js';
+import { formatCost, formatGasPrice } from './costs.js';
+import { formatDelay } from './durations.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Parse command line arguments (e.g., "npm run stats slash" or "npm run stats exit")
-const MODE = process.argv[2] || 'proofs';
+// Parse command line arguments (e.g., "npm run stats slash" or "npm run stats exit --format=csv")
+// Views other than the per-mode stats are selected by a command before the
+// mode (e.g., "npm run stats timeseries slash -- --bucket=week")
+const ARGS = process.argv.slice(2);
+const POSITIONAL = ARGS.filter(arg => !arg.startsWith('--'));
+const COMMAND = ['timeseries', 'coverage', 'address', 'compare'].includes(POSITIONAL[0]) ? POSITIONAL.shift() : null;
+const MODE = POSITIONAL[0] || 'proofs';
 const SLASH_MODE = MODE === 'slash';
 const EXIT_MODE = MODE === 'exit';
+const PROPOSALS_MODE = MODE === 'proposals';
+const STAKING_MODE = MODE === 'staking';
 
-function getLatestStatsFile(mode) {
-  const dataDir = path.join(__dirname, '..', 'data');
+// Stats file mode of the selected mode
+const STATS_MODE = EXIT_MODE ? 'exit' : SLASH_MODE ? 'slash' : PROPOSALS_MODE ? 'proposer' : STAKING_MODE ? 'staking' : 'prover';
 
-  let filePrefix, command, modeName;
-  if (mode === 'exit') {
-    filePrefix = 'exit-stats-';
-    command = 'npm run exit';
-    modeName = 'exit';
-  } else if (mode === 'slash') {
-    filePrefix = 'slash-stats-';
-    command = 'npm run slash';
-    modeName = 'slash';
-  } else {
-    filePrefix = 'prover-stats-';
-    command = 'npm start';
-    modeName = 'prover';
-  }
+// --format prints the latest stats as csv, md, ndjson or json instead of the
+// console view; --table picks the table for csv and md
+const getOption = name => ARGS.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+const FORMAT = getOption('format');
+const TABLE = getOption('table');
+
+// Time series options: bucket size and number of most recent buckets listed
+const BUCKET = getOption('bucket') || 'day';
+const LAST_BUCKETS = getOption('last') ? parseInt(getOption('last')) : 30;
+
+// Longest sparkline printed, older buckets are cut off
+const MAX_SPARKLINE_LENGTH = 60;
+
+// Most recent buckets listed under the proof cost trend
+const COST_TREND_BUCKETS = 10;
+
+const DATA_DIR = NETWORK.dataDir;
+const { listStatsFiles, loadLatestStats, findStatsFile } = createStatsFiles(DATA_DIR);
+
+// Header prefix, e.g. "AZTEC TESTNET" (set by the network profile)
+const NETWORK_TITLE = NETWORK.displayName.toUpperCase();
+
+// Rollup version analyzed by the coverage view (defaults to the newest)
+const ROLLUP_VERSION = getOption('rollup-version');
+
+// Prover stats analyzed by the coverage view instead of the latest: a file,
+// date or L1 block, as for compare
+const COVERAGE_STATS = getOption('stats');
 
-  if (!fs.existsSync(dataDir)) {
+// Proposer stats the coverage view finds unproven ranges in instead of the
+// latest, picked the same way
+const COVERAGE_PROPOSALS = getOption('proposals');
+
+// Unproven ranges, contested epochs and per-version entries listed
+const MAX_LISTED = getOption('limit') ? parseInt(getOption('limit')) : 20;
+
+// Group proofs, slashes, exits and stakes per operator (from labels.json)
+// instead of per address
+const BY_OPERATOR = ARGS.includes('--by-operator');
+
+// Address labels for the printed stats and exports
+let labels;
+try {
+  labels = loadLabels(LABELS_FILE);
+} catch (error) {
+  console.error(`Error: could not load labels from ${LABELS_FILE}: ${error.message}`);
+  process.exit(1);
+}
+const { formatAddress, findUnlabeled, groupByOperator } = labels;
+
+// Snapshots compared by the compare command: a file, date or L1 block each.
+// Defaults to the latest snapshot and the one before it.
+const COMPARE_FROM = getOption('from');
+const COMPARE_TO = getOption('to');
+
+function getLatestStatsFile(mode) {
+  const { command } = STATS_FILES[mode];
+
+  if (!fs.existsSync(DATA_DIR)) {
     console.error(`No data directory found. Run the indexer first with: ${command}`);
     process.exit(1);
   }
 
-  const files = fs.readdirSync(dataDir)
-    .filter(f => f.startsWith(filePrefix) && f.endsWith('.json'))
-    .map(f => ({
-      name: f,
-      path: path.join(dataDir, f),
-      time: fs.statSync(path.join(dataDir, f)).mtime.getTime()
-    }))
-    .sort((a, b) => b.time - a.time);
+  const files = listStatsFiles(mode);
 
   if (files.length === 0) {
-    console.error(`No ${modeName} stats files found. Run the indexer first with: ${command}`);
+    console.error(`No ${mode} stats files found. Run the indexer first with: ${command}`);
     process.exit(1);
   }
 
   return files[0].path;
 }
 
+// Stats file contents, grouped per operator with --by-operator
+function loadStats(mode, file) {
+  const data = readStatsFile(file);
+  return BY_OPERATOR ? groupByOperator(mode, data) : data;
+}
+
+// Width of the longest label, to line up the bars and sparklines after them
+function labelWidth(labels) {
+  return labels.reduce((max, label) => Math.max(max, label.length), 0);
+}
+
+// Addresses an operator entry covers, printed under it in grouped views
+function displayGroupMembers(item) {
+  if (item.addresses && item.addresses.length > 1) {
+    console.log(`  Addresses: ${item.addresses.map(a => formatAddress(a, { short: true })).join(', ')}`);
+  }
+}
+
+// Warn about top provers (or attesters) that have no label in labels.json
+function displayUnlabeled(items) {
+  const unlabeled = findUnlabeled(items);
+  if (unlabeled.length > 0) {
+    console.log('');
+    console.log(`Warning: ${unlabeled.length} of the top ${Math.min(items.length, 10)} have no label in ${path.basename(LABELS_FILE)}:`);
+    for (const item of unlabeled) {
+      console.log(`  ${item.address}`);
+    }
+  }
+}
+
+// Warn when the indexer could not fetch some block ranges, since every total
+// below will be missing the events from those blocks
+function displayDataWarnings(data) {
+  const failedRanges = data.failedRanges || [];
+  if (failedRanges.length === 0) {
+    return;
+  }
+
+  const missingBlocks = failedRanges.reduce((sum, r) => sum + r.to - r.from + 1, 0);
+  console.log('!'.repeat(80));
+  console.log(`WARNING: DATA IS INCOMPLETE - ${failedRanges.length} block range(s) (${missingBlocks} blocks) could not be fetched`);
+  for (const range of failedRanges) {
+    console.log(`  Blocks ${range.from} to ${range.to}: ${range.error}`);
+  }
+  console.log('Re-run the indexer to retry these ranges.');
+  console.log('!'.repeat(80));
+  console.log('');
+}
+
 function displayProverStats() {
   const statsFile = getLatestStatsFile('prover');
   console.log(`Reading stats from: ${path.basename(statsFile)}\n`);
 
-  const data = JSON.parse(fs.readFileSync(statsFile, 'utf-8'));
+  const data = loadStats('prover', statsFile);
+  displayDataWarnings(data);
 
   console.log('='.repeat(80));
-  console.log('AZTEC TESTNET PROVER STATISTICS');
+  console.log(`${NETWORK_TITLE} PROVER STATISTICS${BY_OPERATOR ? ' BY OPERATOR' : ''}`);
   console.log('='.repeat(80));
   console.log(`Scanned at: ${new Date(data.scannedAt).toLocaleString()}`);
   console.log(`Block range: ${data.blockRange.from} to ${data.blockRange.to}`);
   console.log(`Total proofs: ${data.summary.totalProofs}`);
-  console.log(`Unique provers: ${data.summary.uniqueProvers}`);
+  console.log(`${BY_OPERATOR ? 'Operators' : 'Unique provers'}: ${data.summary.uniqueProvers}`);
   console.log('');
 
-  console.log('Proofs by Prover:');
+  console.log(BY_OPERATOR ? 'Proofs by Operator:' : 'Proofs by Prover:');
   console.log('-'.repeat(80));
 
   for (const prover of data.provers) {
     const percentage = ((prover.proofCount / data.summary.totalProofs) * 100).toFixed(2);
-    console.log(`${prover.address}`);
+    console.log(formatAddress(prover.address));
+    displayGroupMembers(prover);
     console.log(`  Proofs: ${prover.proofCount} (${percentage}%)`);
+    if (prover.costs && prover.costs.proofsWithCost > 0) {
+      console.log(`  Cost: ${formatCost(prover.costs.totalCost)}, ${formatCost(prover.costs.averageCostPerProof)} per proof at ${formatGasPrice(prover.costs.averageGasPrice)}, ${prover.costs.gasUsed} gas`);
+    }
     console.log(`  Recent blocks: ${prover.blocks.slice(0, 5).map(b => b.blockNumber).join(', ')}${prover.blocks.length > 5 ? '...' : ''}`);
     console.log('');
   }
@@ -82,29 +187,140 @@ function displayProverStats() {
   console.log('-'.repeat(80));
   const maxBarLength = 50;
   const maxCount = Math.max(...data.provers.map(p => p.proofCount));
+  const width = labelWidth(data.provers.map(p => formatAddress(p.address, { short: true })));
 
   for (const prover of data.provers) {
     const barLength = Math.ceil((prover.proofCount / maxCount) * maxBarLength);
     const bar = '█'.repeat(barLength);
-    const shortAddress = `${prover.address.slice(0, 6)}...${prover.address.slice(-4)}`;
-    console.log(`${shortAddress} ${bar} ${prover.proofCount}`);
+    console.log(`${formatAddress(prover.address, { short: true }).padEnd(width)} ${bar} ${prover.proofCount}`);
   }
+
+  displayUnlabeled(data.provers);
+
+  if (data.summary.costs) {
+    displayProofCosts(data);
+  }
+
+  displayConcentration('prover', data);
+  displayVersionStats('prover', data);
+}
+
+// Totals of what submitting the proofs cost, and the average cost per proof
+// over time (--bucket) from the proofs whose receipt was fetched
+function displayProofCosts(data) {
+  const { costs } = data.summary;
+
+  console.log('\nProof Costs:');
+  console.log('-'.repeat(80));
+  console.log(`Total spent: ${formatCost(costs.totalCost)} on ${costs.proofsWithCost} proofs`);
+  if (costs.proofsWithoutCost > 0) {
+    console.log(`Proofs without a receipt yet: ${costs.proofsWithoutCost} (fetched on the next indexer run)`);
+  }
+  if (costs.averageCostPerProof === null) {
+    return;
+  }
+  console.log(`Average per proof: ${formatCost(costs.averageCostPerProof)}`);
+  console.log(`Average gas price: ${formatGasPrice(costs.averageGasPrice)}, ${costs.gasUsed} gas used`);
+  if (costs.blobCost !== '0') {
+    console.log(`Blob fees: ${formatCost(costs.blobCost)}`);
+  }
+
+  const series = buildTimeSeries('prover', data, BUCKET).series.filter(entry => entry.proofsWithCost > 0);
+  const perProof = entry => BigInt(entry.cost) / BigInt(entry.proofsWithCost);
+  const recent = series.slice(-MAX_SPARKLINE_LENGTH);
+
+  console.log(`\nCost per Proof by ${BUCKET[0].toUpperCase()}${BUCKET.slice(1)}:`);
+  console.log('-'.repeat(80));
+  console.log(`|${sparkline(recent.map(entry => Number(ethers.formatEther(perProof(entry)))))}|`);
+  for (const entry of series.slice(-COST_TREND_BUCKETS)) {
+    console.log(`${formatBucket(entry.timestamp).padEnd(18)} ${formatCost(perProof(entry))} per proof (${entry.proofsWithCost} proofs, ${formatCost(entry.cost)})`);
+  }
+}
+
+function displayProposerStats() {
+  const statsFile = getLatestStatsFile('proposer');
+  console.log(`Reading stats from: ${path.basename(statsFile)}\n`);
+
+  const data = loadStats('proposer', statsFile);
+  displayDataWarnings(data);
+  const { summary } = data;
+
+  console.log('='.repeat(80));
+  console.log(`${NETWORK_TITLE} PROPOSER STATISTICS${BY_OPERATOR ? ' BY OPERATOR' : ''}`);
+  console.log('='.repeat(80));
+  console.log(`Scanned at: ${new Date(data.scannedAt).toLocaleString()}`);
+  console.log(`Block range: ${data.blockRange.from} to ${data.blockRange.to}`);
+  console.log(`Total blocks proposed: ${summary.totalBlocks}`);
+  console.log(`${BY_OPERATOR ? 'Operators' : 'Unique proposers'}: ${summary.uniqueProposers}`);
+  if (data.proofsBlockRange) {
+    console.log(`Proofs archived: blocks ${data.proofsBlockRange.from} to ${data.proofsBlockRange.to}`);
+    console.log(`Proven: ${summary.provenBlocks}, not proven yet: ${summary.pendingBlocks}, pruned: ${summary.prunedBlocks}`);
+    if (summary.averageProvingSeconds !== null) {
+      console.log(`Time from proposal to proof: ${formatDelay(summary.averageProvingSeconds)} on average, ${formatDelay(summary.medianProvingSeconds)} median`);
+    }
+  } else {
+    console.log('No proofs archived, index them with "npm start" to see which proposed blocks were proven.');
+  }
+  console.log('');
+
+  if (data.proposers.length === 0) {
+    console.log('No block proposals found in the scanned block range.');
+    return;
+  }
+
+  console.log(BY_OPERATOR ? 'Blocks by Operator:' : 'Blocks by Proposer:');
+  console.log('-'.repeat(80));
+
+  for (const proposer of data.proposers) {
+    const percentage = ((proposer.blockCount / summary.totalBlocks) * 100).toFixed(2);
+    console.log(formatAddress(proposer.address));
+    displayGroupMembers(proposer);
+    console.log(`  Blocks: ${proposer.blockCount} (${percentage}%)`);
+    if (data.proofsBlockRange) {
+      const provenPercentage = ((proposer.provenCount / proposer.blockCount) * 100).toFixed(2);
+      console.log(`  Proven: ${proposer.provenCount} (${provenPercentage}%), not proven yet: ${proposer.pendingCount}, pruned: ${proposer.prunedCount}`);
+      if (proposer.averageProvingSeconds !== null) {
+        console.log(`  Time to proof: ${formatDelay(proposer.averageProvingSeconds)} on average, ${formatDelay(proposer.medianProvingSeconds)} median`);
+      }
+    }
+    console.log(`  Recent blocks: ${proposer.blocks.slice(-5).reverse().map(b => b.blockNumber).join(', ')}${proposer.blocks.length > 5 ? '...' : ''}`);
+    console.log('');
+  }
+
+  // Display a simple chart
+  console.log('\nDistribution Chart:');
+  console.log('-'.repeat(80));
+  const maxBarLength = 50;
+  const maxCount = Math.max(...data.proposers.map(p => p.blockCount));
+  const width = labelWidth(data.proposers.map(p => formatAddress(p.address, { short: true })));
+
+  for (const proposer of data.proposers) {
+    const barLength = Math.ceil((proposer.blockCount / maxCount) * maxBarLength);
+    const bar = '█'.repeat(barLength);
+    console.log(`${formatAddress(proposer.address, { short: true }).padEnd(width)} ${bar} ${proposer.blockCount}`);
+  }
+
+  displayUnlabeled(data.proposers);
+
+  displayConcentration('proposer', data);
+  displayVersionStats('proposer', data);
 }
 
 function displaySlashStats() {
   const statsFile = getLatestStatsFile('slash');
   console.log(`Reading stats from: ${path.basename(statsFile)}\n`);
 
-  const data = JSON.parse(fs.readFileSync(statsFile, 'utf-8'));
+  const data = loadStats('slash', statsFile);
+  displayDataWarnings(data);
 
   console.log('='.repeat(80));
-  console.log('AZTEC TESTNET SLASH STATISTICS');
+  console.log(`${NETWORK_TITLE} SLASH STATISTICS${BY_OPERATOR ? ' BY OPERATOR' : ''}`);
   console.log('='.repeat(80));
   console.log(`Scanned at: ${new Date(data.scannedAt).toLocaleString()}`);
   console.log(`Block range: ${data.blockRange.from} to ${data.blockRange.to}`);
   console.log(`Total slashes: ${data.summary.totalSlashes}`);
-  console.log(`Total amount slashed: ${ethers.formatEther(data.summary.totalAmountSlashed)} ETH`);
-  console.log(`Unique attesters slashed: ${data.summary.uniqueAttesters}`);
+  console.log(`Total amount slashed: ${formatTokenAmount(data.summary.totalAmountSlashed, data.token)}`);
+  console.log(`${BY_OPERATOR ? 'Operators slashed' : 'Unique attesters slashed'}: ${data.summary.uniqueAttesters}`);
   console.log('');
 
   if (data.attesters.length === 0) {
@@ -112,17 +328,18 @@ function displaySlashStats() {
     return;
   }
 
-  console.log('Slashes by Attester:');
+  console.log(BY_OPERATOR ? 'Slashes by Operator:' : 'Slashes by Attester:');
   console.log('-'.repeat(80));
 
   for (const attester of data.attesters) {
     const percentage = data.summary.totalSlashes > 0
       ? ((attester.slashCount / data.summary.totalSlashes) * 100).toFixed(2)
       : '0.00';
-    console.log(`${attester.address}`);
+    console.log(formatAddress(attester.address));
+    displayGroupMembers(attester);
     console.log(`  Slashes: ${attester.slashCount} (${percentage}%)`);
-    console.log(`  Total slashed: ${ethers.formatEther(attester.totalAmountSlashed)} ETH`);
-    console.log(`  Recent slashes: ${attester.slashes.slice(0, 3).map(s => ethers.formatEther(s.amount) + ' ETH').join(', ')}${attester.slashes.length > 3 ? '...' : ''}`);
+    console.log(`  Total slashed: ${formatTokenAmount(attester.totalAmountSlashed, data.token)}`);
+    console.log(`  Recent slashes: ${attester.slashes.slice(0, 3).map(s => formatTokenAmount(s.amount, data.token)).join(', ')}${attester.slashes.length > 3 ? '...' : ''}`);
     console.log('');
   }
 
@@ -131,24 +348,28 @@ function displaySlashStats() {
   console.log('-'.repeat(80));
   const maxBarLength = 50;
   const maxCount = Math.max(...data.attesters.map(a => a.slashCount));
+  const width = labelWidth(data.attesters.map(a => formatAddress(a.address, { short: true })));
 
   for (const attester of data.attesters) {
     const barLength = Math.ceil((attester.slashCount / maxCount) * maxBarLength);
     const bar = '█'.repeat(barLength);
-    const shortAddress = `${attester.address.slice(0, 6)}...${attester.address.slice(-4)}`;
-    console.log(`${shortAddress} ${bar} ${attester.slashCount}`);
+    console.log(`${formatAddress(attester.address, { short: true }).padEnd(width)} ${bar} ${attester.slashCount}`);
   }
+
+  displayConcentration('slash', data);
+  displayVersionStats('slash', data);
 }
 
 function displayExitStats() {
   const statsFile = getLatestStatsFile('exit');
   console.log(`Reading stats from: ${path.basename(statsFile)}\n`);
 
-  const data = JSON.parse(fs.readFileSync(statsFile, 'utf-8'));
+  const data = loadStats('exit', statsFile);
+  displayDataWarnings(data);
   const now = Math.floor(Date.now() / 1000);
 
   console.log('='.repeat(80));
-  console.log('AZTEC TESTNET EXIT STATISTICS');
+  console.log(`${NETWORK_TITLE} EXIT STATISTICS${BY_OPERATOR ? ' BY OPERATOR' : ''}`);
   console.log('='.repeat(80));
   console.log(`Scanned at: ${new Date(data.scannedAt).toLocaleString()}`);
   console.log(`Block range: ${data.blockRange.from} to ${data.blockRange.to}`);
@@ -169,7 +390,13 @@ function displayExitStats() {
 
   console.log(`  - Can finalize now: ${canFinalizeNow}`);
   console.log(`  - Cannot finalize yet: ${cannotFinalizeYet}`);
-  console.log(`Unique attesters: ${data.summary.uniqueAttesters}`);
+  console.log(`${BY_OPERATOR ? 'Operators' : 'Unique attesters'}: ${data.summary.uniqueAttesters}`);
+  if (data.exitDelaySeconds !== undefined) {
+    console.log(`Exit delay: ${formatDelay(data.exitDelaySeconds)}`);
+  }
+  if (data.summary.ambiguousMatches > 0 || data.summary.amountMismatches > 0) {
+    console.log(`Finalizations matched with ambiguity: ${data.summary.ambiguousMatches} ambiguous, ${data.summary.amountMismatches} with a different amount`);
+  }
   console.log('');
 
   if (data.pendingExits.length === 0) {
@@ -182,13 +409,13 @@ function displayExitStats() {
     for (const exit of data.pendingExits) {
       const canFinalize = now >= exit.exitableAt;
       const exitDate = new Date(exit.exitableAt * 1000);
-      const shortAddr = `${exit.attester.slice(0, 6)}...${exit.attester.slice(-4)}`;
+      const shortAddr = formatAddress(exit.attester, { short: true });
 
       if (canFinalize) {
-        console.log(`[CAN FINALIZE] ${shortAddr}: ${ethers.formatEther(exit.amount)} ETH`);
+        console.log(`[CAN FINALIZE] ${shortAddr}: ${formatTokenAmount(exit.amount, data.token)}`);
       } else {
         const daysLeft = Math.ceil((exit.exitableAt - now) / (24 * 60 * 60));
-        console.log(`[${exitDate.toLocaleDateString()} - ${daysLeft}d left] ${shortAddr}: ${ethers.formatEther(exit.amount)} ETH`);
+        console.log(`[${exitDate.toLocaleDateString()} - ${daysLeft}d left] ${shortAddr}: ${formatTokenAmount(exit.amount, data.token)}`);
       }
     }
     console.log('');
@@ -198,13 +425,13 @@ function displayExitStats() {
     console.log('-'.repeat(80));
 
     const maxBarLength = 50;
-    const EXIT_DELAY_SECONDS = 14 * 24 * 60 * 60;
+    const width = labelWidth(data.pendingExits.map(e => formatAddress(e.attester, { short: true })));
 
     for (const exit of data.pendingExits) {
-      const shortAddr = `${exit.attester.slice(0, 6)}...${exit.attester.slice(-4)}`;
-      const initiatedAt = exit.exitableAt - EXIT_DELAY_SECONDS;
-      const elapsed = now - initiatedAt;
-      const progress = Math.min(elapsed / EXIT_DELAY_SECONDS, 1);
+      const shortAddr = formatAddress(exit.attester, { short: true }).padEnd(width);
+      const delay = exit.exitableAt - exit.timestamp;
+      const elapsed = now - exit.timestamp;
+      const progress = delay > 0 ? Math.min(elapsed / delay, 1) : 1;
       const filledLength = Math.floor(progress * maxBarLength);
       const emptyLength = maxBarLength - filledLength;
 
@@ -221,24 +448,761 @@ function displayExitStats() {
     console.log('');
   }
 
+  const unmatched = data.unmatchedFinalized || [];
+  if (unmatched.length > 0) {
+    console.log(`Finalized withdrawals without a matching initiation (initiated before the scanned range?): ${unmatched.length}`);
+    console.log('-'.repeat(80));
+    for (const exit of unmatched) {
+      console.log(`${formatAddress(exit.attester)}: ${formatTokenAmount(exit.amount, data.token)} to ${formatAddress(exit.recipient)} at L1 block ${exit.ethBlockNumber}`);
+    }
+    console.log('');
+  }
+
   if (data.attesters.length > 0) {
-    console.log('Exits by Attester:');
+    console.log(BY_OPERATOR ? 'Exits by Operator:' : 'Exits by Attester:');
     console.log('-'.repeat(80));
 
     for (const attester of data.attesters) {
-      const pending = attester.initiatedCount - attester.finalizedCount;
-      console.log(`${attester.address}`);
+      const pending = attester.pendingCount ?? attester.initiatedCount - attester.finalizedCount;
+      console.log(formatAddress(attester.address));
+      displayGroupMembers(attester);
       console.log(`  Initiated: ${attester.initiatedCount}, Finalized: ${attester.finalizedCount}, Pending: ${pending}`);
-      console.log(`  Amount: ${ethers.formatEther(attester.totalInitiatedAmount)} ETH initiated, ${ethers.formatEther(attester.totalFinalizedAmount)} ETH finalized`);
+      console.log(`  Amount: ${formatTokenAmount(attester.totalInitiatedAmount, data.token)} initiated, ${formatTokenAmount(attester.totalFinalizedAmount, data.token)} finalized`);
+      for (const withdrawal of attester.initiated.slice(-MAX_LISTED)) {
+        const by = withdrawal.attester ? `by ${formatAddress(withdrawal.attester, { short: true })} ` : '';
+        console.log(`  - ${formatTokenAmount(withdrawal.amount, data.token)} ${by}to ${formatAddress(withdrawal.recipient)}: ${describeWithdrawal(withdrawal, now)}`);
+      }
       console.log('');
     }
   }
+
+  displayVersionStats('exit', data);
+}
+
+const STAKE_STATUS = {
+  active: 'active',
+  belowMinimum: 'BELOW MINIMUM',
+  withdrawn: 'withdrawn',
+  incomplete: 'incomplete, deposited before the scanned range'
+};
+
+const STAKE_CHANGE_SIGNS = { Deposit: '+', Slashed: '-', WithdrawInitiated: '-' };
+
+// Status of a stake entry; operators count the statuses of their attesters
+function describeStakeStatus(attester) {
+  if (attester.statuses && attester.status === 'mixed') {
+    return Object.entries(attester.statuses).map(([status, count]) => `${count} ${STAKE_STATUS[status]}`).join(', ');
+  }
+  return STAKE_STATUS[attester.status];
+}
+
+function displayStakingStats() {
+  const statsFile = getLatestStatsFile('staking');
+  console.log(`Reading stats from: ${path.basename(statsFile)}\n`);
+
+  const data = loadStats('staking', statsFile);
+  displayDataWarnings(data);
+  const { summary, token } = data;
+
+  console.log('='.repeat(80));
+  console.log(`${NETWORK_TITLE} STAKING BALANCE SHEET${BY_OPERATOR ? ' BY OPERATOR' : ''}`);
+  console.log('='.repeat(80));
+  console.log(`Scanned at: ${new Date(data.scannedAt).toLocaleString()}`);
+  console.log(`Block range: ${data.blockRange.from} to ${data.blockRange.to}`);
+  if (token) {
+    console.log(`Staking asset: ${token.symbol} (${token.address})`);
+  }
+  console.log(`Minimum stake: ${data.minimumStake === null ? 'unknown, attesters are not checked against it' : formatTokenAmount(data.minimumStake, token)}`);
+  console.log(`Deposits: ${summary.totalDeposits} (${formatTokenAmount(summary.totalDeposited, token)})`);
+  console.log(`Slashes: ${summary.totalSlashes} (${formatTokenAmount(summary.totalSlashed, token)})`);
+  console.log(`Withdrawals initiated: ${summary.totalWithdrawals} (${formatTokenAmount(summary.totalWithdrawn, token)})`);
+  console.log(`Total stake: ${formatTokenAmount(summary.totalStake, token)}`);
+  console.log(`Unique attesters: ${summary.uniqueAttesters}`);
+  console.log(`  - Active: ${summary.activeAttesters}`);
+  console.log(`  - Below the minimum: ${summary.belowMinimum} (${summary.slashedBelowMinimum} after a slash)`);
+  console.log(`  - Withdrawn: ${summary.withdrawnAttesters}`);
+  if (summary.incompleteAttesters > 0) {
+    console.log(`  - Incomplete: ${summary.incompleteAttesters} (deposited before the scanned range, their stake is unknown and left out of the total)`);
+  }
+  console.log('');
+
+  if (data.attesters.length === 0) {
+    console.log('No staking events found in the scanned block range.');
+    return;
+  }
+
+  const below = data.attesters.filter(a => a.status === 'belowMinimum' || a.statuses?.belowMinimum);
+  if (below.length > 0) {
+    console.log(BY_OPERATOR ? 'Operators with Attesters Below the Minimum Stake:' : 'Attesters Below the Minimum Stake:');
+    console.log('-'.repeat(80));
+    for (const attester of below) {
+      const cause = attester.belowMinimumSince;
+      const since = cause
+        ? `, since ${cause.event === 'Slashed' ? 'a slash' : 'a withdrawal'} of ${formatTokenAmount(cause.amount, token)} at L1 block ${cause.ethBlockNumber}`
+        : '';
+      const count = attester.statuses ? ` (${attester.statuses.belowMinimum} attester(s) below)` : '';
+      console.log(`${formatAddress(attester.address)}: ${formatTokenAmount(attester.stake, token)}${count}${since}`);
+    }
+    console.log('');
+  }
+
+  console.log(BY_OPERATOR ? 'Stake by Operator:' : 'Stake by Attester:');
+  console.log('-'.repeat(80));
+
+  for (const attester of data.attesters.slice(0, MAX_LISTED)) {
+    console.log(formatAddress(attester.address));
+    displayGroupMembers(attester);
+    console.log(`  Stake: ${formatTokenAmount(attester.stake, token)} (${describeStakeStatus(attester)})`);
+    console.log(`  Deposited: ${formatTokenAmount(attester.totalDeposited, token)}, slashed: ${formatTokenAmount(attester.totalSlashed, token)}, withdrawn: ${formatTokenAmount(attester.totalWithdrawn, token)}`);
+    for (const entry of attester.history.slice(-5)) {
+      const by = entry.attester ? ` by ${formatAddress(entry.attester, { short: true })}` : '';
+      console.log(`  - ${entry.event}${by}: ${STAKE_CHANGE_SIGNS[entry.event]}${formatTokenAmount(entry.amount, token)} -> ${formatTokenAmount(entry.stake, token)} at L1 block ${entry.ethBlockNumber}`);
+    }
+    if (attester.history.length > 5) {
+      console.log(`  ... and ${attester.history.length - 5} earlier`);
+    }
+    console.log('');
+  }
+  if (data.attesters.length > MAX_LISTED) {
+    console.log(`... and ${data.attesters.length - MAX_LISTED} more (use --limit to list more)`);
+  }
+
+  displayUnlabeled(data.attesters);
+
+  displayVersionStats('staking', data);
+}
+
+// Concentration metrics saved with the stats, or computed for stats files
+// written before they were
+function displayConcentration(mode, data) {
+  const concentration = data.concentration || buildConcentration(mode, data, data.timeSeries, Math.floor(Date.parse(data.scannedAt) / 1000));
+  if (concentration.hhi === null) {
+    return;
+  }
+
+  const who = mode === 'slash' ? 'attesters' : mode === 'proposer' ? 'proposers' : 'provers';
+  const what = mode === 'slash' ? 'slashes' : mode === 'proposer' ? 'blocks' : 'proofs';
+
+  console.log('\nConcentration:');
+  console.log('-'.repeat(80));
+  console.log(`Herfindahl-Hirschman index: ${concentration.hhi} (0 to 10000, above 2500 is highly concentrated)`);
+  console.log(`Gini coefficient: ${concentration.gini.toFixed(2)} (0 is an even split)`);
+  console.log(`Nakamoto coefficient: ${concentration.nakamoto} (${who} that together have more than half of all ${what})`);
+  console.log(`Active ${who} at scan time: ${concentration.active.map(a => `${a.count} in the last ${a.window}`).join(', ')}`);
+
+  const recent = concentration.series.filter(entry => entry.total > 0).slice(-10);
+  if (recent.length > 1) {
+    console.log('');
+    console.log(`Per ${concentration.bucket} (latest ${recent.length} with ${what}):`);
+    console.log(`${'Start'.padEnd(16)} ${what.padStart(7)} ${who.padStart(9)} ${'HHI'.padStart(6)} ${'Gini'.padStart(5)} ${'Nakamoto'.padStart(8)}`);
+    for (const entry of recent) {
+      const iso = entry.start;
+      const label = concentration.bucket === 'hour' ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+      console.log(`${label.padEnd(16)} ${String(entry.total).padStart(7)} ${String(entry.participants).padStart(9)} ${String(entry.hhi).padStart(6)} ${entry.gini.toFixed(2).padStart(5)} ${String(entry.nakamoto).padStart(8)}`);
+    }
+  }
+}
+
+const MATCH_NOTES = {
+  ambiguous: 'several identical withdrawals were open, matched to the oldest',
+  amountMismatch: 'finalized amount differs'
+};
+
+// Stats of each rollup version, when the stats cover more than one
+function displayVersionStats(mode, data) {
+  if (!data.versions || data.versions.length < 2) {
+    return;
+  }
+
+  console.log('');
+  console.log('='.repeat(80));
+  console.log('BY ROLLUP VERSION');
+  console.log('='.repeat(80));
+
+  for (const { version, rollupAddress, summary, provers, proposers, attesters } of data.versions) {
+    const rollup = (data.rollups || []).find(r => r.version === version);
+    console.log(`Version ${version ?? 'unknown'} (${rollupAddress ?? 'unknown address'})${rollup ? `, deployed at block ${rollup.fromBlock}` : ''}`);
+
+    if (mode === 'staking') {
+      console.log(`  Stake: ${formatTokenAmount(summary.totalStake, data.token)}, ${summary.uniqueAttesters} attesters, ${summary.belowMinimum} below the minimum`);
+      for (const attester of attesters.slice(0, MAX_LISTED)) {
+        console.log(`  ${formatAddress(attester.address)}: ${formatTokenAmount(attester.stake, data.token)} (${describeStakeStatus(attester)})`);
+      }
+    } else if (mode === 'exit') {
+      console.log(`  Initiated: ${summary.totalInitiated}, Finalized: ${summary.totalFinalized}, Pending: ${summary.totalPending}`);
+      for (const attester of attesters.slice(0, MAX_LISTED)) {
+        console.log(`  ${formatAddress(attester.address)}: ${attester.initiatedCount} initiated, ${attester.finalizedCount} finalized, ${attester.pendingCount} pending`);
+      }
+    } else if (mode === 'slash') {
+      console.log(`  Slashes: ${summary.totalSlashes}, ${formatTokenAmount(summary.totalAmountSlashed, data.token)}, ${summary.uniqueAttesters} attesters`);
+      for (const attester of attesters.slice(0, MAX_LISTED)) {
+        console.log(`  ${formatAddress(attester.address)}: ${attester.slashCount} slashes, ${formatTokenAmount(attester.totalAmountSlashed, data.token)}`);
+      }
+    } else if (mode === 'proposer') {
+      console.log(`  Blocks: ${summary.totalBlocks} (${summary.provenBlocks} proven), ${summary.uniqueProposers} proposers`);
+      for (const proposer of proposers.slice(0, MAX_LISTED)) {
+        const percentage = summary.totalBlocks > 0 ? ((proposer.blockCount / summary.totalBlocks) * 100).toFixed(2) : '0.00';
+        console.log(`  ${formatAddress(proposer.address)}: ${proposer.blockCount} blocks (${percentage}%), ${proposer.provenCount} proven`);
+      }
+    } else {
+      console.log(`  Proofs: ${summary.totalProofs}, ${summary.uniqueProvers} provers`);
+      for (const prover of provers.slice(0, MAX_LISTED)) {
+        const percentage = summary.totalProofs > 0 ? ((prover.proofCount / summary.totalProofs) * 100).toFixed(2) : '0.00';
+        console.log(`  ${formatAddress(prover.address)}: ${prover.proofCount} proofs (${percentage}%)`);
+      }
+    }
+
+    const listed = mode === 'prover' ? provers : mode === 'proposer' ? proposers : attesters;
+    if (listed.length > MAX_LISTED) {
+      console.log(`  ... and ${listed.length - MAX_LISTED} more (use --limit to list more)`);
+    }
+    console.log('');
+  }
+}
+
+// Status of one initiated withdrawal, judged by the current time for those
+// not finalized yet
+function describeWithdrawal(withdrawal, now) {
+  if (withdrawal.finalization) {
+    const note = MATCH_NOTES[withdrawal.finalization.match] ? ` (${MATCH_NOTES[withdrawal.finalization.match]})` : '';
+    return `finalized after ${formatDelay(withdrawal.finalization.timestamp - withdrawal.timestamp)}${note}`;
+  }
+  if (withdrawal.status === undefined) {
+    // Stats files written before withdrawals were matched individually
+    return now >= withdrawal.exitableAt ? 'exitable' : `exitable in ${formatDelay(withdrawal.exitableAt - now)}`;
+  }
+  return now >= withdrawal.exitableAt ? 'finalizable now' : `pending, finalizable in ${formatDelay(withdrawal.exitableAt - now)}`;
+}
+
+// Write the latest stats to stdout in an export format
+function exportStats(mode) {
+  if (!FORMATS.includes(FORMAT)) {
+    console.error(`Unknown format "${FORMAT}", expected one of: ${FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const data = loadStats(mode, getLatestStatsFile(mode));
+  try {
+    process.stdout.write(formatStats(mode, data, FORMAT, { table: TABLE, labels }));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+function formatBucket(timestamp) {
+  const iso = new Date(timestamp * 1000).toISOString();
+  return BUCKET === 'hour' ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+}
+
+function formatAgo(timestamp, now) {
+  const hours = (now - timestamp) / 3600;
+  return hours < 48 ? `${hours.toFixed(1)}h ago` : `${(hours / 24).toFixed(1)}d ago`;
+}
+
+// Sparkline per address over the most recent buckets of the series
+function displayKeySparklines(title, series, field, totals, lastSeen, now) {
+  const recent = series.slice(-MAX_SPARKLINE_LENGTH);
+
+  console.log(title);
+  console.log('-'.repeat(80));
+  const width = labelWidth(totals.map(([address]) => formatAddress(address, { short: true })));
+  for (const [address, total] of totals) {
+    const values = recent.map(entry => entry[field][address] || 0);
+    console.log(`${formatAddress(address, { short: true }).padEnd(width)} |${sparkline(values)}| ${total} total, last ${formatAgo(lastSeen[address], now)}`);
+  }
+  console.log('');
+}
+
+function displayTimeSeries(mode) {
+  if (!BUCKETS[BUCKET]) {
+    console.error(`Unknown bucket "${BUCKET}", expected one of: ${Object.keys(BUCKETS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const statsFile = getLatestStatsFile(mode);
+  console.log(`Reading stats from: ${path.basename(statsFile)}\n`);
+
+  const data = loadStats(mode, statsFile);
+  displayDataWarnings(data);
+
+  const { series, eventsWithoutTimestamp } = buildTimeSeries(mode, data, BUCKET);
+  const now = Math.floor(Date.now() / 1000);
+  const title = mode === 'staking' ? 'STAKING EVENTS' : mode === 'exit' ? 'EXITS' : mode === 'slash' ? 'SLASHES' : mode === 'proposer' ? 'BLOCK PROPOSALS' : 'PROOFS';
+
+  console.log('='.repeat(80));
+  console.log(`${NETWORK_TITLE} ${title} PER ${BUCKET.toUpperCase()}`);
+  console.log('='.repeat(80));
+
+  if (eventsWithoutTimestamp > 0) {
+    console.log(`Note: ${eventsWithoutTimestamp} events have no timestamp and are left out. Re-run the indexer to fetch them.`);
+  }
+
+  if (series.length === 0) {
+    console.log('No timestamped events found.');
+    return;
+  }
+
+  console.log(`From ${formatBucket(series[0].timestamp)} to ${formatBucket(series[series.length - 1].timestamp)} (${series.length} ${BUCKET}s)`);
+  console.log('');
+
+  const recent = series.slice(-MAX_SPARKLINE_LENGTH);
+  const countOf = entry => mode === 'staking'
+    ? entry.deposits + entry.slashes + entry.withdrawals
+    : mode === 'exit' ? entry.initiated + entry.finalized : entry.count;
+
+  if (mode === 'staking') {
+    console.log(`Deposits    |${sparkline(recent.map(e => e.deposits))}|`);
+    console.log(`Slashes     |${sparkline(recent.map(e => e.slashes))}|`);
+    console.log(`Withdrawals |${sparkline(recent.map(e => e.withdrawals))}|`);
+    console.log('Stake is counted from the start of the scanned range, deposits made before it are left out.');
+  } else if (mode === 'exit') {
+    console.log(`Initiated |${sparkline(recent.map(e => e.initiated))}|`);
+    console.log(`Finalized |${sparkline(recent.map(e => e.finalized))}|`);
+  } else {
+    console.log(`Total |${sparkline(recent.map(countOf))}| max ${Math.max(...recent.map(countOf))} per ${BUCKET}`);
+  }
+  console.log('');
+
+  // Per-prover / per-proposer / per-attester breakdown, ordered by total
+  if (mode !== 'exit' && mode !== 'staking') {
+    const field = mode === 'slash' ? 'byAttester' : mode === 'proposer' ? 'byProposer' : 'byProver';
+    const totals = new Map();
+    const lastSeen = {};
+    for (const entry of series) {
+      for (const [address, count] of Object.entries(entry[field])) {
+        totals.set(address, (totals.get(address) || 0) + count);
+        lastSeen[address] = entry.timestamp;
+      }
+    }
+    const sorted = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+    const by = BY_OPERATOR ? 'Operator' : mode === 'slash' ? 'Attester' : mode === 'proposer' ? 'Proposer' : 'Prover';
+    const what = mode === 'slash' ? 'Slashes' : mode === 'proposer' ? 'Blocks' : 'Proofs';
+    displayKeySparklines(`${what} by ${by}:`, series, field, sorted, lastSeen, now);
+  }
+
+  console.log(`Last ${Math.min(LAST_BUCKETS, series.length)} ${BUCKET}s:`);
+  console.log('-'.repeat(80));
+
+  const rows = series.slice(-LAST_BUCKETS);
+  const maxCount = Math.max(...rows.map(countOf), 1);
+  for (const entry of rows) {
+    const bar = '█'.repeat(Math.ceil((countOf(entry) / maxCount) * 30));
+    const label = formatBucket(entry.timestamp).padEnd(16);
+
+    if (mode === 'staking') {
+      console.log(`${label} ${String(entry.deposits).padStart(4)} deposits ${String(entry.slashes).padStart(4)} slashes ${String(entry.withdrawals).padStart(4)} withdrawals, stake ${formatTokenAmount(entry.stake, data.token)}`);
+    } else if (mode === 'exit') {
+      console.log(`${label} ${String(entry.initiated).padStart(4)} initiated ${String(entry.finalized).padStart(4)} finalized ${bar}`);
+    } else if (mode === 'slash') {
+      console.log(`${label} ${String(entry.count).padStart(5)} ${bar} ${formatTokenAmount(entry.amount, data.token)}`);
+    } else {
+      const top = Object.entries(entry[mode === 'proposer' ? 'byProposer' : 'byProver']).sort((a, b) => b[1] - a[1])[0];
+      const topText = top ? ` (top: ${formatAddress(top[0], { short: true })} ${top[1]})` : '';
+      console.log(`${label} ${String(entry.count).padStart(5)} ${bar}${topText}`);
+    }
+  }
+}
+
+function displayCoverage() {
+  const statsFile = COVERAGE_STATS ? selectSnapshot('prover', COVERAGE_STATS).file : getLatestStatsFile('prover');
+  const data = loadStats('prover', statsFile);
+
+  // With several rollup versions, analyze the newest one unless another is
+  // picked with --rollup-version
+  const versions = (data.versions || []).map(v => v.version).filter(v => v !== null);
+  const rollupVersion = ROLLUP_VERSION ?? (versions.length > 1 ? versions[versions.length - 1] : undefined);
+  if (rollupVersion !== undefined && !versions.includes(rollupVersion)) {
+    console.error(`Unknown rollup version "${rollupVersion}", expected one of: ${versions.join(', ')}`);
+    process.exit(1);
+  }
+  // Unproven ranges need the proposals, which are optional here as they are
+  // indexed separately (npm run proposals)
+  const proposals = COVERAGE_PROPOSALS ? selectSnapshot('proposer', COVERAGE_PROPOSALS) : loadLatestStats('proposer');
+  const analysis = analyzeCoverage(data, rollupVersion, proposals?.data);
+
+  if (FORMAT === 'json') {
+    console.log(JSON.stringify(analysis, null, 2));
+    return;
+  }
+
+  console.log(`Reading stats from: ${path.basename(statsFile)}${proposals ? ` and ${path.basename(proposals.file)}` : ''}\n`);
+  displayDataWarnings(data);
+  const { summary } = analysis;
+
+  console.log('='.repeat(80));
+  console.log(`${NETWORK_TITLE} L2 PROOF COVERAGE`);
+  console.log('='.repeat(80));
+  if (rollupVersion !== undefined) {
+    console.log(`Rollup version: ${rollupVersion}${versions.length > 1 ? ` (of ${versions.join(', ')}; pick one with --rollup-version)` : ''}`);
+  }
+  console.log(`Total proofs: ${summary.totalProofs}`);
+
+  if (summary.uniqueL2BlocksProven === 0) {
+    console.log('No proofs found.');
+    console.log('');
+    displayUnprovenRanges(analysis, proposals);
+    return;
+  }
+
+  console.log(`Proven tip: L2 block ${summary.highestL2Block}`);
+  console.log(`L2 blocks proven: ${summary.uniqueL2BlocksProven} (${summary.lowestL2Block} to ${summary.highestL2Block}) in ${summary.provenEpochs} epoch(s), ${summary.avgEpochBlocks.toFixed(1)} blocks per epoch on average`);
+  console.log(`Contested epochs (proven more than once): ${summary.contestedEpochs}`);
+  console.log(`Redundant proofs: ${summary.redundantProofs}`);
+  console.log('');
+
+  displayUnprovenRanges(analysis, proposals);
+
+  const width = Math.max(labelWidth(analysis.provers.map(p => formatAddress(p.address, { short: true }))), 14);
+  console.log('First-to-Prove vs Raw Proof Count:');
+  console.log('-'.repeat(80));
+  console.log(`${(BY_OPERATOR ? 'Operator' : 'Prover').padEnd(width)} ${'Proofs'.padStart(7)} ${'Share'.padStart(8)} ${'First'.padStart(7)} ${'Blocks'.padStart(7)} ${'1st Share'.padStart(9)} ${'Redundant'.padStart(9)}  Avg delay`);
+  for (const prover of analysis.provers) {
+    const shortAddress = formatAddress(prover.address, { short: true });
+    const delay = prover.avgDelayBlocks === null
+      ? '-'
+      : `${prover.avgDelayBlocks.toFixed(1)} blocks${prover.avgDelaySeconds !== null ? ` / ${Math.round(prover.avgDelaySeconds)}s` : ''}`;
+    console.log(`${shortAddress.padEnd(width)} ${String(prover.proofCount).padStart(7)} ${(prover.proofShare * 100).toFixed(2).padStart(7)}% ${String(prover.firstToProve).padStart(7)} ${String(prover.firstToProveBlocks).padStart(7)} ${(prover.firstToProveShare * 100).toFixed(2).padStart(8)}% ${String(prover.redundant).padStart(9)}  ${delay}`);
+  }
+  console.log('');
+
+  if (analysis.contested.length > 0) {
+    console.log(`Contested Epochs${analysis.contested.length > MAX_LISTED ? ` (latest ${MAX_LISTED} of ${analysis.contested.length})` : ''}:`);
+    console.log('-'.repeat(80));
+    for (const epoch of analysis.contested.slice(-MAX_LISTED)) {
+      const short = address => formatAddress(address, { short: true });
+      // A redundant proof may end below the epoch it raced
+      const losers = epoch.redundant
+        .map(r => `${short(r.prover)} (+${r.delayBlocks} blocks${r.l2BlockNumber !== epoch.toL2Block ? `, to L2 block ${r.l2BlockNumber}` : ''})`)
+        .join(', ');
+      const blocks = epoch.fromL2Block === epoch.toL2Block ? `L2 block ${epoch.toL2Block}` : `L2 blocks ${epoch.fromL2Block}-${epoch.toL2Block}`;
+      console.log(`  ${blocks}: won by ${short(epoch.winner.prover)} at L1 block ${epoch.winner.ethBlockNumber}, redundant: ${losers}`);
+    }
+  }
+}
+
+// Proposed L2 blocks that were never proven: those above the proven tip and
+// the pruned proposals
+function displayUnprovenRanges(analysis, proposals) {
+  const { summary, unprovenRanges } = analysis;
+  if (!proposals) {
+    console.log(`Unproven L2 blocks: unknown without proposer stats (run: ${STATS_FILES.proposer.command})`);
+    console.log('');
+    return;
+  }
+
+  console.log(`Highest proposed L2 block: ${summary.highestProposedL2Block ?? '-'}`);
+  console.log(`Unproven L2 blocks: ${summary.unprovenBlocks} in ${summary.unprovenRanges} range(s)`);
+  console.log('');
+  if (unprovenRanges.length === 0) {
+    return;
+  }
+
+  console.log(`Unproven L2 Block Ranges${unprovenRanges.length > MAX_LISTED ? ` (latest ${MAX_LISTED} of ${unprovenRanges.length})` : ''}:`);
+  console.log('-'.repeat(80));
+  for (const range of unprovenRanges.slice(-MAX_LISTED)) {
+    const blocks = range.from === range.to ? `${range.from}` : `${range.from} to ${range.to} (${range.blocks} blocks)`;
+    const status = range.status === 'pruned'
+      ? `pruned before being proven, proposed from L1 block ${range.ethBlockNumber}`
+      : 'not proven yet';
+    console.log(`  ${blocks}: ${status}`);
+  }
+  console.log('');
+}
+
+// tokens: the staking asset of the slash and exit stats
+function displayAddressProfile(profile, tokens) {
+  console.log('='.repeat(80));
+  console.log(`ADDRESS PROFILE: ${formatAddress(profile.address)}`);
+  console.log('='.repeat(80));
+
+  if (!profile.found) {
+    console.log('No proofs, slashes or withdrawals found for this address.');
+    console.log('');
+    return;
+  }
+
+  console.log('Proofs:');
+  if (!profile.available.proofs) {
+    console.log('  No prover stats available (run: npm start)');
+  } else if (!profile.proofs) {
+    console.log('  None');
+  } else {
+    const p = profile.proofs;
+    console.log(`  Proofs submitted: ${p.proofCount} (${(p.share * 100).toFixed(2)}%), rank ${p.rank} of ${p.totalProvers}`);
+    console.log(`  L2 blocks proven: ${p.l2BlocksProven} (${p.lowestL2Block} to ${p.highestL2Block})`);
+    const lastTime = p.lastProof.timestamp ? ` (${new Date(p.lastProof.timestamp * 1000).toLocaleString()})` : '';
+    console.log(`  Last proof: L2 block ${p.lastProof.blockNumber} at L1 block ${p.lastProof.ethBlockNumber}${lastTime}`);
+    console.log(`  Recent L2 blocks: ${p.blocks.slice(-10).map(b => b.blockNumber).join(', ')}`);
+  }
+  console.log('');
+
+  console.log('Slashes:');
+  if (!profile.available.slashes) {
+    console.log('  No slash stats available (run: npm run slash)');
+  } else if (!profile.slashes) {
+    console.log('  None');
+  } else {
+    console.log(`  Slashed ${profile.slashes.slashCount} time(s), ${formatTokenAmount(profile.slashes.totalAmountSlashed, tokens.slash)} in total`);
+    for (const slash of profile.slashes.slashes) {
+      console.log(`  - ${formatTokenAmount(slash.amount, tokens.slash)} at L1 block ${slash.ethBlockNumber} (tx ${slash.txHash})`);
+    }
+  }
+  console.log('');
+
+  console.log('Withdrawals:');
+  if (!profile.available.exits) {
+    console.log('  No exit stats available (run: npm run exit)');
+  } else if (!profile.exits) {
+    console.log('  None');
+  } else {
+    const e = profile.exits;
+    console.log(`  Initiated: ${e.initiatedCount} (${formatTokenAmount(e.totalInitiatedAmount, tokens.exit)}), Finalized: ${e.finalizedCount} (${formatTokenAmount(e.totalFinalizedAmount, tokens.exit)})`);
+    for (const exit of e.initiated) {
+      console.log(`  - Initiated ${formatTokenAmount(exit.amount, tokens.exit)} to ${formatAddress(exit.recipient)} at L1 block ${exit.ethBlockNumber} (tx ${exit.txHash})`);
+    }
+    for (const exit of e.finalized) {
+      console.log(`  - Finalized ${formatTokenAmount(exit.amount, tokens.exit)} to ${formatAddress(exit.recipient)} at L1 block ${exit.ethBlockNumber} (tx ${exit.txHash})`);
+    }
+    for (const exit of e.pending) {
+      const status = exit.canFinalize
+        ? 'CAN FINALIZE NOW'
+        : `${formatDelay(exit.secondsLeft)} left (${new Date(exit.exitableAt * 1000).toLocaleString()})`;
+      console.log(`  Pending: ${formatTokenAmount(exit.amount, tokens.exit)} to ${formatAddress(exit.recipient)} - ${status}`);
+    }
+  }
+  console.log('');
+}
+
+function displayAddresses(addresses) {
+  if (addresses.length === 0) {
+    console.error('Usage: npm run address -- <address> [<address> ...] [--format=json]');
+    process.exit(1);
+  }
+
+  const invalid = addresses.filter(a => !ethers.isAddress(a));
+  if (invalid.length > 0) {
+    console.error(`Invalid address(es): ${invalid.join(', ')}`);
+    process.exit(1);
+  }
+
+  const proofs = loadLatestStats('prover');
+  const slashes = loadLatestStats('slash');
+  const exits = loadLatestStats('exit');
+
+  if (!proofs && !slashes && !exits) {
+    console.error('No stats files found. Run the indexer first with: npm start, npm run slash or npm run exit');
+    process.exit(1);
+  }
+
+  const profiles = addresses.map(address => buildAddressProfile(address, {
+    proofs: proofs?.data,
+    slashes: slashes?.data,
+    exits: exits?.data
+  }));
+
+  if (FORMAT === 'json') {
+    console.log(JSON.stringify(profiles.length === 1 ? profiles[0] : profiles, null, 2));
+    return;
+  }
+
+  for (const stats of [proofs, slashes, exits].filter(Boolean)) {
+    console.log(`Reading stats from: ${path.basename(stats.file)}`);
+    displayDataWarnings(stats.data);
+  }
+  console.log('');
+
+  for (const profile of profiles) {
+    displayAddressProfile(profile, { slash: slashes?.data.token, exit: exits?.data.token });
+  }
+}
+
+// Snapshot for the compare command, or the one taken before `newer` if no
+// selector was given
+function selectSnapshot(mode, selector, newer) {
+  let snapshot;
+  try {
+    if (selector) {
+      snapshot = findStatsFile(mode, selector);
+    } else if (newer) {
+      const older = listStatsFiles(mode).find(f => f.time < fs.statSync(newer.file).mtime.getTime());
+      snapshot = older ? { file: older.path, data: readStatsFile(older.path) } : null;
+    } else {
+      snapshot = loadLatestStats(mode);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (!snapshot) {
+    console.error(selector
+      ? `No ${mode} stats file matches "${selector}"`
+      : `Need at least two ${mode} stats files to compare. Run the indexer again with: ${STATS_FILES[mode].command}`);
+    process.exit(1);
+  }
+  return snapshot;
+}
+
+const COMPARE_LABELS = {
+  totalProofs: 'Total proofs',
+  uniqueProvers: 'Unique provers',
+  newProvers: 'New provers',
+  disappearedProvers: 'Disappeared provers',
+  rankChanges: 'Provers that changed rank',
+  totalSlashes: 'Total slashes',
+  totalAmountSlashed: 'Total amount slashed',
+  uniqueAttesters: 'Unique attesters',
+  newSlashes: 'New slashes',
+  newlySlashedAttesters: 'Attesters slashed for the first time',
+  totalInitiated: 'Total withdrawals initiated',
+  totalFinalized: 'Total withdrawals finalized',
+  totalPending: 'Total pending exits',
+  newWithdrawals: 'New withdrawals',
+  pendingToFinalizable: 'Pending -> finalizable',
+  pendingToFinalized: 'Pending -> finalized',
+  finalizableToFinalized: 'Finalizable -> finalized'
+};
+
+function formatChange(change) {
+  return change > 0 ? `+${change}` : String(change);
+}
+
+function formatRankChange(rank) {
+  if (rank.change === null) {
+    return 'new';
+  }
+  return rank.change > 0 ? `up ${rank.change}` : rank.change < 0 ? `down ${-rank.change}` : '-';
+}
+
+function displayComparison(mode) {
+  if (mode === 'proposer' || mode === 'staking') {
+    console.error('compare supports proofs, slash and exit stats');
+    process.exit(1);
+  }
+  // Exits with the usual message when the mode hasn't been indexed
+  getLatestStatsFile(mode);
+  const after = selectSnapshot(mode, COMPARE_TO);
+  const before = selectSnapshot(mode, COMPARE_FROM, COMPARE_FROM ? null : after);
+
+  if (Date.parse(before.data.scannedAt) > Date.parse(after.data.scannedAt)) {
+    console.error(`--from (${path.basename(before.file)}) is newer than --to (${path.basename(after.file)})`);
+    process.exit(1);
+  }
+
+  const group = data => BY_OPERATOR ? groupByOperator(mode, data) : data;
+  const diff = diffStats(mode, group(before.data), group(after.data));
+  const { token } = after.data;
+
+  if (FORMAT === 'json') {
+    console.log(JSON.stringify({ ...diff, beforeFile: path.basename(before.file), afterFile: path.basename(after.file) }, null, 2));
+    return;
+  }
+
+  const title = mode === 'exit' ? 'EXITS' : mode === 'slash' ? 'SLASHES' : 'PROVERS';
+  console.log('='.repeat(80));
+  console.log(`${NETWORK_TITLE} ${title}: WHAT CHANGED`);
+  console.log('='.repeat(80));
+  for (const [label, snapshot, file] of [['From', diff.before, before.file], ['To', diff.after, after.file]]) {
+    console.log(`${label}: ${path.basename(file)} (scanned ${new Date(snapshot.scannedAt).toLocaleString()}, blocks ${snapshot.blockRange.from} to ${snapshot.blockRange.to})`);
+  }
+  console.log('');
+
+  for (const [name, value] of Object.entries(diff.summary)) {
+    if (name === 'totalAmountSlashed') {
+      const change = BigInt(value.change);
+      console.log(`${COMPARE_LABELS[name]}: ${formatTokenUnits(value.before, token)} -> ${formatTokenAmount(value.after, token)} (${change >= 0n ? '+' : ''}${formatTokenAmount(change, token)})`);
+    } else if (typeof value === 'object') {
+      console.log(`${COMPARE_LABELS[name]}: ${value.before} -> ${value.after} (${formatChange(value.change)})`);
+    } else {
+      console.log(`${COMPARE_LABELS[name]}: ${value}`);
+    }
+  }
+  console.log('');
+
+  if (mode === 'prover') {
+    const changed = diff.provers.filter(p => p.proofs.change !== 0 || p.rank.change);
+    console.log('Proofs by Prover:');
+    console.log('-'.repeat(80));
+    const width = Math.max(labelWidth(changed.map(p => formatAddress(p.address, { short: true }))), 14);
+    console.log(`${(BY_OPERATOR ? 'Operator' : 'Prover').padEnd(width)} ${'Proofs'.padStart(7)} ${'Change'.padStart(7)} ${'Rank'.padStart(5)}  Rank change`);
+    for (const prover of changed.slice(0, MAX_LISTED)) {
+      console.log(`${formatAddress(prover.address, { short: true }).padEnd(width)} ${String(prover.proofs.after).padStart(7)} ${formatChange(prover.proofs.change).padStart(7)} ${String(prover.rank.after).padStart(5)}  ${formatRankChange(prover.rank)}`);
+    }
+    if (changed.length === 0) {
+      console.log('No changes.');
+    } else if (changed.length > MAX_LISTED) {
+      console.log(`... and ${changed.length - MAX_LISTED} more (use --limit to list more)`);
+    }
+    console.log('');
+
+    if (diff.newProvers.length > 0) {
+      console.log(`New provers: ${diff.newProvers.map(p => `${formatAddress(p.address)} (${p.proofs.after})`).join(', ')}`);
+    }
+    if (diff.disappearedProvers.length > 0) {
+      console.log(`Disappeared provers: ${diff.disappearedProvers.map(p => `${formatAddress(p.address)} (had ${p.proofCount})`).join(', ')}`);
+    }
+    if (diff.idleProvers.length > 0) {
+      console.log(`No new proofs from: ${diff.idleProvers.map(a => formatAddress(a)).join(', ')}`);
+    }
+  } else if (mode === 'slash') {
+    console.log('New Slashes:');
+    console.log('-'.repeat(80));
+    if (diff.newSlashes.length === 0) {
+      console.log('None.');
+    }
+    for (const slash of diff.newSlashes.slice(-MAX_LISTED)) {
+      console.log(`${formatAddress(slash.attester)}: ${formatTokenAmount(slash.amount, token)} at L1 block ${slash.ethBlockNumber}${slash.firstSlash ? ' (first slash)' : ''}`);
+    }
+    if (diff.newSlashes.length > MAX_LISTED) {
+      console.log(`... and ${diff.newSlashes.length - MAX_LISTED} earlier (use --limit to list more)`);
+    }
+  } else {
+    console.log('Status Changes:');
+    console.log('-'.repeat(80));
+    if (diff.statusChanges.length === 0) {
+      console.log('None.');
+    }
+    for (const change of diff.statusChanges.slice(0, MAX_LISTED)) {
+      console.log(`${formatAddress(change.attester)}: ${formatTokenAmount(change.amount, token)} to ${formatAddress(change.recipient)} ${change.from} -> ${change.to}`);
+    }
+    if (diff.statusChanges.length > MAX_LISTED) {
+      console.log(`... and ${diff.statusChanges.length - MAX_LISTED} more (use --limit to list more)`);
+    }
+    console.log('');
+
+    console.log('New Withdrawals:');
+    console.log('-'.repeat(80));
+    if (diff.newWithdrawals.length === 0) {
+      console.log('None.');
+    }
+    for (const withdrawal of diff.newWithdrawals.slice(0, MAX_LISTED)) {
+      console.log(`${formatAddress(withdrawal.attester)}: ${formatTokenAmount(withdrawal.amount, token)} to ${formatAddress(withdrawal.recipient)} (${withdrawal.status})`);
+    }
+    if (diff.newWithdrawals.length > MAX_LISTED) {
+      console.log(`... and ${diff.newWithdrawals.length - MAX_LISTED} more (use --limit to list more)`);
+    }
+  }
 }
 
-if (EXIT_MODE) {
+if (COMMAND === 'address') {
+  displayAddresses(POSITIONAL);
+} else if (COMMAND === 'compare') {
+  displayComparison(STATS_MODE);
+} else if (COMMAND === 'coverage') {
+  displayCoverage();
+} else if (COMMAND === 'timeseries') {
+  displayTimeSeries(STATS_MODE);
+} else if (FORMAT) {
+  exportStats(STATS_MODE);
+} else if (EXIT_MODE) {
   displayExitStats();
 } else if (SLASH_MODE) {
   displaySlashStats();
+} else if (PROPOSALS_MODE) {
+  displayProposerStats();
+} else if (STAKING_MODE) {
+  displayStakingStats();
 } else {
   displayProverStats();
 }
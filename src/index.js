@@ -1,407 +1,498 @@
-import { ethers } from 'ethers';
 import dotenv from 'dotenv';
-import { ROLLUP_ABI } from './abi.js';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { createIndexer, IndexerError, STATS_MODES } from './indexer.js';
+import { BUCKETS } from './timeseries.js';
+import { concentrationMetrics } from './concentration.js';
+import { NETWORK, NETWORKS_FILE, LABELS_FILE } from './network.js';
+import { ALERTS_FILE, loadAlertRules, runAlerts } from './alerts.js';
+import { loadLabels } from './labels.js';
+import { createRpcProvider } from './rpc.js';
+import { formatDelay } from './durations.js';
+import { formatTokenAmount } from './token.js';
+import { formatCost, formatGasPrice } from './costs.js';
+import { createRecordingProvider, createReplayProvider, saveFixture, loadFixture } from './replay.js';
 
 dotenv.config();
 
-const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL;
-const ROLLUP_CONTRACT_ADDRESS = process.env.ROLLUP_CONTRACT_ADDRESS;
-const START_BLOCK = process.env.START_BLOCK ? parseInt(process.env.START_BLOCK) : undefined;
-const END_BLOCK = process.env.END_BLOCK ? parseInt(process.env.END_BLOCK) : 'latest';
-
-// Parse command line arguments (e.g., "npm start slash" or "npm start exit")
-const MODE = process.argv[2] || 'proofs';
+// Command line wrapper around the indexer (see indexer.js): options come from
+// the network profile, .env and the command line, and progress and stats are
+// printed to the console.
+
+const envInt = name => process.env[name] ? parseInt(process.env[name]) : undefined;
+
+// RPC and rollups come from the selected network profile, or from .env when
+// there is no networks.json. Rollup versions are read from the Registry when
+// one is configured, otherwise every listed rollup address is indexed. With
+// several RPC endpoints, requests fail over between them (see rpc.js).
+const RPC_ENDPOINTS = NETWORK.rpcEndpoints;
+const START_BLOCK = envInt('START_BLOCK') ?? NETWORK.deploymentBlock;
+const END_BLOCK = envInt('END_BLOCK');
+
+// Parse command line arguments (e.g., "npm start slash" or "npm start exit --rebuild --network=devnet").
+// "all" indexes every mode in one pass over the chain.
+const ARGS = process.argv.slice(2);
+const FLAGS = new Set(ARGS.filter(arg => arg.startsWith('--')));
+const MODE = ARGS.find(arg => !arg.startsWith('--')) || 'proofs';
 const SLASH_MODE = MODE === 'slash';
 const EXIT_MODE = MODE === 'exit';
+const PROPOSALS_MODE = MODE === 'proposals';
+const STAKING_MODE = MODE === 'staking';
+const ALL_MODE = MODE === 'all';
+
+// Name of the archive and checkpoint entry for this mode
+const ARCHIVE_MODE = ALL_MODE ? 'all' : EXIT_MODE ? 'exit' : SLASH_MODE ? 'slash' : PROPOSALS_MODE ? 'proposals' : STAKING_MODE ? 'staking' : 'proofs';
+
+// --rebuild regenerates the stats file from the archive without touching the RPC,
+// --full discards the archive and rescans from START_BLOCK
+const REBUILD = FLAGS.has('--rebuild');
+const FULL_RESCAN = FLAGS.has('--full');
+
+// --format=csv,md,ndjson writes those exports next to the JSON stats file
+const FORMAT_ARG = ARGS.find(arg => arg.startsWith('--format='));
+const EXPORT_FORMATS = FORMAT_ARG ? FORMAT_ARG.slice('--format='.length).split(',').filter(Boolean) : [];
+
+// Bucket size of the time series saved with the stats (hour, day or week)
+const TIME_SERIES_BUCKET = process.env.TIME_SERIES_BUCKET || 'day';
+
+// Mode name used by the stats files and alerts (per mode of the results in
+// all mode)
+const STATS_MODE = STATS_MODES[ARCHIVE_MODE];
+
+// --watch keeps polling for new blocks after catching up
+const WATCH = FLAGS.has('--watch');
+
+// --costs fetches the receipts of proof submissions and adds what they cost
+// to the prover stats (proofs and all modes)
+const PROOF_COSTS = FLAGS.has('--costs');
+
+// --record=<file> saves every RPC request and response of this run to a
+// fixture, --replay=<file> runs against such a fixture instead of the RPC
+const getOption = name => ARGS.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+const RECORD_FILE = getOption('record') && path.resolve(getOption('record'));
+const REPLAY_FILE = getOption('replay') && path.resolve(getOption('replay'));
+
+// Indexer settings that change which RPC requests are made, saved with a
+// recording so its replay makes the same ones
+const FIXTURE_SETTINGS = ['rollupAddresses', 'registryAddress', 'startBlock', 'endBlock', 'confirmations', 'minChunkSize', 'maxRetries', 'concurrency', 'exitDelaySeconds', 'minimumStake', 'proofCosts'];
+
+// Progress events printed after a blank line, as the start of a new section
+const SECTION_EVENTS = new Set(['chunk', 'reorg', 'building', 'saved']);
+
+// Address labels for the printed stats, event messages and exports
+let labels;
+try {
+  labels = loadLabels(LABELS_FILE);
+} catch (error) {
+  console.error(`Error: could not load labels from ${LABELS_FILE}: ${error.message}`);
+  process.exit(1);
+}
+const { formatAddress, findUnlabeled } = labels;
+
+function indexerOptions() {
+  return {
+    mode: ARCHIVE_MODE,
+    dataDir: NETWORK.dataDir,
+    rollupAddresses: NETWORK.rollupAddresses,
+    registryAddress: NETWORK.registryAddress,
+    network: { name: NETWORK.name, displayName: NETWORK.displayName },
+    chainId: NETWORK.chainId,
+    startBlock: START_BLOCK,
+    endBlock: END_BLOCK,
+    exitDelaySeconds: NETWORK.exitDelaySeconds,
+    // Stake below which attesters are flagged, in whole tokens
+    minimumStake: NETWORK.minimumStake,
+    proofCosts: PROOF_COSTS,
+    full: FULL_RESCAN,
+    formats: EXPORT_FORMATS,
+    timeSeriesBucket: TIME_SERIES_BUCKET,
+    // Blocks behind the chain head left for a later run
+    confirmations: envInt('CONFIRMATIONS'),
+    // Chunks are halved down to MIN_CHUNK_SIZE when the provider rejects a range
+    minChunkSize: envInt('MIN_CHUNK_SIZE'),
+    // Retries per chunk before its range is recorded as failed
+    maxRetries: envInt('RPC_MAX_RETRIES'),
+    retryDelayMs: envInt('RPC_RETRY_DELAY_MS'),
+    // Chunk queries and block fetches in flight at once
+    concurrency: envInt('RPC_CONCURRENCY'),
+    pollIntervalMs: envInt('WATCH_POLL_INTERVAL_MS'),
+    flushIntervalMs: envInt('WATCH_FLUSH_INTERVAL_MS'),
+    labels,
+    onProgress: printProgress
+  };
+}
 
-// Exit delay in seconds (14 days)
-const EXIT_DELAY_SECONDS = 14 * 24 * 60 * 60;
+function rpcOptions() {
+  return {
+    // Requests per second per endpoint, for endpoints without their own limit
+    rateLimit: envInt('RPC_RATE_LIMIT'),
+    timeoutMs: envInt('RPC_TIMEOUT_MS'),
+    onProgress: printProgress
+  };
+}
 
-// Chunk size for querying events (adjust based on RPC provider limits)
-const CHUNK_SIZE = 10000;
+function printConnecting() {
+  const via = RPC_ENDPOINTS.length > 1 ? ` via ${RPC_ENDPOINTS.length} RPC endpoints` : '';
+  console.log(`Connecting to ${NETWORK.displayName}${NETWORK.name ? ` (network "${NETWORK.name}")` : ''}${via}...`);
+}
 
 async function main() {
-  if (!SEPOLIA_RPC_URL) {
-    console.error('Error: SEPOLIA_RPC_URL is not set in .env file');
+  if (!BUCKETS[TIME_SERIES_BUCKET]) {
+    console.error(`Error: TIME_SERIES_BUCKET must be one of ${Object.keys(BUCKETS).join(', ')}`);
     process.exit(1);
   }
 
-  if (!ROLLUP_CONTRACT_ADDRESS) {
-    console.error('Error: ROLLUP_CONTRACT_ADDRESS is not set in .env file');
+  // Alert rules are checked up front so a broken rules file doesn't surface
+  // only after a long scan
+  let alertRules;
+  try {
+    alertRules = loadAlertRules();
+  } catch (error) {
+    console.error(`Error: could not load alert rules from ${ALERTS_FILE}: ${error.message}`);
     process.exit(1);
   }
 
-  console.log('Connecting to Sepolia...');
-  const provider = new ethers.JsonRpcProvider(SEPOLIA_RPC_URL);
+  const sendAlerts = async (stats, statsMode = STATS_MODE) => {
+    if (alertRules) {
+      await runAlerts(statsMode, stats, { ...alertRules, labels });
+    }
+  };
 
-  const contract = new ethers.Contract(
-    ROLLUP_CONTRACT_ADDRESS,
-    ROLLUP_ABI,
-    provider
-  );
+  // run() and rebuild() results: one { stats } per mode in all mode
+  const sendResultAlerts = async result => {
+    const results = ALL_MODE ? Object.entries(result) : [[ARCHIVE_MODE, result]];
+    for (const [archiveMode, { stats }] of results) {
+      await sendAlerts(stats, STATS_MODES[archiveMode]);
+    }
+  };
 
-  console.log(`Contract address: ${ROLLUP_CONTRACT_ADDRESS}`);
-  const mode = EXIT_MODE ? 'Exit Events' : SLASH_MODE ? 'Slash Events' : 'Proof Submissions';
-  console.log(`Mode: ${mode}`);
+  const mode = ALL_MODE ? 'All Events' : EXIT_MODE ? 'Exit Events' : SLASH_MODE ? 'Slash Events' : PROPOSALS_MODE ? 'Block Proposals' : STAKING_MODE ? 'Staking Events' : 'Proof Submissions';
 
-  // Determine block range
-  const currentBlock = await provider.getBlockNumber();
-  const fromBlock = START_BLOCK || 0;
-  const toBlock = END_BLOCK === 'latest' ? currentBlock : END_BLOCK;
+  if (ALL_MODE && WATCH) {
+    console.error('Error: --watch follows a single mode, start one watcher per mode (npm run watch, proposals-watch, slash-watch, exit-watch, staking-watch)');
+    process.exit(1);
+  }
 
-  console.log(`Scanning blocks from ${fromBlock} to ${toBlock}...`);
-  console.log(`Total blocks to scan: ${toBlock - fromBlock + 1}`);
+  if ((RECORD_FILE || REPLAY_FILE) && (WATCH || REBUILD || (RECORD_FILE && REPLAY_FILE))) {
+    console.error('Error: --record and --replay index once and cannot be combined with each other, --watch or --rebuild');
+    process.exit(1);
+  }
 
-  if (EXIT_MODE) {
-    await indexExitEvents(contract, provider, fromBlock, toBlock);
-  } else if (SLASH_MODE) {
-    await indexSlashEvents(contract, fromBlock, toBlock);
-  } else {
-    await indexProofEvents(contract, fromBlock, toBlock);
+  if (REPLAY_FILE) {
+    await replay(mode);
+    return;
   }
-}
 
-async function indexProofEvents(contract, fromBlock, toBlock) {
-  const proverStats = {};
-  let totalProofs = 0;
+  if (REBUILD) {
+    const indexer = createIndexer(indexerOptions());
+    console.log(`Mode: ${mode} (rebuild from archive)`);
+    if (!ALL_MODE && !indexer.archive.loadCheckpoint(ARCHIVE_MODE)) {
+      console.error(`No archived ${ARCHIVE_MODE} events found. Run the indexer without --rebuild first.`);
+      process.exit(1);
+    }
+    await sendResultAlerts(await indexer.rebuild());
+    return;
+  }
 
-  // Query events in chunks to avoid RPC limits
-  for (let start = fromBlock; start <= toBlock; start += CHUNK_SIZE) {
-    const end = Math.min(start + CHUNK_SIZE - 1, toBlock);
+  if (RPC_ENDPOINTS.length === 0) {
+    console.error(NETWORK.name
+      ? `Error: rpcUrl is not set for network "${NETWORK.name}" in ${NETWORKS_FILE} (or references an unset environment variable)`
+      : 'Error: SEPOLIA_RPC_URL is not set in .env file');
+    process.exit(1);
+  }
 
-    console.log(`\nQuerying blocks ${start} to ${end}...`);
+  if (!NETWORK.registryAddress && NETWORK.rollupAddresses.length === 0) {
+    console.error(NETWORK.name
+      ? `Error: neither registryAddress nor rollupAddress is set for network "${NETWORK.name}" in ${NETWORKS_FILE} (or they reference an unset environment variable)`
+      : 'Error: ROLLUP_CONTRACT_ADDRESS is not set in .env file (set it, or REGISTRY_ADDRESS)');
+    process.exit(1);
+  }
 
-    try {
-      const filter = contract.filters.L2ProofVerified();
-      const events = await contract.queryFilter(filter, start, end);
+  if (RECORD_FILE) {
+    await record(mode);
+    return;
+  }
 
-      console.log(`Found ${events.length} L2ProofVerified events in this chunk`);
+  const indexer = createIndexer({ ...indexerOptions(), provider: createRpcProvider(RPC_ENDPOINTS, rpcOptions()) });
+  printConnecting();
+  console.log(`Mode: ${mode}`);
 
-      for (const event of events) {
-        const blockNumber = event.args.blockNumber.toString();
-        const proverId = event.args.proverId;
+  if (WATCH) {
+    // A second Ctrl+C exits right away
+    process.once('SIGINT', () => {
+      console.log('\nStopping watch mode...');
+      indexer.stop().then(() => process.exit(0));
+    });
+    await indexer.watch({ onStats: sendAlerts });
+  } else {
+    await sendResultAlerts(await indexer.run());
+  }
+}
 
-        if (!proverStats[proverId]) {
-          proverStats[proverId] = {
-            address: proverId,
-            proofCount: 0,
-            blocks: []
-          };
-        }
+// Recordings and replays index from scratch into data/replay/<fixture name>,
+// so they make the same requests every time and never touch the real archive
+function fixtureDataDir(file) {
+  const dataDir = path.join(NETWORK.dataDir, 'replay', path.basename(file, '.json'));
+  fs.rmSync(path.join(dataDir, 'archive'), { recursive: true, force: true });
+  return dataDir;
+}
 
-        proverStats[proverId].proofCount++;
-        proverStats[proverId].blocks.push({
-          blockNumber: blockNumber,
-          txHash: event.transactionHash,
-          ethBlockNumber: event.blockNumber
-        });
+// Index once against the RPC, saving every request and response to
+// RECORD_FILE, also when the run fails. No alerts are sent.
+async function record(mode) {
+  const provider = createRecordingProvider(RPC_ENDPOINTS, rpcOptions());
+  const options = { ...indexerOptions(), dataDir: fixtureDataDir(RECORD_FILE), provider };
+  const indexer = createIndexer(options);
+  printConnecting();
+  console.log(`Mode: ${mode} (recording RPC calls)`);
+
+  try {
+    await indexer.run();
+  } finally {
+    const settings = Object.fromEntries(FIXTURE_SETTINGS.map(key => [key, options[key]]));
+    saveFixture(RECORD_FILE, provider, { mode: ARCHIVE_MODE, settings });
+    console.log(`\nRecorded ${provider.calls.length} RPC calls to: ${RECORD_FILE}`);
+  }
+}
 
-        totalProofs++;
+// Index once against the responses in REPLAY_FILE, with the settings it was
+// recorded with. No alerts are sent.
+async function replay(mode) {
+  let fixture;
+  try {
+    fixture = loadFixture(REPLAY_FILE);
+  } catch (error) {
+    console.error(`Error: could not load ${REPLAY_FILE}: ${error.message}`);
+    process.exit(1);
+  }
+  if (fixture.mode !== ARCHIVE_MODE) {
+    console.error(`Error: ${REPLAY_FILE} was recorded for ${fixture.mode} events, run it in that mode`);
+    process.exit(1);
+  }
+
+  const provider = createReplayProvider(fixture);
+  const settings = Object.fromEntries(FIXTURE_SETTINGS.map(key => [key, fixture.settings?.[key]]));
+  const indexer = createIndexer({
+    ...indexerOptions(),
+    ...settings,
+    // The fixture's chain is whatever it was recorded on, and recorded
+    // failures are retried without waiting
+    chainId: undefined,
+    retryDelayMs: 0,
+    dataDir: fixtureDataDir(REPLAY_FILE),
+    provider
+  });
+  console.log(`Replaying ${fixture.calls.length} RPC calls recorded at ${fixture.recordedAt} from ${REPLAY_FILE}`);
+  console.log(`Mode: ${mode}`);
+
+  try {
+    await indexer.run();
+  } finally {
+    if (provider.missing.length > 0) {
+      console.warn(`\nWarning: ${provider.missing.length} request(s) had no recorded response, this replay did not make the same requests as the recorded run:`);
+      for (const { method, params } of provider.missing.slice(0, 5)) {
+        console.warn(`  ${method} ${JSON.stringify(params)}`);
       }
-    } catch (error) {
-      console.error(`Error querying blocks ${start} to ${end}:`, error.message);
-      // Continue with next chunk
     }
   }
+}
 
-  console.log('\n' + '='.repeat(80));
-  console.log('PROVER STATISTICS');
-  console.log('='.repeat(80));
-  console.log(`Total proofs submitted: ${totalProofs}`);
-  console.log(`Unique provers: ${Object.keys(proverStats).length}`);
-  console.log('');
+// Print the indexer's progress. Stats are printed as they are saved, and the
+// chunk by chunk progress of watch mode is left out.
+function printProgress(event) {
+  switch (event.type) {
+    case 'stats':
+      printStats(event.stats, event.mode);
+      printFailedRanges(event.stats.failedRanges);
+      return;
+    case 'failedRanges':
+      printFailedRanges(event.failedRanges);
+      return;
+    case 'watching':
+      console.log(`\n${event.message} (Ctrl+C to stop)...`);
+      return;
+  }
 
-  // Sort provers by proof count (descending)
-  const sortedProvers = Object.values(proverStats).sort((a, b) => b.proofCount - a.proofCount);
+  if (event.level === 'debug' || !event.message) {
+    return;
+  }
+  const text = SECTION_EVENTS.has(event.type) ? `\n${event.message}` : event.message;
+  if (event.level === 'error') {
+    console.error(text);
+  } else if (event.level === 'warn') {
+    console.warn(text);
+  } else {
+    console.log(text);
+  }
+}
 
-  console.log('Proofs by Prover:');
-  console.log('-'.repeat(80));
+function printStats(stats, archiveMode) {
+  if (archiveMode === 'exit') {
+    printExitStats(stats);
+  } else if (archiveMode === 'slash') {
+    printSlashStats(stats);
+  } else if (archiveMode === 'proposals') {
+    printProposerStats(stats);
+  } else if (archiveMode === 'staking') {
+    printStakingStats(stats);
+  } else {
+    printProofStats(stats);
+  }
+  printVersionStats(stats.versions, archiveMode, stats.token);
+}
 
-  for (const prover of sortedProvers) {
-    const percentage = ((prover.proofCount / totalProofs) * 100).toFixed(2);
-    console.log(`${prover.address}: ${prover.proofCount} proofs (${percentage}%)`);
-  }
-
-  // Save detailed data to JSON file
-  const dataDir = path.join(__dirname, '..', 'data');
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-
-  const outputFile = path.join(dataDir, `prover-stats-${Date.now()}.json`);
-  const outputData = {
-    scannedAt: new Date().toISOString(),
-    blockRange: {
-      from: fromBlock,
-      to: toBlock
-    },
-    summary: {
-      totalProofs,
-      uniqueProvers: Object.keys(proverStats).length
-    },
-    provers: sortedProvers
-  };
+// One line per rollup version, only when events came from more than one.
+// token: the staking asset amounts are shown in
+function printVersionStats(versions, archiveMode, token) {
+  if (versions.length < 2) {
+    return;
+  }
 
-  fs.writeFileSync(outputFile, JSON.stringify(outputData, null, 2));
-  console.log(`\nDetailed data saved to: ${outputFile}`);
-}
+  console.log('\nBy Rollup Version:');
+  console.log('-'.repeat(80));
 
-async function indexSlashEvents(contract, fromBlock, toBlock) {
-  const attesterStats = {};
-  let totalSlashes = 0;
-  let totalAmountSlashed = 0n;
-
-  // Query events in chunks to avoid RPC limits
-  for (let start = fromBlock; start <= toBlock; start += CHUNK_SIZE) {
-    const end = Math.min(start + CHUNK_SIZE - 1, toBlock);
-
-    console.log(`\nQuerying blocks ${start} to ${end}...`);
-
-    try {
-      const filter = contract.filters.Slashed();
-      const events = await contract.queryFilter(filter, start, end);
-
-      console.log(`Found ${events.length} Slashed events in this chunk`);
-
-      for (const event of events) {
-        const attester = event.args.attester;
-        const amount = event.args.amount;
-
-        if (!attesterStats[attester]) {
-          attesterStats[attester] = {
-            address: attester,
-            slashCount: 0,
-            totalAmountSlashed: 0n,
-            slashes: []
-          };
-        }
-
-        attesterStats[attester].slashCount++;
-        attesterStats[attester].totalAmountSlashed += amount;
-        attesterStats[attester].slashes.push({
-          amount: amount.toString(),
-          txHash: event.transactionHash,
-          ethBlockNumber: event.blockNumber
-        });
-
-        totalSlashes++;
-        totalAmountSlashed += amount;
-      }
-    } catch (error) {
-      console.error(`Error querying blocks ${start} to ${end}:`, error.message);
-      // Continue with next chunk
+  for (const { version, rollupAddress, summary } of versions) {
+    let counts;
+    if (archiveMode === 'staking') {
+      counts = `${formatTokenAmount(summary.totalStake, token)} staked by ${summary.uniqueAttesters} attesters, ${summary.belowMinimum} below the minimum`;
+    } else if (archiveMode === 'exit') {
+      counts = `${summary.totalInitiated} initiated, ${summary.totalFinalized} finalized, ${summary.totalPending} pending`;
+    } else if (archiveMode === 'slash') {
+      counts = `${summary.totalSlashes} slashes, ${formatTokenAmount(summary.totalAmountSlashed, token)}`;
+    } else if (archiveMode === 'proposals') {
+      counts = `${summary.totalBlocks} blocks by ${summary.uniqueProposers} proposers, ${summary.provenBlocks} proven`;
+    } else {
+      counts = `${summary.totalProofs} proofs by ${summary.uniqueProvers} provers`;
     }
+    console.log(`Version ${version ?? 'unknown'} (${rollupAddress ?? 'unknown address'}): ${counts}`);
+  }
+}
+
+function printFailedRanges(failedRanges) {
+  if (failedRanges.length === 0) {
+    return;
   }
 
+  const missingBlocks = failedRanges.reduce((sum, r) => sum + r.to - r.from + 1, 0);
+  console.warn(`\nWARNING: ${failedRanges.length} block range(s) (${missingBlocks} blocks) could not be fetched, totals are incomplete:`);
+  for (const range of failedRanges) {
+    console.warn(`  ${range.from} to ${range.to}: ${range.error}`);
+  }
+  console.warn('These ranges will be retried on the next run.');
+}
+
+function printProofStats({ summary, provers }) {
   console.log('\n' + '='.repeat(80));
-  console.log('SLASH STATISTICS');
+  console.log('PROVER STATISTICS');
   console.log('='.repeat(80));
-  console.log(`Total slashes: ${totalSlashes}`);
-  console.log(`Total amount slashed: ${ethers.formatEther(totalAmountSlashed)} ETH`);
-  console.log(`Unique attesters slashed: ${Object.keys(attesterStats).length}`);
+  console.log(`Total proofs submitted: ${summary.totalProofs}`);
+  console.log(`Unique provers: ${summary.uniqueProvers}`);
   console.log('');
 
-  // Sort attesters by slash count (descending)
-  const sortedAttesters = Object.values(attesterStats)
-    .map(a => ({
-      ...a,
-      totalAmountSlashed: a.totalAmountSlashed.toString()
-    }))
-    .sort((a, b) => b.slashCount - a.slashCount);
-
-  console.log('Slashes by Attester:');
+  console.log('Proofs by Prover:');
   console.log('-'.repeat(80));
 
-  for (const attester of sortedAttesters) {
-    const percentage = totalSlashes > 0 ? ((attester.slashCount / totalSlashes) * 100).toFixed(2) : '0.00';
-    console.log(`${attester.address}: ${attester.slashCount} slashes (${percentage}%), ${ethers.formatEther(attester.totalAmountSlashed)} ETH`);
-  }
-
-  // Save detailed data to JSON file
-  const dataDir = path.join(__dirname, '..', 'data');
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-
-  const outputFile = path.join(dataDir, `slash-stats-${Date.now()}.json`);
-  const outputData = {
-    scannedAt: new Date().toISOString(),
-    blockRange: {
-      from: fromBlock,
-      to: toBlock
-    },
-    summary: {
-      totalSlashes,
-      totalAmountSlashed: totalAmountSlashed.toString(),
-      uniqueAttesters: Object.keys(attesterStats).length
-    },
-    attesters: sortedAttesters
-  };
-
-  fs.writeFileSync(outputFile, JSON.stringify(outputData, null, 2));
-  console.log(`\nDetailed data saved to: ${outputFile}`);
-}
-
-async function indexExitEvents(contract, provider, fromBlock, toBlock) {
-  const initiatedEvents = [];
-  const finalizedEvents = [];
+  for (const prover of provers) {
+    const percentage = ((prover.proofCount / summary.totalProofs) * 100).toFixed(2);
+    console.log(`${formatAddress(prover.address)}: ${prover.proofCount} proofs (${percentage}%)`);
+  }
 
-  // Query events in chunks to avoid RPC limits
-  for (let start = fromBlock; start <= toBlock; start += CHUNK_SIZE) {
-    const end = Math.min(start + CHUNK_SIZE - 1, toBlock);
+  if (summary.costs) {
+    printProofCosts(summary.costs, provers);
+  }
 
-    console.log(`\nQuerying blocks ${start} to ${end}...`);
+  printConcentration(provers.map(p => p.proofCount), 'provers');
 
-    try {
-      // Query both event types
-      const initiatedFilter = contract.filters.WithdrawInitiated();
-      const finalizedFilter = contract.filters.WithdrawFinalized();
+  const unlabeled = findUnlabeled(provers);
+  if (unlabeled.length > 0) {
+    console.warn(`\nWarning: top provers without a label in ${path.basename(LABELS_FILE)}: ${unlabeled.map(p => p.address).join(', ')}`);
+  }
+}
 
-      const [initiated, finalized] = await Promise.all([
-        contract.queryFilter(initiatedFilter, start, end),
-        contract.queryFilter(finalizedFilter, start, end)
-      ]);
+function printProofCosts(costs, provers) {
+  console.log('\nProof Costs:');
+  console.log('-'.repeat(80));
+  const withoutCost = costs.proofsWithoutCost > 0 ? ` (${costs.proofsWithoutCost} more without a receipt yet)` : '';
+  console.log(`Total spent: ${formatCost(costs.totalCost)} on ${costs.proofsWithCost} proofs${withoutCost}`);
+  if (costs.averageCostPerProof !== null) {
+    console.log(`Average per proof: ${formatCost(costs.averageCostPerProof)}, gas price ${formatGasPrice(costs.averageGasPrice)}`);
+  }
+  if (costs.blobCost !== '0') {
+    console.log(`Blob fees: ${formatCost(costs.blobCost)}`);
+  }
 
-      console.log(`Found ${initiated.length} WithdrawInitiated, ${finalized.length} WithdrawFinalized events`);
+  for (const prover of provers.filter(p => p.costs.proofsWithCost > 0)) {
+    console.log(`${formatAddress(prover.address)}: ${formatCost(prover.costs.totalCost)}, ${formatCost(prover.costs.averageCostPerProof)} per proof`);
+  }
+}
 
-      initiatedEvents.push(...initiated);
-      finalizedEvents.push(...finalized);
-    } catch (error) {
-      console.error(`Error querying blocks ${start} to ${end}:`, error.message);
-      // Continue with next chunk
+function printProposerStats({ proofsBlockRange, summary, proposers }) {
+  console.log('\n' + '='.repeat(80));
+  console.log('PROPOSER STATISTICS');
+  console.log('='.repeat(80));
+  console.log(`Total blocks proposed: ${summary.totalBlocks}`);
+  console.log(`Unique proposers: ${summary.uniqueProposers}`);
+  if (proofsBlockRange) {
+    console.log(`Proven: ${summary.provenBlocks}, not proven yet: ${summary.pendingBlocks}, pruned: ${summary.prunedBlocks} (proofs archived up to block ${proofsBlockRange.to})`);
+    if (summary.averageProvingSeconds !== null) {
+      console.log(`Time to proof: ${formatDelay(summary.averageProvingSeconds)} on average, ${formatDelay(summary.medianProvingSeconds)} median`);
     }
   }
+  console.log('');
 
-  console.log('\nFetching block timestamps for initiated events...');
-
-  // Get block timestamps for all initiated events
-  const blockTimestamps = {};
-  const uniqueBlocks = [...new Set(initiatedEvents.map(e => e.blockNumber))];
+  console.log('Blocks by Proposer:');
+  console.log('-'.repeat(80));
 
-  for (let i = 0; i < uniqueBlocks.length; i += 10) {
-    const batch = uniqueBlocks.slice(i, i + 10);
-    const blocks = await Promise.all(batch.map(bn => provider.getBlock(bn)));
-    for (const block of blocks) {
-      blockTimestamps[block.number] = block.timestamp;
-    }
-    if (i % 50 === 0 && i > 0) {
-      console.log(`  Fetched ${i}/${uniqueBlocks.length} block timestamps...`);
-    }
+  for (const proposer of proposers) {
+    const percentage = ((proposer.blockCount / summary.totalBlocks) * 100).toFixed(2);
+    const proven = proofsBlockRange ? `, ${proposer.provenCount} proven` : '';
+    console.log(`${formatAddress(proposer.address)}: ${proposer.blockCount} blocks (${percentage}%)${proven}`);
   }
 
-  // Build attester stats
-  const attesterStats = {};
-  const now = Math.floor(Date.now() / 1000);
-
-  // Process initiated events
-  for (const event of initiatedEvents) {
-    const attester = event.args.attester;
-    const recipient = event.args.recipient;
-    const amount = event.args.amount;
-    const timestamp = blockTimestamps[event.blockNumber];
-    const exitableAt = timestamp + EXIT_DELAY_SECONDS;
-
-    if (!attesterStats[attester]) {
-      attesterStats[attester] = {
-        address: attester,
-        initiatedCount: 0,
-        finalizedCount: 0,
-        totalInitiatedAmount: 0n,
-        totalFinalizedAmount: 0n,
-        initiated: [],
-        finalized: []
-      };
-    }
+  printConcentration(proposers.map(p => p.blockCount), 'proposers');
+}
 
-    attesterStats[attester].initiatedCount++;
-    attesterStats[attester].totalInitiatedAmount += amount;
-    attesterStats[attester].initiated.push({
-      recipient,
-      amount: amount.toString(),
-      txHash: event.transactionHash,
-      ethBlockNumber: event.blockNumber,
-      timestamp,
-      exitableAt,
-      canFinalize: now >= exitableAt
-    });
-  }
+function printSlashStats({ token, summary, attesters }) {
+  console.log('\n' + '='.repeat(80));
+  console.log('SLASH STATISTICS');
+  console.log('='.repeat(80));
+  console.log(`Total slashes: ${summary.totalSlashes}`);
+  console.log(`Total amount slashed: ${formatTokenAmount(summary.totalAmountSlashed, token)}`);
+  console.log(`Unique attesters slashed: ${summary.uniqueAttesters}`);
+  console.log('');
 
-  // Process finalized events
-  for (const event of finalizedEvents) {
-    const attester = event.args.attester;
-    const recipient = event.args.recipient;
-    const amount = event.args.amount;
-
-    if (!attesterStats[attester]) {
-      attesterStats[attester] = {
-        address: attester,
-        initiatedCount: 0,
-        finalizedCount: 0,
-        totalInitiatedAmount: 0n,
-        totalFinalizedAmount: 0n,
-        initiated: [],
-        finalized: []
-      };
-    }
+  console.log('Slashes by Attester:');
+  console.log('-'.repeat(80));
 
-    attesterStats[attester].finalizedCount++;
-    attesterStats[attester].totalFinalizedAmount += amount;
-    attesterStats[attester].finalized.push({
-      recipient,
-      amount: amount.toString(),
-      txHash: event.transactionHash,
-      ethBlockNumber: event.blockNumber
-    });
+  for (const attester of attesters) {
+    const percentage = summary.totalSlashes > 0 ? ((attester.slashCount / summary.totalSlashes) * 100).toFixed(2) : '0.00';
+    console.log(`${formatAddress(attester.address)}: ${attester.slashCount} slashes (${percentage}%), ${formatTokenAmount(attester.totalAmountSlashed, token)}`);
   }
 
-  // Calculate summary statistics
-  let totalInitiated = 0;
-  let totalFinalized = 0;
-  let pendingCanFinalize = 0;
-  let pendingCannotFinalize = 0;
-  const pendingExits = [];
-
-  for (const attester of Object.values(attesterStats)) {
-    totalInitiated += attester.initiatedCount;
-    totalFinalized += attester.finalizedCount;
-
-    // Check for pending exits (initiated but not finalized)
-    const pendingCount = attester.initiatedCount - attester.finalizedCount;
-    if (pendingCount > 0) {
-      // Get the most recent unfulfilled initiated events
-      const unfinalized = attester.initiated.slice(-pendingCount);
-      for (const exit of unfinalized) {
-        if (exit.canFinalize) {
-          pendingCanFinalize++;
-        } else {
-          pendingCannotFinalize++;
-        }
-        pendingExits.push({
-          attester: attester.address,
-          ...exit
-        });
-      }
-    }
-  }
+  printConcentration(attesters.map(a => a.slashCount), 'attesters');
+}
 
-  // Sort pending exits by exitableAt
-  pendingExits.sort((a, b) => a.exitableAt - b.exitableAt);
+function printConcentration(counts, label) {
+  const { hhi, gini, nakamoto } = concentrationMetrics(counts);
+  if (hhi !== null) {
+    console.log(`\nConcentration: HHI ${hhi}, Gini ${gini.toFixed(2)}, Nakamoto ${nakamoto} (${label} covering more than half)`);
+  }
+}
 
+function printExitStats({ token, exitDelaySeconds, summary, pendingExits, unmatchedFinalized, attesters }) {
   console.log('\n' + '='.repeat(80));
   console.log('EXIT STATISTICS');
   console.log('='.repeat(80));
-  console.log(`Total withdrawals initiated: ${totalInitiated}`);
-  console.log(`Total withdrawals finalized: ${totalFinalized}`);
-  console.log(`Total pending exits: ${pendingExits.length}`);
-  console.log(`  - Can finalize now: ${pendingCanFinalize}`);
-  console.log(`  - Cannot finalize yet: ${pendingCannotFinalize}`);
-  console.log(`Unique attesters: ${Object.keys(attesterStats).length}`);
+  console.log(`Exit delay: ${formatDelay(exitDelaySeconds)}`);
+  console.log(`Total withdrawals initiated: ${summary.totalInitiated}`);
+  console.log(`Total withdrawals finalized: ${summary.totalFinalized}`);
+  console.log(`Total pending exits: ${summary.totalPending}`);
+  console.log(`  - Can finalize now: ${summary.pendingCanFinalize}`);
+  console.log(`  - Cannot finalize yet: ${summary.pendingCannotFinalize}`);
+  console.log(`Unique attesters: ${summary.uniqueAttesters}`);
+  if (summary.ambiguousMatches > 0 || summary.amountMismatches > 0) {
+    console.log(`Finalizations matched with ambiguity: ${summary.ambiguousMatches} ambiguous, ${summary.amountMismatches} with a different amount`);
+  }
   console.log('');
 
   // Display pending exits timeline
@@ -412,65 +503,78 @@ async function indexExitEvents(contract, provider, fromBlock, toBlock) {
     for (const exit of pendingExits) {
       const exitDate = new Date(exit.exitableAt * 1000);
       const status = exit.canFinalize ? '[CAN FINALIZE]' : `[${exitDate.toLocaleDateString()}]`;
-      const shortAddr = `${exit.attester.slice(0, 6)}...${exit.attester.slice(-4)}`;
-      console.log(`${status} ${shortAddr}: ${ethers.formatEther(exit.amount)} ETH`);
+      console.log(`${status} ${formatAddress(exit.attester, { short: true })}: ${formatTokenAmount(exit.amount, token)}`);
     }
     console.log('');
   }
 
-  // Sort attesters by initiated count (descending)
-  const sortedAttesters = Object.values(attesterStats)
-    .map(a => ({
-      ...a,
-      totalInitiatedAmount: a.totalInitiatedAmount.toString(),
-      totalFinalizedAmount: a.totalFinalizedAmount.toString()
-    }))
-    .sort((a, b) => b.initiatedCount - a.initiatedCount);
+  if (unmatchedFinalized.length > 0) {
+    console.log(`Finalized withdrawals without a matching initiation (initiated before the scanned range?): ${unmatchedFinalized.length}`);
+    console.log('-'.repeat(80));
+    for (const exit of unmatchedFinalized) {
+      console.log(`${formatAddress(exit.attester)}: ${formatTokenAmount(exit.amount, token)} to ${formatAddress(exit.recipient)} at L1 block ${exit.ethBlockNumber}`);
+    }
+    console.log('');
+  }
 
   console.log('Exits by Attester:');
   console.log('-'.repeat(80));
 
-  for (const attester of sortedAttesters) {
-    const pending = attester.initiatedCount - attester.finalizedCount;
-    console.log(`${attester.address}`);
-    console.log(`  Initiated: ${attester.initiatedCount}, Finalized: ${attester.finalizedCount}, Pending: ${pending}`);
-    console.log(`  Amount: ${ethers.formatEther(attester.totalInitiatedAmount)} ETH initiated, ${ethers.formatEther(attester.totalFinalizedAmount)} ETH finalized`);
+  for (const attester of attesters) {
+    console.log(formatAddress(attester.address));
+    console.log(`  Initiated: ${attester.initiatedCount}, Finalized: ${attester.finalizedCount}, Pending: ${attester.pendingCount}`);
+    console.log(`  Amount: ${formatTokenAmount(attester.totalInitiatedAmount, token)} initiated, ${formatTokenAmount(attester.totalFinalizedAmount, token)} finalized`);
     console.log('');
   }
+}
 
-  // Save detailed data to JSON file
-  const dataDir = path.join(__dirname, '..', 'data');
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-
-  const outputFile = path.join(dataDir, `exit-stats-${Date.now()}.json`);
-  const outputData = {
-    scannedAt: new Date().toISOString(),
-    currentTimestamp: now,
-    blockRange: {
-      from: fromBlock,
-      to: toBlock
-    },
-    summary: {
-      totalInitiated,
-      totalFinalized,
-      totalPending: pendingExits.length,
-      pendingCanFinalize,
-      pendingCannotFinalize,
-      uniqueAttesters: Object.keys(attesterStats).length
-    },
-    pendingExits,
-    attesters: sortedAttesters
-  };
+const STAKE_STATUS_NOTES = {
+  belowMinimum: 'BELOW MINIMUM',
+  withdrawn: 'withdrawn',
+  incomplete: 'deposited before the scanned range'
+};
+
+function printStakingStats({ token, minimumStake, summary, attesters }) {
+  console.log('\n' + '='.repeat(80));
+  console.log('STAKING BALANCE SHEET');
+  console.log('='.repeat(80));
+  if (token) {
+    console.log(`Staking asset: ${token.symbol} (${token.address})`);
+  }
+  console.log(`Minimum stake: ${minimumStake === null ? 'unknown' : formatTokenAmount(minimumStake, token)}`);
+  console.log(`Deposits: ${summary.totalDeposits}, slashes: ${summary.totalSlashes}, withdrawals initiated: ${summary.totalWithdrawals}`);
+  console.log(`Total stake: ${formatTokenAmount(summary.totalStake, token)}`);
+  console.log(`Unique attesters: ${summary.uniqueAttesters} (${summary.activeAttesters} active, ${summary.belowMinimum} below the minimum, ${summary.withdrawnAttesters} withdrawn, ${summary.incompleteAttesters} deposited before the scanned range)`);
+  console.log('');
+
+  const below = attesters.filter(a => a.status === 'belowMinimum');
+  if (below.length > 0) {
+    console.log('Attesters Below the Minimum Stake:');
+    console.log('-'.repeat(80));
+    for (const attester of below) {
+      const cause = attester.belowMinimumSince;
+      const after = cause ? ` after ${cause.event === 'Slashed' ? 'a slash' : 'a withdrawal'} at L1 block ${cause.ethBlockNumber}` : '';
+      console.log(`${formatAddress(attester.address)}: ${formatTokenAmount(attester.stake, token)}${after}`);
+    }
+    console.log('');
+  }
 
-  fs.writeFileSync(outputFile, JSON.stringify(outputData, null, 2));
-  console.log(`\nDetailed data saved to: ${outputFile}`);
+  console.log('Stake by Attester:');
+  console.log('-'.repeat(80));
+
+  for (const attester of attesters) {
+    const status = STAKE_STATUS_NOTES[attester.status] ? ` (${STAKE_STATUS_NOTES[attester.status]})` : '';
+    console.log(`${formatAddress(attester.address)}: ${formatTokenAmount(attester.stake, token)}${status}`);
+  }
 }
 
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error('Fatal error:', error);
+    if (error instanceof IndexerError) {
+      console.error(`Error: ${error.message}`);
+    } else {
+      console.error('Fatal error:', error);
+    }
     process.exit(1);
   });
@@ -0,0 +1,1137 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { createArchive, serializeEvent } from './archive.js';
+import { ROLLUP_INTERFACE, discoverRollups, isSameAddress } from './rollups.js';
+import { mapConcurrent } from './rpc.js';
+import { aggregateEvents, aggregatorOptions, createAggregator, DEFAULT_EXIT_DELAY_SECONDS } from './aggregate.js';
+import { createChunkScanner, describeError } from './scanner.js';
+import { formatDelay } from './durations.js';
+import { createBlockHashStore } from './reorg.js';
+import { createTimestampCache } from './timestamps.js';
+import { createProofCostCache } from './costs.js';
+import { FORMATS, getTables, formatStats } from './formats.js';
+import { BUCKETS, buildTimeSeries } from './timeseries.js';
+import { buildConcentration } from './concentration.js';
+import { STATS_FILES } from './statsFiles.js';
+import { createLabels } from './labels.js';
+import { DEFAULT_TOKEN, formatTokenAmount, parseTokenAmount, readStakingToken } from './token.js';
+
+// Indexer for proof, block proposal, slash, exit and staking events that takes
+// a provider and options instead of .env and the command line, so it can run
+// inside other services; src/index.js is the command line wrapper around it.
+// It never prints or exits: errors are thrown, and progress is reported to
+// onProgress as { type, level, message, ...details } objects, where level is
+// info, debug (chunk by chunk progress while watching), warn or error. Events
+// are archived in dataDir/archive so every run only scans new blocks, and
+// stats files are saved to dataDir as the command line does.
+
+// Raised for bad options and for conditions the caller has to fix (wrong
+// chain, nothing archived yet), as opposed to RPC and file system errors
+export class IndexerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IndexerError';
+  }
+}
+
+// Events fetched for each mode
+export const MODE_EVENTS = {
+  proofs: ['L2ProofVerified'],
+  proposals: ['L2BlockProposed'],
+  slash: ['Slashed'],
+  exit: ['WithdrawInitiated', 'WithdrawFinalized'],
+  staking: ['Deposit', 'Slashed', 'WithdrawInitiated']
+};
+
+// Mode name used by the stats files and export formats
+export const STATS_MODES = {
+  proofs: 'prover',
+  proposals: 'proposer',
+  slash: 'slash',
+  exit: 'exit',
+  staking: 'staking'
+};
+
+// Modes whose amounts are in the rollup's staking asset
+const TOKEN_MODES = ['slash', 'exit', 'staking'];
+
+export const INDEXER_DEFAULTS = {
+  // Blocks behind the chain head that are left unindexed until a later run, so
+  // events only enter the archive once they are unlikely to be reorged out
+  confirmations: 12,
+  // Chunk size for log queries, halved down to minChunkSize when the provider
+  // rejects a range
+  chunkSize: 10000,
+  minChunkSize: 10,
+  // Chunk queries and block fetches in flight at once
+  concurrency: 4,
+  // Retries per chunk before its range is recorded as failed
+  maxRetries: 3,
+  retryDelayMs: 1000,
+  // Bucket size of the time series saved with the stats (hour, day or week)
+  timeSeriesBucket: 'day',
+  // Watch mode polling and stats file rewrite intervals
+  pollIntervalMs: 12000,
+  flushIntervalMs: 60000
+};
+
+// Events of every mode, fetched together by the 'all' mode
+const ALL_EVENTS = [...new Set(Object.values(MODE_EVENTS).flat())];
+const eventsOf = eventMode => eventMode === 'all' ? ALL_EVENTS : MODE_EVENTS[eventMode];
+
+// Options:
+// - mode: proofs (default), proposals, slash, exit, staking or all (see
+//   createCombinedIndexer)
+// - provider: ethers provider, needed for everything but rebuild()
+// - dataDir: directory of the archive and stats files
+// - rollupAddresses / registryAddress: rollups to index, or the Registry that
+//   lists them
+// - network: { name, displayName } saved with the stats
+// - chainId: expected chain id, checked against the provider
+// - startBlock: first block of a new archive (default: rollup deployment)
+// - endBlock: last block to index (default: chain head minus confirmations)
+// - exitDelaySeconds: overrides the exit delay read from the rollups
+// - minimumStake: stake in whole tokens (e.g. "100000") below which attesters
+//   are flagged, overrides the minimum stake read from the rollup
+// - proofCosts: fetch the receipts of proof submissions and add what they
+//   cost to the proofs stats (default false)
+// - save: write stats files to dataDir (default true)
+// - formats: csv, md and/or ndjson exports written next to the stats file
+// - labels: address labels for event messages and exports (see labels.js)
+// - full: discard the archive and rescan from startBlock
+// - onProgress: progress callback
+// and the tuning options of INDEXER_DEFAULTS
+export function createIndexer(options = {}) {
+  const settings = { ...INDEXER_DEFAULTS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  }
+  const { mode = 'proofs', dataDir } = settings;
+
+  if (mode !== 'all' && !MODE_EVENTS[mode]) {
+    throw new IndexerError(`Unknown mode "${mode}", expected one of: ${[...Object.keys(MODE_EVENTS), 'all'].join(', ')}`);
+  }
+  if (!dataDir) {
+    throw new IndexerError('dataDir is required');
+  }
+  if (settings.minimumStake !== undefined && !/^\d+(\.\d+)?$/.test(String(settings.minimumStake))) {
+    throw new IndexerError(`minimumStake must be an amount of tokens such as 100000 or 0.5, got "${settings.minimumStake}"`);
+  }
+  if (!BUCKETS[settings.timeSeriesBucket]) {
+    throw new IndexerError(`timeSeriesBucket must be one of ${Object.keys(BUCKETS).join(', ')}`);
+  }
+  settings.formats = (settings.formats || []).filter(f => f !== 'json');
+  const unknownFormats = settings.formats.filter(f => !FORMATS.includes(f));
+  if (unknownFormats.length > 0) {
+    throw new IndexerError(`Unknown format(s) ${unknownFormats.join(', ')}, expected: ${FORMATS.join(', ')}`);
+  }
+
+  const context = createIndexerContext(settings);
+  if (mode === 'all') {
+    return createCombinedIndexer(context);
+  }
+  const { run, rebuild, watch, stop } = createModeIndexer(mode, context);
+  return { mode, statsMode: STATS_MODES[mode], archive: context.archive, run, rebuild, watch, stop };
+}
+
+// What the indexers of the different modes share: the RPC, the archive with
+// its timestamp and block hash stores, and the steps that don't depend on the
+// mode
+function createIndexerContext(settings) {
+  const {
+    provider,
+    dataDir,
+    rollupAddresses = [],
+    registryAddress,
+    chainId: expectedChainId,
+    network = {},
+    startBlock,
+    endBlock,
+    onProgress = () => {}
+  } = settings;
+
+  const archive = createArchive(dataDir);
+  const blockHashes = createBlockHashStore(archive.archiveDir);
+  const timestamps = createTimestampCache(archive.archiveDir, { concurrency: settings.concurrency, onProgress });
+  const costCache = createProofCostCache(archive.archiveDir, { concurrency: settings.concurrency, onProgress });
+
+  const emit = (level, type, message, details = {}) => onProgress({ type, level, message, ...details });
+
+  function createScanner(quiet = false) {
+    return createChunkScanner({
+      maxChunkSize: settings.chunkSize,
+      minChunkSize: settings.minChunkSize,
+      maxRetries: settings.maxRetries,
+      retryDelayMs: settings.retryDelayMs,
+      concurrency: settings.concurrency,
+      quiet,
+      onProgress
+    });
+  }
+
+  function requireRpc() {
+    if (!provider) {
+      throw new IndexerError('provider is required to index events');
+    }
+    if (!registryAddress && rollupAddresses.length === 0) {
+      throw new IndexerError('registryAddress or rollupAddresses is required to index events');
+    }
+  }
+
+  async function verifyChainId() {
+    const actual = Number((await provider.getNetwork()).chainId);
+    if (expectedChainId !== undefined && actual !== expectedChainId) {
+      throw new IndexerError(`RPC${network.name ? ` for network "${network.name}"` : ''} is on chain ${actual}, expected ${expectedChainId}`);
+    }
+    emit('info', 'chainId', `Chain id: ${actual}`, { chainId: actual });
+    return actual;
+  }
+
+  // Rollup versions to index (known: the ones found on an earlier run) and the
+  // last block to scan, leaving the most recent confirmations blocks for a
+  // later run since they can still be reorged out
+  async function findRollups(known) {
+    const currentBlock = await provider.getBlockNumber();
+    const confirmedBlock = currentBlock - settings.confirmations;
+    const toBlock = endBlock === undefined ? confirmedBlock : Math.min(endBlock, confirmedBlock);
+
+    emit('info', 'rollups', registryAddress ? `Reading rollup versions from registry ${registryAddress}...` : 'Reading rollup versions...');
+    const rollups = await discoverRollups(provider, { registryAddress, rollupAddresses }, {
+      fromBlock: startBlock ?? 0,
+      toBlock: confirmedBlock,
+      known,
+      onProgress
+    });
+    if (rollups.length === 0) {
+      throw new IndexerError('the registry lists no rollup versions');
+    }
+    for (const rollup of rollups) {
+      emit('info', 'rollup', `  Rollup version ${rollup.version}: ${rollup.address} (from block ${rollup.fromBlock})`, { rollup });
+    }
+
+    return { rollups, toBlock };
+  }
+
+  // Compare the stored hashes of recently indexed blocks with the chain. If any
+  // of them were reorged out, roll every mode's archive back to the last block
+  // that is still canonical and re-index the dropped blocks for the modes not
+  // in rescannedModes (those rescan them as part of their normal run). Returns
+  // whether anything was rolled back.
+  async function handleReorg(scanner, rescannedModes) {
+    const forkBlock = await blockHashes.findForkBlock(provider);
+    if (forkBlock === null) {
+      return false;
+    }
+
+    emit('warn', 'reorg', `Reorg detected: indexed blocks after ${forkBlock} are no longer canonical, rolling back...`, { forkBlock });
+    blockHashes.forgetBlockHashesAfter(forkBlock);
+    timestamps.forgetBlockTimestampsAfter(forkBlock);
+    costCache.forgetProofCostsAfter(forkBlock);
+
+    for (const otherMode of Object.keys(MODE_EVENTS)) {
+      const previousLastBlock = archive.rollbackArchive(otherMode, forkBlock);
+      if (previousLastBlock === null) {
+        continue;
+      }
+
+      emit('warn', 'rollback', `  ${otherMode}: rolled back from block ${previousLastBlock} to ${forkBlock}`, { mode: otherMode });
+      const checkpoint = archive.loadCheckpoint(otherMode);
+      // Archives from before rollup versions were tracked are rescanned on
+      // their mode's next run instead
+      if (rescannedModes.includes(otherMode) || !checkpoint.rollups) {
+        continue;
+      }
+
+      emit('info', 'reindex', `  Re-indexing ${otherMode} events for blocks ${forkBlock + 1} to ${previousLastBlock}...`, { mode: otherMode });
+      const updated = await scanEvents(otherMode, scanner, checkpoint.rollups, checkpoint, forkBlock + 1, previousLastBlock);
+      await rememberTipHash(updated.lastScannedBlock);
+    }
+
+    return true;
+  }
+
+  async function rememberTipHash(blockNumber) {
+    const block = await provider.getBlock(blockNumber);
+    if (block) {
+      blockHashes.rememberBlockHashes([{ number: block.number, hash: block.hash }]);
+    }
+  }
+
+  // Fetch a mode's events (or those of every mode for 'all') of every rollup
+  // version for one chunk in a single query, including their block
+  // timestamps, so a failure anywhere retries the whole chunk
+  async function fetchChunkEvents(eventMode, rollups, start, end) {
+    const logs = await provider.getLogs({
+      address: rollups.map(r => r.address),
+      topics: [eventsOf(eventMode).map(name => ROLLUP_INTERFACE.getEvent(name).topicHash)],
+      fromBlock: start,
+      toBlock: end
+    });
+
+    const records = logs.map(log => serializeEvent(
+      log,
+      ROLLUP_INTERFACE.parseLog(log),
+      rollups.find(r => isSameAddress(r.address, log.address))
+    ));
+    await timestamps.addBlockTimestamps(provider, records);
+    await addProposalSenders(records);
+    return records;
+  }
+
+  // L2BlockProposed doesn't name the proposer, so block proposals are
+  // attributed to the account that sent the proposing transaction (the
+  // sequencer's publisher), set as `sender` on the records
+  async function addProposalSenders(records) {
+    const proposals = records.filter(r => r.event === 'L2BlockProposed');
+    const txHashes = [...new Set(proposals.map(r => r.txHash))];
+    const senders = {};
+
+    await mapConcurrent(txHashes, settings.concurrency, async txHash => {
+      const tx = await provider.getTransaction(txHash);
+      if (!tx) {
+        throw new Error(`transaction ${txHash} not found`);
+      }
+      senders[txHash] = tx.from;
+    });
+
+    for (const record of proposals) {
+      record.sender = senders[record.txHash];
+    }
+  }
+
+  function reportChunkEvents(scanner, eventMode, records, from, to) {
+    const counts = eventsOf(eventMode).map(name => `${records.filter(r => r.event === name).length} ${name}`);
+    // With several chunks in flight the results don't follow their "Querying"
+    // line
+    const range = scanner.concurrency > 1 ? ` in blocks ${from} to ${to}` : '';
+    emit(scanner.quiet ? 'debug' : 'info', 'chunkEvents', `Found ${counts.join(', ')} events${range}`, { mode: eventMode, from, to, count: records.length });
+  }
+
+  // Fetch a mode's events chunk by chunk, appending them to the archive and
+  // advancing the checkpoint after each chunk. Ranges that fail after all
+  // retries are recorded on the checkpoint so the gap is visible in the stats
+  // and retried on the next run. onRecords, if given, receives each chunk's
+  // newly archived records.
+  async function scanEvents(eventMode, scanner, rollups, checkpoint, fromBlock, toBlock, onRecords) {
+    const failedRanges = await scanner.scan(
+      fromBlock,
+      toBlock,
+      (start, end) => fetchChunkEvents(eventMode, rollups, start, end),
+      (start, end, records) => {
+        reportChunkEvents(scanner, eventMode, records, start, end);
+        archive.appendEvents(eventMode, records);
+        blockHashes.rememberBlockHashes(records.map(r => ({ number: r.ethBlockNumber, hash: r.blockHash })));
+        checkpoint = { ...checkpoint, lastScannedBlock: end };
+        archive.saveCheckpoint(eventMode, checkpoint);
+        if (onRecords) {
+          onRecords(records);
+        }
+      }
+    );
+
+    // Failed ranges are retried from the list, so the checkpoint moves past
+    // them even when the last chunk failed
+    if (failedRanges.length > 0) {
+      checkpoint = {
+        ...checkpoint,
+        lastScannedBlock: Math.max(checkpoint.lastScannedBlock, toBlock),
+        failedRanges: [...(checkpoint.failedRanges || []), ...failedRanges]
+      };
+      archive.saveCheckpoint(eventMode, checkpoint);
+    }
+
+    return checkpoint;
+  }
+
+  return {
+    settings,
+    provider,
+    archive,
+    blockHashes,
+    timestamps,
+    costCache,
+    emit,
+    createScanner,
+    requireRpc,
+    verifyChainId,
+    findRollups,
+    handleReorg,
+    rememberTipHash,
+    fetchChunkEvents,
+    reportChunkEvents,
+    scanEvents
+  };
+}
+
+// Indexer of a single mode, see createIndexer
+function createModeIndexer(mode, context) {
+  const {
+    settings,
+    provider,
+    archive,
+    timestamps,
+    blockHashes,
+    costCache,
+    emit,
+    createScanner,
+    requireRpc,
+    verifyChainId,
+    findRollups,
+    handleReorg,
+    rememberTipHash,
+    fetchChunkEvents,
+    reportChunkEvents,
+    scanEvents
+  } = context;
+  const { dataDir, network = {}, startBlock, exitDelaySeconds, minimumStake, formats, save = true, full = false, labels = createLabels(null) } = settings;
+  const statsMode = STATS_MODES[mode];
+  // Proof costs are only fetched and reported by the proofs mode
+  const withCosts = mode === 'proofs' && Boolean(settings.proofCosts);
+
+  // Watch loop state, see watch() and stop()
+  let stopped = false;
+  let wake = null;
+  let watching = null;
+
+  // Discard the archive when a full rescan was requested or it was built on
+  // another chain
+  function resetStaleArchive(chainId) {
+    const checkpoint = archive.loadCheckpoint(mode);
+    if (full && checkpoint) {
+      emit('info', 'reset', `Full rescan requested, discarding archived ${mode} events...`, { mode });
+      archive.resetArchive(mode);
+    } else if (checkpoint && checkpoint.chainId !== undefined && checkpoint.chainId !== chainId) {
+      emit('info', 'reset', `Archive of ${mode} events was built on chain ${checkpoint.chainId}, discarding it...`, { mode });
+      archive.resetArchive(mode);
+    }
+  }
+
+  // Get the archive ready for new blocks: bring it in line with the rollup
+  // versions, read the exit delays and the staking asset, complete missing
+  // timestamps and retry the ranges that failed before. Returns the
+  // checkpoint and the first new block.
+  async function prepareArchive(scanner, chainId, rollups) {
+    let checkpoint = archive.loadCheckpoint(mode);
+
+    if (checkpoint) {
+      checkpoint = await reconcileRollups(scanner, checkpoint, rollups);
+    }
+
+    let fromBlock;
+
+    if (checkpoint) {
+      fromBlock = checkpoint.lastScannedBlock + 1;
+      emit('info', 'resume', `Resuming from checkpoint: blocks ${checkpoint.fromBlock} to ${checkpoint.lastScannedBlock} already archived`);
+      checkpoint = { ...checkpoint, chainId };
+      if (startBlock !== undefined && startBlock < checkpoint.fromBlock) {
+        emit('warn', 'warning', `Warning: start block ${startBlock} is before the archived range, rescan with the full option to include earlier blocks`);
+      }
+    } else {
+      // Without a start block the scan starts where the oldest rollup was deployed
+      fromBlock = startBlock ?? Math.min(...rollups.map(r => r.fromBlock));
+      checkpoint = {
+        rollups,
+        chainId,
+        fromBlock,
+        lastScannedBlock: fromBlock - 1,
+        failedRanges: []
+      };
+    }
+
+    if (mode === 'exit') {
+      checkpoint = { ...checkpoint, ...(await readExitDelays(rollups, checkpoint)) };
+      archive.saveCheckpoint(mode, checkpoint);
+    }
+    if (TOKEN_MODES.includes(mode)) {
+      checkpoint = { ...checkpoint, ...(await readStakingConfig(rollups, checkpoint)) };
+      archive.saveCheckpoint(mode, checkpoint);
+    }
+
+    await backfillTimestamps();
+    checkpoint = await retryFailedRanges(scanner, rollups, checkpoint);
+
+    return { checkpoint, fromBlock };
+  }
+
+  // Bring the archive up to date: check the chain, handle reorgs, find the
+  // rollup versions, retry failed ranges and scan new confirmed blocks
+  async function sync() {
+    requireRpc();
+    const scanner = createScanner();
+
+    const chainId = await verifyChainId();
+    resetStaleArchive(chainId);
+    await handleReorg(scanner, [mode]);
+
+    const { rollups, toBlock } = await findRollups(archive.loadCheckpoint(mode)?.rollups);
+    let { checkpoint, fromBlock } = await prepareArchive(scanner, chainId, rollups);
+
+    if (fromBlock > toBlock) {
+      emit('info', 'upToDate', `Archive is already up to date, no new blocks with ${settings.confirmations} confirmations to scan.`);
+    } else {
+      emit('info', 'scan', `Scanning blocks from ${fromBlock} to ${toBlock} (${settings.confirmations} confirmations)...\nTotal blocks to scan: ${toBlock - fromBlock + 1}`, { fromBlock, toBlock });
+      checkpoint = await scanEvents(mode, scanner, rollups, checkpoint, fromBlock, toBlock);
+      await rememberTipHash(checkpoint.lastScannedBlock);
+    }
+    if (withCosts) {
+      await fetchProofCosts();
+    }
+
+    return { rollups, checkpoint };
+  }
+
+  // Index new blocks and save the stats. Returns { stats, file, checkpoint },
+  // file being null when save is off.
+  async function run() {
+    const { checkpoint } = await sync();
+    return writeStats(checkpoint);
+  }
+
+  // Build the stats from the archive alone, without the RPC
+  async function rebuild() {
+    const checkpoint = archive.loadCheckpoint(mode);
+    if (!checkpoint) {
+      throw new IndexerError(`No archived ${mode} events found in ${archive.archiveDir}`);
+    }
+    return writeStats(checkpoint);
+  }
+
+  // Follow the chain after catching up: poll for newly confirmed blocks, feed
+  // their events into an in-memory aggregator, report each event as it lands
+  // and rewrite this session's stats file at most every flushIntervalMs.
+  // onStats(stats, file) is awaited after the first save and after every
+  // rewrite. Resolves once stop() is called.
+  async function watch({ onStats } = {}) {
+    stopped = false;
+    watching = follow(onStats);
+    return watching;
+  }
+
+  async function follow(onStats) {
+    let { rollups, checkpoint } = await sync();
+    const scanner = createScanner(true);
+
+    let aggregator = loadAggregator(checkpoint);
+    let proofsModifiedAt = archive.archiveModifiedAt('proofs');
+    // This mode's archive as this watcher last left it, see below
+    let modifiedAt = archive.archiveModifiedAt(mode);
+    let stats = buildStatsOutput(aggregator.summarize(), checkpoint);
+    emit('info', 'stats', null, { mode, stats });
+    const file = save ? saveStats(stats) : null;
+    if (onStats) {
+      await onStats(stats, file);
+    }
+
+    let dirty = false;
+    let costsPending = false;
+    let lastFlush = Date.now();
+
+    const flush = () => {
+      stats = buildStatsOutput(aggregator.summarize(), checkpoint);
+      if (save) {
+        saveStats(stats, file);
+      }
+      dirty = false;
+      lastFlush = Date.now();
+    };
+
+    const onRecords = records => {
+      for (const record of records) {
+        aggregator.add(record);
+        emit('info', 'event', formatEvent(record, checkpoint.token, labels), { record });
+      }
+      dirty = dirty || records.length > 0;
+      costsPending = withCosts && (costsPending || records.length > 0);
+    };
+
+    emit('info', 'watching', `Watching for new ${MODE_EVENTS[mode].join(', ')} events every ${settings.pollIntervalMs / 1000}s`);
+
+    while (!stopped) {
+      await new Promise(resolve => {
+        wake = resolve;
+        setTimeout(resolve, settings.pollIntervalMs);
+      });
+      if (stopped) {
+        break;
+      }
+
+      // A watcher of another mode that found a reorg rolled this mode's
+      // archive back and re-indexed it, and the block hashes it checked
+      // against are gone. Pick up its archive and caches instead of carrying
+      // on with the orphaned events.
+      if (archive.archiveModifiedAt(mode) !== modifiedAt) {
+        emit('warn', 'archiveChanged', `The ${mode} archive was changed by another process (a reorg rollback?), reloading it...`);
+        timestamps.reloadBlockTimestamps();
+        costCache.reloadProofCosts();
+        checkpoint = archive.loadCheckpoint(mode);
+        aggregator = loadAggregator(checkpoint);
+        dirty = true;
+      }
+
+      try {
+        if (await handleReorg(scanner, [mode])) {
+          checkpoint = archive.loadCheckpoint(mode);
+          aggregator = loadAggregator(checkpoint);
+          dirty = true;
+        }
+
+        checkpoint = await retryFailedRanges(scanner, rollups, checkpoint, onRecords);
+
+        const toBlock = (await provider.getBlockNumber()) - settings.confirmations;
+        if (toBlock > checkpoint.lastScannedBlock) {
+          checkpoint = await scanEvents(mode, scanner, rollups, checkpoint, checkpoint.lastScannedBlock + 1, toBlock, onRecords);
+          await rememberTipHash(checkpoint.lastScannedBlock);
+          emit('info', 'failedRanges', null, { failedRanges: checkpoint.failedRanges || [] });
+        }
+        if (costsPending) {
+          costsPending = false;
+          await fetchProofCosts({ quiet: true });
+        }
+      } catch (error) {
+        emit('error', 'pollError', `Error while polling for new blocks: ${describeError(error)}`, { error });
+      }
+      modifiedAt = archive.archiveModifiedAt(mode);
+
+      // Proposals are joined with the proofs archive, which a proofs watcher
+      // may have extended since
+      if (mode === 'proposals' && archive.archiveModifiedAt('proofs') !== proofsModifiedAt) {
+        proofsModifiedAt = archive.archiveModifiedAt('proofs');
+        aggregator = loadAggregator(checkpoint);
+        dirty = true;
+      }
+
+      // Exit stats depend on the clock as well as on new events
+      if ((dirty || mode === 'exit') && Date.now() - lastFlush >= settings.flushIntervalMs) {
+        flush();
+        if (onStats) {
+          await onStats(stats, file);
+        }
+      }
+    }
+
+    if (dirty) {
+      flush();
+    }
+  }
+
+  // Stop watching after the current poll, saving unsaved events first
+  async function stop() {
+    stopped = true;
+    if (wake) {
+      wake();
+    }
+    await watching;
+  }
+
+  // Aggregator options recorded on the checkpoint, plus the archived proofs
+  // that proposals are joined with and the cached proof costs
+  function modeAggregatorOptions(checkpoint) {
+    const options = aggregatorOptions(checkpoint);
+    if (mode === 'proposals') {
+      options.proofs = archive.loadEvents('proofs');
+    }
+    if (withCosts) {
+      options.proofCosts = costCache.loadProofCosts();
+    }
+    return options;
+  }
+
+  // Fetch the receipts of archived proof submissions whose cost isn't cached
+  // yet. Receipts that can't be fetched are left out of the stats and tried
+  // again on the next run. Quiet fetches (watch mode polls) only warn.
+  async function fetchProofCosts({ quiet = false } = {}) {
+    const txHashes = archive.loadEvents('proofs').map(r => r.txHash);
+    const cached = costCache.loadProofCosts();
+    const missing = new Set(txHashes.filter(hash => cached[hash] === undefined)).size;
+    if (missing === 0) {
+      return;
+    }
+
+    emit(quiet ? 'debug' : 'info', 'proofCosts', `Fetching receipts of ${missing} proof submissions...`, { count: missing });
+    const { failed, error } = await costCache.fetchProofCosts(provider, txHashes);
+    if (failed > 0) {
+      emit('warn', 'warning', `Warning: could not fetch ${failed} proof receipt(s) (${describeError(error)}), their costs are left out until the next run`);
+    }
+  }
+
+  function loadAggregator(checkpoint) {
+    const aggregator = createAggregator(mode, modeAggregatorOptions(checkpoint));
+    for (const record of archive.loadEvents(mode)) {
+      aggregator.add(record);
+    }
+    return aggregator;
+  }
+
+  // Rescan the ranges that failed on earlier runs before scanning new blocks
+  async function retryFailedRanges(scanner, rollups, checkpoint, onRecords) {
+    const previousFailures = checkpoint.failedRanges || [];
+    if (previousFailures.length === 0) {
+      return checkpoint;
+    }
+
+    emit('info', 'retryFailed', `Retrying ${previousFailures.length} block range(s) that failed on previous runs...`);
+
+    for (const range of previousFailures) {
+      const stillFailed = await scanner.scan(
+        range.from,
+        range.to,
+        (start, end) => fetchChunkEvents(mode, rollups, start, end),
+        (start, end, records) => {
+          reportChunkEvents(scanner, mode, records, start, end);
+          archive.appendEvents(mode, records);
+          blockHashes.rememberBlockHashes(records.map(r => ({ number: r.ethBlockNumber, hash: r.blockHash })));
+          if (onRecords) {
+            onRecords(records);
+          }
+        }
+      );
+
+      checkpoint = {
+        ...checkpoint,
+        failedRanges: checkpoint.failedRanges.filter(r => r !== range).concat(stillFailed)
+      };
+      archive.saveCheckpoint(mode, checkpoint);
+    }
+
+    return checkpoint;
+  }
+
+  // Exit delay of each rollup version (by lowercase address), as configured on
+  // the contract unless the exitDelaySeconds option overrides it. Falls back to
+  // the value read on an earlier run, then to the default, if the call fails.
+  // The newest version's delay is also kept as exitDelaySeconds.
+  async function readExitDelays(rollups, checkpoint) {
+    const exitDelays = {};
+
+    for (const rollup of rollups) {
+      const key = rollup.address.toLowerCase();
+
+      if (exitDelaySeconds !== undefined) {
+        exitDelays[key] = exitDelaySeconds;
+        emit('info', 'exitDelay', `Exit delay of rollup version ${rollup.version}: ${formatDelay(exitDelays[key])} (from network config)`);
+        continue;
+      }
+
+      try {
+        const contract = new ethers.Contract(rollup.address, ROLLUP_INTERFACE, provider);
+        exitDelays[key] = Number(await contract.getExitDelay());
+        emit('info', 'exitDelay', `Exit delay of rollup version ${rollup.version}: ${formatDelay(exitDelays[key])} (from contract)`);
+      } catch (error) {
+        exitDelays[key] = checkpoint.exitDelays?.[key] ?? checkpoint.exitDelaySeconds ?? DEFAULT_EXIT_DELAY_SECONDS;
+        emit('warn', 'warning', `Warning: could not read the exit delay of rollup version ${rollup.version} (${describeError(error)}), using ${formatDelay(exitDelays[key])}`);
+      }
+    }
+
+    return {
+      exitDelaySeconds: exitDelays[rollups[rollups.length - 1].address.toLowerCase()],
+      exitDelays
+    };
+  }
+
+  // Staking asset of the newest rollup version, which amounts are shown in,
+  // and for the staking mode the minimum stake attesters are checked against:
+  // the minimumStake option when set, otherwise the contract's. Both fall back
+  // to the values read on an earlier run if the calls fail.
+  async function readStakingConfig(rollups, checkpoint) {
+    const rollup = rollups[rollups.length - 1];
+    let token;
+
+    try {
+      token = await readStakingToken(provider, rollup.address);
+      emit('info', 'stakingToken', `Staking asset of rollup version ${rollup.version}: ${token.symbol} (${token.address}, ${token.decimals} decimals)`, { token });
+    } catch (error) {
+      token = checkpoint.token ?? null;
+      emit('warn', 'warning', `Warning: could not read the staking asset of rollup version ${rollup.version} (${describeError(error)}), showing amounts in ${(token || DEFAULT_TOKEN).symbol}`);
+    }
+
+    if (mode !== 'staking') {
+      return { token };
+    }
+
+    let stakeThreshold;
+    if (minimumStake !== undefined) {
+      stakeThreshold = parseTokenAmount(minimumStake, token).toString();
+      emit('info', 'minimumStake', `Minimum stake: ${formatTokenAmount(stakeThreshold, token)} (from network config)`);
+    } else {
+      try {
+        const contract = new ethers.Contract(rollup.address, ROLLUP_INTERFACE, provider);
+        stakeThreshold = (await contract.getMinimumStake()).toString();
+        emit('info', 'minimumStake', `Minimum stake of rollup version ${rollup.version}: ${formatTokenAmount(stakeThreshold, token)} (from contract)`);
+      } catch (error) {
+        stakeThreshold = checkpoint.minimumStake ?? null;
+        const fallback = stakeThreshold === null ? 'attesters are not checked against a minimum' : `using ${formatTokenAmount(stakeThreshold, token)}`;
+        emit('warn', 'warning', `Warning: could not read the minimum stake of rollup version ${rollup.version} (${describeError(error)}), ${fallback}`);
+      }
+    }
+
+    return { token, minimumStake: stakeThreshold };
+  }
+
+  // Bring an existing archive in line with the rollup versions found on this
+  // run. Events of rollups that are no longer indexed are dropped, and rollups
+  // that are new (e.g. after an upgrade) are scanned on their own up to the
+  // checkpoint so every version covers the archived range. Archives written
+  // before versions were tracked are tagged with their single rollup. Returns
+  // the updated checkpoint, or null if none of the archived rollups is indexed
+  // anymore.
+  async function reconcileRollups(scanner, checkpoint, rollups) {
+    const { contract, ...rest } = checkpoint;
+    const known = checkpoint.rollups || [{ address: contract }];
+    const isIndexed = address => rollups.some(r => isSameAddress(r.address, address));
+    const removed = known.filter(k => !isIndexed(k.address));
+
+    if (removed.length === known.length) {
+      emit('info', 'reset', `Archive was built for ${known.map(k => k.address).join(', ')}, discarding it...`);
+      archive.resetArchive(mode);
+      return null;
+    }
+
+    if (removed.length > 0) {
+      emit('info', 'dropRollups', `Dropping archived events of rollups that are no longer indexed: ${removed.map(k => k.address).join(', ')}`);
+      archive.rewriteEvents(mode, archive.loadEvents(mode).filter(r => isIndexed(r.rollupAddress)));
+    }
+
+    if (!checkpoint.rollups) {
+      const rollup = rollups.find(r => isSameAddress(r.address, contract));
+      archive.rewriteEvents(mode, archive.loadEvents(mode).map(r => ({ ...r, rollupAddress: rollup.address, rollupVersion: rollup.version })));
+    }
+
+    checkpoint = { ...rest, rollups };
+
+    for (const rollup of rollups.filter(r => !known.some(k => isSameAddress(k.address, r.address)))) {
+      const from = Math.max(rollup.fromBlock, checkpoint.fromBlock);
+      if (from > checkpoint.lastScannedBlock) {
+        continue;
+      }
+
+      emit('info', 'newRollup', `New rollup version ${rollup.version}, scanning archived blocks ${from} to ${checkpoint.lastScannedBlock} for it...`, { rollup });
+      const failedRanges = await scanner.scan(
+        from,
+        checkpoint.lastScannedBlock,
+        (start, end) => fetchChunkEvents(mode, [rollup], start, end),
+        (start, end, records) => {
+          reportChunkEvents(scanner, mode, records, start, end);
+          archive.appendEvents(mode, records);
+          blockHashes.rememberBlockHashes(records.map(r => ({ number: r.ethBlockNumber, hash: r.blockHash })));
+        }
+      );
+      checkpoint = { ...checkpoint, failedRanges: [...(checkpoint.failedRanges || []), ...failedRanges] };
+    }
+
+    archive.saveCheckpoint(mode, checkpoint);
+    return checkpoint;
+  }
+
+  // Archives written before timestamps were recorded for every mode are
+  // completed here, so their events can be bucketed by time
+  async function backfillTimestamps() {
+    const records = archive.loadEvents(mode);
+    const missing = records.filter(r => r.timestamp === undefined);
+    if (missing.length === 0) {
+      return;
+    }
+
+    emit('info', 'backfill', `Fetching block timestamps for ${missing.length} archived events...`);
+    await timestamps.addBlockTimestamps(provider, missing);
+    archive.rewriteEvents(mode, records);
+  }
+
+  // Rebuild the stats for this mode from the archived events and save them
+  async function writeStats(checkpoint) {
+    const records = archive.loadEvents(mode);
+    emit('info', 'building', `Building stats from ${records.length} archived events (blocks ${checkpoint.fromBlock} to ${checkpoint.lastScannedBlock})`, { events: records.length });
+
+    if (mode === 'proposals' && !archive.loadCheckpoint('proofs')) {
+      emit('warn', 'warning', `Warning: no archived proofs in ${archive.archiveDir} to join the proposals with, index the proofs mode too to see which proposed blocks were proven`);
+    }
+
+    const stats = buildStatsOutput(aggregateEvents(mode, records, modeAggregatorOptions(checkpoint)), checkpoint);
+    emit('info', 'stats', null, { mode, stats });
+
+    const file = save ? saveStats(stats) : null;
+    return { stats, file, checkpoint };
+  }
+
+  function buildStatsOutput(stats, checkpoint) {
+    const blockRange = {
+      from: checkpoint.fromBlock,
+      to: checkpoint.lastScannedBlock
+    };
+    const failedRanges = checkpoint.failedRanges || [];
+    const networkInfo = {
+      name: network.name ?? null,
+      displayName: network.displayName ?? null,
+      chainId: checkpoint.chainId ?? null
+    };
+    let outputData;
+
+    if (mode === 'exit') {
+      outputData = {
+        scannedAt: new Date().toISOString(),
+        network: networkInfo,
+        token: checkpoint.token ?? null,
+        currentTimestamp: stats.currentTimestamp,
+        exitDelaySeconds: stats.exitDelaySeconds,
+        blockRange,
+        summary: stats.summary,
+        pendingExits: stats.pendingExits,
+        unmatchedFinalized: stats.unmatchedFinalized,
+        attesters: stats.attesters,
+        failedRanges
+      };
+    } else if (mode === 'slash') {
+      outputData = {
+        scannedAt: new Date().toISOString(),
+        network: networkInfo,
+        token: checkpoint.token ?? null,
+        blockRange,
+        summary: stats.summary,
+        attesters: stats.attesters,
+        failedRanges
+      };
+    } else if (mode === 'staking') {
+      outputData = {
+        scannedAt: new Date().toISOString(),
+        network: networkInfo,
+        token: checkpoint.token ?? null,
+        minimumStake: stats.minimumStake,
+        blockRange,
+        summary: stats.summary,
+        attesters: stats.attesters,
+        failedRanges
+      };
+    } else if (mode === 'proposals') {
+      // Proposals after the end of the proofs archive show as pending even if
+      // they have been proven since
+      const proofsCheckpoint = archive.loadCheckpoint('proofs');
+      outputData = {
+        scannedAt: new Date().toISOString(),
+        network: networkInfo,
+        blockRange,
+        proofsBlockRange: proofsCheckpoint ? { from: proofsCheckpoint.fromBlock, to: proofsCheckpoint.lastScannedBlock } : null,
+        summary: stats.summary,
+        proposers: stats.proposers,
+        failedRanges
+      };
+    } else {
+      outputData = {
+        scannedAt: new Date().toISOString(),
+        network: networkInfo,
+        blockRange,
+        summary: stats.summary,
+        provers: stats.provers,
+        failedRanges
+      };
+    }
+
+    // Rollup versions indexed, and the stats of each one next to the combined
+    // stats above
+    outputData.rollups = checkpoint.rollups || [];
+    outputData.versions = stats.versions;
+    outputData.timeSeries = buildTimeSeries(statsMode, outputData, settings.timeSeriesBucket);
+    if (mode !== 'exit' && mode !== 'staking') {
+      outputData.concentration = buildConcentration(statsMode, outputData, outputData.timeSeries);
+    }
+    return outputData;
+  }
+
+  // Save detailed data to JSON file, with the exports next to it. Pass
+  // outputFile to overwrite an existing file instead of creating a new
+  // timestamped one.
+  function saveStats(outputData, outputFile = path.join(dataDir, `${STATS_FILES[statsMode].filePrefix}${Date.now()}.json`)) {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    fs.writeFileSync(outputFile, JSON.stringify(outputData, null, 2));
+    emit('info', 'saved', `Detailed data saved to: ${outputFile}`, { file: outputFile });
+
+    const basePath = outputFile.replace(/\.json$/, '');
+    for (const format of formats) {
+      if (format === 'csv') {
+        for (const table of Object.keys(getTables(statsMode, outputData))) {
+          fs.writeFileSync(`${basePath}.${table}.csv`, formatStats(statsMode, outputData, 'csv', { table, labels }));
+          emit('info', 'exported', `Exported ${table} to: ${basePath}.${table}.csv`, { file: `${basePath}.${table}.csv` });
+        }
+      } else {
+        fs.writeFileSync(`${basePath}.${format}`, formatStats(statsMode, outputData, format, { labels }));
+        emit('info', 'exported', `Exported ${format} to: ${basePath}.${format}`, { file: `${basePath}.${format}` });
+      }
+    }
+
+    return outputFile;
+  }
+
+  return { run, rebuild, watch, stop, resetStaleArchive, prepareArchive, fetchProofCosts, writeStats };
+}
+
+// Indexer of every mode at once (mode 'all'). Each mode keeps its own archive,
+// checkpoint and stats file, but new blocks are scanned in a single pass that
+// fetches the events of all modes with one query per chunk, instead of one
+// pass per mode. run() and rebuild() resolve to { proofs, proposals, slash,
+// exit, staking }, each what the mode's own run() or rebuild() would return.
+function createCombinedIndexer(context) {
+  const {
+    settings,
+    archive,
+    blockHashes,
+    emit,
+    createScanner,
+    requireRpc,
+    verifyChainId,
+    findRollups,
+    handleReorg,
+    rememberTipHash,
+    fetchChunkEvents,
+    reportChunkEvents
+  } = context;
+  const modes = Object.keys(MODE_EVENTS);
+  const indexers = Object.fromEntries(modes.map(mode => [mode, createModeIndexer(mode, context)]));
+
+  async function run() {
+    requireRpc();
+    const scanner = createScanner();
+
+    const chainId = await verifyChainId();
+    for (const mode of modes) {
+      indexers[mode].resetStaleArchive(chainId);
+    }
+    await handleReorg(scanner, modes);
+
+    const known = modes.map(mode => archive.loadCheckpoint(mode)?.rollups).find(Boolean);
+    const { rollups, toBlock } = await findRollups(known);
+
+    const checkpoints = {};
+    let fromBlock = Infinity;
+    for (const mode of modes) {
+      emit('info', 'prepare', `Preparing the ${mode} archive...`, { mode });
+      const prepared = await indexers[mode].prepareArchive(scanner, chainId, rollups);
+      checkpoints[mode] = prepared.checkpoint;
+      fromBlock = Math.min(fromBlock, prepared.fromBlock);
+    }
+
+    if (fromBlock > toBlock) {
+      emit('info', 'upToDate', `Archives are already up to date, no new blocks with ${settings.confirmations} confirmations to scan.`);
+    } else {
+      emit('info', 'scan', `Scanning blocks from ${fromBlock} to ${toBlock} for ${ALL_EVENTS.join(', ')} events (${settings.confirmations} confirmations)...\nTotal blocks to scan: ${toBlock - fromBlock + 1}`, { fromBlock, toBlock });
+      await scanAllEvents(scanner, rollups, checkpoints, fromBlock, toBlock);
+      await rememberTipHash(Math.max(...modes.map(mode => checkpoints[mode].lastScannedBlock)));
+    }
+    if (settings.proofCosts) {
+      await indexers.proofs.fetchProofCosts();
+    }
+
+    const results = {};
+    for (const mode of modes) {
+      results[mode] = await indexers[mode].writeStats(checkpoints[mode]);
+    }
+    return results;
+  }
+
+  // Fetch the events of every mode chunk by chunk and archive each under its
+  // mode, skipping blocks that mode had already scanned. Updates checkpoints
+  // in place. Failed ranges are recorded for the modes they were new to.
+  async function scanAllEvents(scanner, rollups, checkpoints, fromBlock, toBlock) {
+    const firstNewBlock = Object.fromEntries(modes.map(mode => [mode, checkpoints[mode].lastScannedBlock + 1]));
+
+    const failedRanges = await scanner.scan(
+      fromBlock,
+      toBlock,
+      (start, end) => fetchChunkEvents('all', rollups, start, end),
+      (start, end, records) => {
+        reportChunkEvents(scanner, 'all', records, start, end);
+        for (const mode of modes) {
+          const checkpoint = checkpoints[mode];
+          if (end <= checkpoint.lastScannedBlock) {
+            continue;
+          }
+          archive.appendEvents(mode, records.filter(r => MODE_EVENTS[mode].includes(r.event) && r.ethBlockNumber > checkpoint.lastScannedBlock));
+          checkpoints[mode] = { ...checkpoint, lastScannedBlock: end };
+          archive.saveCheckpoint(mode, checkpoints[mode]);
+        }
+        blockHashes.rememberBlockHashes(records.map(r => ({ number: r.ethBlockNumber, hash: r.blockHash })));
+      }
+    );
+
+    for (const mode of modes) {
+      const newFailures = failedRanges
+        .filter(range => range.to >= firstNewBlock[mode])
+        .map(range => ({ ...range, from: Math.max(range.from, firstNewBlock[mode]) }));
+      if (newFailures.length > 0) {
+        checkpoints[mode] = {
+          ...checkpoints[mode],
+          lastScannedBlock: Math.max(checkpoints[mode].lastScannedBlock, toBlock),
+          failedRanges: [...(checkpoints[mode].failedRanges || []), ...newFailures]
+        };
+        archive.saveCheckpoint(mode, checkpoints[mode]);
+      }
+    }
+  }
+
+  // Rebuild the stats of every mode that has an archive
+  async function rebuild() {
+    const archived = modes.filter(mode => archive.loadCheckpoint(mode));
+    if (archived.length === 0) {
+      throw new IndexerError(`No archived events found in ${archive.archiveDir}`);
+    }
+    const results = {};
+    for (const mode of archived) {
+      results[mode] = await indexers[mode].rebuild();
+    }
+    return results;
+  }
+
+  async function watch() {
+    throw new IndexerError('watch follows a single mode, start one watcher per mode instead of using all');
+  }
+
+  async function stop() {}
+
+  return { mode: 'all', statsMode: null, archive, run, rebuild, watch, stop };
+}
+
+// One-off runs of a mode: index new blocks and return { stats, file, checkpoint }
+export function indexProofs(options) {
+  return createIndexer({ ...options, mode: 'proofs' }).run();
+}
+
+export function indexProposals(options) {
+  return createIndexer({ ...options, mode: 'proposals' }).run();
+}
+
+export function indexSlashes(options) {
+  return createIndexer({ ...options, mode: 'slash' }).run();
+}
+
+export function indexExits(options) {
+  return createIndexer({ ...options, mode: 'exit' }).run();
+}
+
+export function indexStakes(options) {
+  return createIndexer({ ...options, mode: 'staking' }).run();
+}
+
+// token: the staking asset amounts are shown in
+function formatEvent(record, token, { formatAddress }) {
+  const { args } = record;
+  const prefix = `[block ${record.ethBlockNumber}] ${record.event}:`;
+  switch (record.event) {
+    case 'L2ProofVerified':
+      return `${prefix} L2 block ${args.blockNumber} proven by ${formatAddress(args.proverId)} (tx ${record.txHash})`;
+    case 'L2BlockProposed':
+      return `${prefix} L2 block ${args.blockNumber} proposed by ${formatAddress(record.sender)} (tx ${record.txHash})`;
+    case 'Deposit':
+      return `${prefix} ${formatAddress(args.attester)} deposited ${formatTokenAmount(args.amount, token)} (tx ${record.txHash})`;
+    case 'Slashed':
+      return `${prefix} ${formatAddress(args.attester)} slashed ${formatTokenAmount(args.amount, token)} (tx ${record.txHash})`;
+    case 'WithdrawInitiated':
+      return `${prefix} ${formatAddress(args.attester)} initiated withdrawal of ${formatTokenAmount(args.amount, token)} to ${formatAddress(args.recipient)} (tx ${record.txHash})`;
+    case 'WithdrawFinalized':
+      return `${prefix} ${formatAddress(args.attester)} finalized withdrawal of ${formatTokenAmount(args.amount, token)} to ${formatAddress(args.recipient)} (tx ${record.txHash})`;
+    default:
+      return `${prefix} tx ${record.txHash}`;
+  }
+}
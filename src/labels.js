@@ -0,0 +1,256 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { buildTimeSeries } from './timeseries.js';
+import { buildConcentration } from './concentration.js';
+import { averageOf, byStake, medianOf } from './aggregate.js';
+import { mergeCostSummaries } from './costs.js';
+
+// Human-readable names for addresses, and the operator running them, from a
+// labels.json file the caller loads. Labels are shown wherever an address is
+// printed or exported, and stats can be grouped per operator so an operator
+// running several prover or attester addresses shows up once. Grouped
+// entries keep the shape of the per-address ones, with the operator name in
+// `address` and the addresses it covers in `addresses`.
+
+// Top provers checked for a missing label
+const UNLABELED_CHECK_COUNT = 10;
+
+// Each address maps to a name, or to { name, operator }. source names where
+// the labels came from in errors.
+function parseLabels(entries, source) {
+  if (!entries || typeof entries !== 'object') {
+    throw new Error(`${source} must have a "labels" object`);
+  }
+
+  const labels = new Map();
+  for (const [address, value] of Object.entries(entries)) {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Invalid address "${address}" in ${source}`);
+    }
+    const label = typeof value === 'string' ? { name: value } : value;
+    if (!label || !label.name) {
+      throw new Error(`Label for ${address} in ${source} needs a name`);
+    }
+    labels.set(address.toLowerCase(), { name: label.name, operator: label.operator || null });
+  }
+  return labels;
+}
+
+// Labels from a labels.json file, or no labels if the file doesn't exist.
+// Throws if the file can't be read as labels.
+export function loadLabels(file) {
+  if (!fs.existsSync(file)) {
+    return createLabels(null);
+  }
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return createLabels(config.labels, file);
+}
+
+export function shortAddress(address) {
+  return ethers.isAddress(address) ? `${address.slice(0, 6)}...${address.slice(-4)}` : address;
+}
+
+// Label lookups for the `labels` object of a labels file, or null for none.
+// Commands and library functions that show or group addresses take the
+// result as their `labels` option.
+export function createLabels(entries, source = 'labels') {
+  const labels = entries ? parseLabels(entries, source) : null;
+
+  function getLabel(address) {
+    return labels?.get(String(address).toLowerCase()) || null;
+  }
+
+  // Operator running an address: its label's operator, else its label's name,
+  // else the address itself
+  function operatorOf(address) {
+    const label = getLabel(address);
+    return label ? label.operator || label.name : address;
+  }
+
+  // Label and operator of an address for JSON and table output, null when it
+  // has no label. An operator name from grouped stats is its own operator.
+  function labelFields(address) {
+    if (!ethers.isAddress(address)) {
+      return { label: null, operator: address };
+    }
+    const label = getLabel(address);
+    return { label: label ? label.name : null, operator: label ? operatorOf(address) : null };
+  }
+
+  // Address with its label, e.g. "0x1234...5678 (Prover 1, Acme)", or with
+  // short: true "Prover 1 (0x1234...5678)". Operator names of grouped stats
+  // are returned as they are.
+  function formatAddress(address, { short = false } = {}) {
+    const label = getLabel(address);
+    if (!label) {
+      return short ? shortAddress(address) : address;
+    }
+    const operator = label.operator && label.operator !== label.name ? `, ${label.operator}` : '';
+    return short ? `${label.name} (${shortAddress(address)})` : `${address} (${label.name}${operator})`;
+  }
+
+  // Top entries of a leaderboard that have no label, when there are labels
+  function findUnlabeled(items, count = UNLABELED_CHECK_COUNT) {
+    if (!labels) {
+      return [];
+    }
+    return items.slice(0, count).filter(item => ethers.isAddress(item.address) && !getLabel(item.address));
+  }
+
+  // Stats file (prover, proposer, slash, exit or staking) with its
+  // leaderboards grouped per operator
+  function groupByOperator(mode, data) {
+    return groupStats(mode, data, operatorOf);
+  }
+
+  return { getLabel, operatorOf, labelFields, formatAddress, findUnlabeled, groupByOperator };
+}
+
+function groupItems(items, merge, operatorOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const operator = operatorOf(item.address);
+    if (!groups.has(operator)) {
+      groups.set(operator, []);
+    }
+    groups.get(operator).push(item);
+  }
+  return [...groups.entries()].map(([operator, members]) => ({
+    address: operator,
+    addresses: members.flatMap(m => m.addresses || [m.address]),
+    ...merge(members)
+  }));
+}
+
+const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+const sumWei = (items, field) => items.reduce((total, item) => total + BigInt(item[field]), 0n).toString();
+const byInclusion = (a, b) => a.ethBlockNumber - b.ethBlockNumber || (a.logIndex ?? 0) - (b.logIndex ?? 0);
+
+function mergeProvers(members) {
+  return {
+    proofCount: sum(members, 'proofCount'),
+    ...(members[0].costs && { costs: mergeCostSummaries(members.map(m => m.costs)) }),
+    ...(members[0].blocks && { blocks: members.flatMap(m => m.blocks).sort(byInclusion) })
+  };
+}
+
+// Proving times are averaged again over the merged blocks, or weighted by
+// proven blocks for per-version entries, which have no block list
+function mergeProposers(members) {
+  const proven = members.filter(m => m.averageProvingSeconds !== null);
+  const provenBlocks = sum(proven, 'provenCount');
+  const merged = {
+    blockCount: sum(members, 'blockCount'),
+    provenCount: sum(members, 'provenCount'),
+    pendingCount: sum(members, 'pendingCount'),
+    prunedCount: sum(members, 'prunedCount'),
+    averageProvingSeconds: provenBlocks > 0
+      ? Math.round(proven.reduce((total, m) => total + m.averageProvingSeconds * m.provenCount, 0) / provenBlocks)
+      : null
+  };
+
+  if (members[0].blocks) {
+    const blocks = members.flatMap(m => m.blocks).sort(byInclusion);
+    const times = blocks.map(b => b.provingSeconds).filter(t => t !== null);
+    Object.assign(merged, {
+      averageProvingSeconds: averageOf(times),
+      medianProvingSeconds: medianOf(times),
+      blocks
+    });
+  }
+  return merged;
+}
+
+function mergeSlashed(members) {
+  return {
+    slashCount: sum(members, 'slashCount'),
+    totalAmountSlashed: sumWei(members, 'totalAmountSlashed'),
+    ...(members[0].slashes && { slashes: members.flatMap(m => m.slashes).sort(byInclusion) })
+  };
+}
+
+// Individual withdrawals keep the attester that made them
+function mergeExits(members) {
+  return {
+    initiatedCount: sum(members, 'initiatedCount'),
+    finalizedCount: sum(members, 'finalizedCount'),
+    pendingCount: members.reduce((total, m) => total + (m.pendingCount ?? m.initiatedCount - m.finalizedCount), 0),
+    totalInitiatedAmount: sumWei(members, 'totalInitiatedAmount'),
+    totalFinalizedAmount: sumWei(members, 'totalFinalizedAmount'),
+    ...(members[0].initiated && {
+      initiated: members.flatMap(m => m.initiated.map(w => ({ attester: m.address, ...w }))).sort(byInclusion),
+      finalized: members.flatMap(m => m.finalized.map(w => ({ attester: m.address, ...w }))).sort(byInclusion)
+    })
+  };
+}
+
+// Stakes of attesters whose deposit is before the scanned range are unknown,
+// they are only counted in incompleteCount. The history of stake changes
+// keeps the attester each entry belongs to, whose stake it shows.
+function mergeStakes(members) {
+  const complete = members.filter(m => m.status !== 'incomplete');
+  const merged = {
+    stake: sumWei(complete, 'stake'),
+    totalDeposited: sumWei(members, 'totalDeposited'),
+    totalSlashed: sumWei(members, 'totalSlashed'),
+    totalWithdrawn: sumWei(members, 'totalWithdrawn'),
+    statuses: {},
+    incompleteCount: members.length - complete.length
+  };
+  for (const member of members) {
+    for (const [status, count] of Object.entries(member.statuses || { [member.status]: 1 })) {
+      merged.statuses[status] = (merged.statuses[status] || 0) + count;
+    }
+  }
+  // A single status for operators whose attesters all share it
+  const statuses = Object.keys(merged.statuses);
+  merged.status = statuses.length === 1 ? statuses[0] : 'mixed';
+
+  if (members[0].history) {
+    Object.assign(merged, {
+      depositCount: sum(members, 'depositCount'),
+      slashCount: sum(members, 'slashCount'),
+      withdrawalCount: sum(members, 'withdrawalCount'),
+      history: members.flatMap(m => m.history.map(h => ({ attester: m.address, ...h }))).sort(byInclusion)
+    });
+  }
+  return merged;
+}
+
+const GROUPING = {
+  prover: { list: 'provers', merge: mergeProvers, count: 'proofCount', unique: 'uniqueProvers' },
+  proposer: { list: 'proposers', merge: mergeProposers, count: 'blockCount', unique: 'uniqueProposers' },
+  slash: { list: 'attesters', merge: mergeSlashed, count: 'slashCount', unique: 'uniqueAttesters' },
+  exit: { list: 'attesters', merge: mergeExits, count: 'initiatedCount', unique: 'uniqueAttesters' },
+  staking: { list: 'attesters', merge: mergeStakes, order: byStake, unique: 'uniqueAttesters' }
+};
+
+// The time series and concentration metrics are rebuilt from the grouped
+// entries
+function groupStats(mode, data, operatorOf) {
+  const { list, merge, count, order = (a, b) => b[count] - a[count], unique } = GROUPING[mode];
+  const group = items => groupItems(items, merge, operatorOf).sort(order);
+  const grouped = group(data[list]);
+
+  const result = {
+    ...data,
+    groupedBy: 'operator',
+    summary: { ...data.summary, [unique]: grouped.length },
+    [list]: grouped
+  };
+
+  if (data.versions) {
+    result.versions = data.versions.map(v => ({
+      ...v,
+      summary: { ...v.summary, [unique]: group(v[list]).length },
+      [list]: group(v[list])
+    }));
+  }
+  if (data.timeSeries) {
+    result.timeSeries = buildTimeSeries(mode, result, data.timeSeries.bucket);
+  }
+  if (data.concentration) {
+    result.concentration = buildConcentration(mode, result, result.timeSeries, Math.floor(Date.parse(data.scannedAt) / 1000));
+  }
+  return result;
+}
@@ -0,0 +1,40 @@
+// Library entry point, for using the indexer and the stats from other Node.js
+// services. Nothing here reads .env, networks.json or the command line: the
+// provider, rollups and data directory are passed in as options (see
+// indexer.js). The npm scripts are command line wrappers around the same
+// functions.
+
+// Indexing
+export {
+  createIndexer,
+  indexProofs,
+  indexProposals,
+  indexSlashes,
+  indexExits,
+  indexStakes,
+  IndexerError,
+  INDEXER_DEFAULTS,
+  MODE_EVENTS,
+  STATS_MODES
+} from './indexer.js';
+export { discoverRollups } from './rollups.js';
+export { readStakingToken, formatTokenAmount, formatTokenUnits, parseTokenAmount, DEFAULT_TOKEN } from './token.js';
+export { formatCost, formatGasPrice } from './costs.js';
+export { createArchive } from './archive.js';
+export { createRpcProvider, mapConcurrent, RPC_DEFAULTS } from './rpc.js';
+export { createRecordingProvider, createReplayProvider, saveFixture, loadFixture, FIXTURE_VERSION } from './replay.js';
+
+// Saved stats
+export { createStatsFiles, readStatsFile, STATS_FILES } from './statsFiles.js';
+
+// Stats built from archived events or stats files
+export { aggregateEvents } from './aggregate.js';
+export { buildTimeSeries, BUCKETS } from './timeseries.js';
+export { buildConcentration, concentrationMetrics } from './concentration.js';
+export { analyzeCoverage } from './coverage.js';
+export { buildAddressProfile } from './profile.js';
+export { diffStats } from './diff.js';
+export { formatStats, getTables, FORMATS } from './formats.js';
+
+// Address labels, passed to the functions above as their `labels` option
+export { loadLabels, createLabels, shortAddress } from './labels.js';
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+// Named network profiles. Each command runs against one network, chosen with
+// --network=<name>, the NETWORK environment variable or the config's default.
+// Without a networks.json the single network configured in .env is used and
+// its data stays directly in data/; with one, every network gets its own
+// data/<name>/ directory so archives and stats files never get mixed up.
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BASE_DATA_DIR = path.join(ROOT_DIR, 'data');
+
+export const NETWORKS_FILE = process.env.NETWORKS_FILE
+  ? path.resolve(process.env.NETWORKS_FILE)
+  : path.join(ROOT_DIR, 'networks.json');
+
+// Address labels shared by every network (see labels.js). The commands load
+// it themselves, the library only gets labels passed in.
+export const LABELS_FILE = process.env.LABELS_FILE
+  ? path.resolve(process.env.LABELS_FILE)
+  : path.join(ROOT_DIR, 'labels.json');
+
+const DEFAULT_DISPLAY_NAME = 'Aztec Testnet';
+
+// ${VAR} in a string value is replaced by that environment variable, so RPC
+// keys and webhook URLs can stay in .env. A value referencing an unset
+// variable is treated as not configured, which only matters to the commands
+// that need it.
+export function interpolate(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const names = [...value.matchAll(/\$\{(\w+)\}/g)].map(match => match[1]);
+  if (names.some(name => process.env[name] === undefined)) {
+    return undefined;
+  }
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name]);
+}
+
+// A single address, a comma-separated list or an array of addresses
+function parseAddressList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return list.map(interpolate).filter(Boolean).map(address => address.trim()).filter(Boolean);
+}
+
+// RPC endpoints as { url, rateLimit }: a URL, a comma-separated list or an
+// array of URLs and { "url", "rateLimit" } objects. Endpoints referencing an
+// unset variable are left out.
+function parseRpcEndpoints(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return list
+    .map(entry => typeof entry === 'object' && entry !== null
+      ? { url: interpolate(entry.url)?.trim(), rateLimit: parseOptionalInt(entry.rateLimit) }
+      : { url: interpolate(entry)?.trim(), rateLimit: undefined })
+    .filter(endpoint => endpoint.url);
+}
+
+function parseOptionalInt(value) {
+  return value === undefined || value === null || value === '' ? undefined : parseInt(value);
+}
+
+export function loadNetworksConfig() {
+  if (!fs.existsSync(NETWORKS_FILE)) {
+    return null;
+  }
+  const config = JSON.parse(fs.readFileSync(NETWORKS_FILE, 'utf-8'));
+  if (!config.networks || typeof config.networks !== 'object') {
+    throw new Error(`${NETWORKS_FILE} must have a "networks" object`);
+  }
+  return config;
+}
+
+// The network given on the command line or in the environment, or null to use
+// the config's default
+function requestedNetwork() {
+  const arg = process.argv.slice(2).find(a => a.startsWith('--network='));
+  return arg ? arg.slice('--network='.length) : process.env.NETWORK || null;
+}
+
+function fromEnv() {
+  return {
+    name: null,
+    displayName: DEFAULT_DISPLAY_NAME,
+    rpcEndpoints: parseRpcEndpoints(process.env.SEPOLIA_RPC_URL),
+    chainId: undefined,
+    rollupAddresses: parseAddressList(process.env.ROLLUP_CONTRACT_ADDRESS),
+    registryAddress: process.env.REGISTRY_ADDRESS || undefined,
+    deploymentBlock: undefined,
+    exitDelaySeconds: undefined,
+    minimumStake: process.env.MINIMUM_STAKE || undefined,
+    dataDir: BASE_DATA_DIR
+  };
+}
+
+function fromProfile(name, profile) {
+  return {
+    name,
+    displayName: profile.displayName || name,
+    rpcEndpoints: parseRpcEndpoints(profile.rpcUrls ?? profile.rpcUrl),
+    chainId: parseOptionalInt(profile.chainId),
+    rollupAddresses: parseAddressList(profile.rollupAddresses ?? profile.rollupAddress),
+    registryAddress: interpolate(profile.registryAddress),
+    deploymentBlock: parseOptionalInt(profile.deploymentBlock),
+    exitDelaySeconds: parseOptionalInt(profile.exitDelaySeconds),
+    minimumStake: profile.minimumStake === undefined ? undefined : String(profile.minimumStake),
+    dataDir: path.join(BASE_DATA_DIR, name)
+  };
+}
+
+export function resolveNetwork() {
+  const config = loadNetworksConfig();
+  const name = requestedNetwork() || config?.default || null;
+
+  if (!name) {
+    return fromEnv();
+  }
+
+  if (!config) {
+    throw new Error(`Network "${name}" requested but ${NETWORKS_FILE} does not exist`);
+  }
+  if (!config.networks[name]) {
+    throw new Error(`Unknown network "${name}", expected one of: ${Object.keys(config.networks).join(', ')}`);
+  }
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Network name "${name}" may only contain letters, digits, ".", "-" and "_"`);
+  }
+  return fromProfile(name, config.networks[name]);
+}
+
+function loadNetwork() {
+  try {
+    return resolveNetwork();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// The network this process runs against
+export const NETWORK = loadNetwork();
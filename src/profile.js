@@ -0,0 +1,85 @@
+// Per-address profile joining prover, slash and exit stats. Each dataset has
+// the shape of a saved stats file (or the aggregator output it is built from)
+// and may be missing if that mode hasn't been indexed.
+
+function findByAddress(items, address) {
+  const needle = address.toLowerCase();
+  return items.find(item => item.address.toLowerCase() === needle);
+}
+
+function buildProofProfile(proofs, address) {
+  const index = proofs.provers.findIndex(p => p.address.toLowerCase() === address.toLowerCase());
+  if (index === -1) {
+    return null;
+  }
+
+  const prover = proofs.provers[index];
+  const l2Blocks = prover.blocks.map(b => Number(b.blockNumber));
+  const lastProof = prover.blocks.reduce((last, b) => (!last || b.ethBlockNumber > last.ethBlockNumber ? b : last), null);
+
+  return {
+    proofCount: prover.proofCount,
+    share: proofs.summary.totalProofs > 0 ? prover.proofCount / proofs.summary.totalProofs : 0,
+    rank: index + 1,
+    totalProvers: proofs.provers.length,
+    l2BlocksProven: new Set(l2Blocks).size,
+    lowestL2Block: l2Blocks.reduce((min, n) => Math.min(min, n), Infinity),
+    highestL2Block: l2Blocks.reduce((max, n) => Math.max(max, n), -Infinity),
+    lastProof,
+    blocks: prover.blocks
+  };
+}
+
+function buildExitProfile(exits, address, now) {
+  const attester = findByAddress(exits.attesters, address);
+  if (!attester) {
+    return null;
+  }
+
+  const pending = exits.pendingExits
+    .filter(e => e.attester.toLowerCase() === address.toLowerCase())
+    .map(e => ({
+      ...e,
+      canFinalize: now >= e.exitableAt,
+      secondsLeft: Math.max(e.exitableAt - now, 0)
+    }));
+
+  return {
+    initiatedCount: attester.initiatedCount,
+    finalizedCount: attester.finalizedCount,
+    totalInitiatedAmount: attester.totalInitiatedAmount,
+    totalFinalizedAmount: attester.totalFinalizedAmount,
+    initiated: attester.initiated,
+    finalized: attester.finalized,
+    pending
+  };
+}
+
+// Returns null for a dataset that wasn't available, and `found: false` when the
+// address appears in none of the available ones
+export function buildAddressProfile(address, { proofs, slashes, exits }, now = Math.floor(Date.now() / 1000)) {
+  const proofProfile = proofs ? buildProofProfile(proofs, address) : null;
+  const slashProfile = slashes ? findByAddress(slashes.attesters, address) || null : null;
+  const exitProfile = exits ? buildExitProfile(exits, address, now) : null;
+
+  const canonical = proofs && findByAddress(proofs.provers, address)
+    || slashes && findByAddress(slashes.attesters, address)
+    || exits && findByAddress(exits.attesters, address);
+
+  return {
+    address: canonical ? canonical.address : address,
+    found: Boolean(proofProfile || slashProfile || exitProfile),
+    available: {
+      proofs: Boolean(proofs),
+      slashes: Boolean(slashes),
+      exits: Boolean(exits)
+    },
+    proofs: proofProfile,
+    slashes: slashProfile && {
+      slashCount: slashProfile.slashCount,
+      totalAmountSlashed: slashProfile.totalAmountSlashed,
+      slashes: slashProfile.slashes
+    },
+    exits: exitProfile
+  };
+}
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+
+// Number of recently indexed blocks whose hashes are kept for reorg detection
+const MAX_TRACKED_BLOCKS = 64;
+
+// Hashes of recently indexed blocks, kept in the archive directory
+export function createBlockHashStore(archiveDir) {
+  const blockHashesFile = path.join(archiveDir, 'block-hashes.json');
+
+  function loadBlockHashes() {
+    if (!fs.existsSync(blockHashesFile)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(blockHashesFile, 'utf-8'));
+  }
+
+  function saveBlockHashes(hashes) {
+    if (!fs.existsSync(archiveDir)) {
+      fs.mkdirSync(archiveDir, { recursive: true });
+    }
+    fs.writeFileSync(blockHashesFile, JSON.stringify(hashes, null, 2));
+  }
+
+  // Store hashes for indexed blocks ({ number, hash } entries), keeping only the
+  // most recent MAX_TRACKED_BLOCKS
+  function rememberBlockHashes(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const hashes = loadBlockHashes();
+    for (const { number, hash } of entries) {
+      hashes[number] = hash;
+    }
+
+    const kept = Object.keys(hashes)
+      .map(Number)
+      .sort((a, b) => b - a)
+      .slice(0, MAX_TRACKED_BLOCKS);
+
+    saveBlockHashes(Object.fromEntries(kept.sort((a, b) => a - b).map(n => [n, hashes[n]])));
+  }
+
+  function forgetBlockHashesAfter(blockNumber) {
+    const hashes = loadBlockHashes();
+    saveBlockHashes(Object.fromEntries(Object.entries(hashes).filter(([n]) => Number(n) <= blockNumber)));
+  }
+
+  // Check the stored hashes against the chain, newest first. Returns null when
+  // the newest indexed block is still canonical, otherwise the highest stored
+  // block that still matches (or the block before the oldest stored one if none
+  // do), which is where the archives have to be rolled back to.
+  async function findForkBlock(provider) {
+    const stored = Object.entries(loadBlockHashes())
+      .map(([n, hash]) => ({ number: Number(n), hash }))
+      .sort((a, b) => b.number - a.number);
+
+    for (let i = 0; i < stored.length; i++) {
+      const block = await provider.getBlock(stored[i].number);
+      if (block && block.hash === stored[i].hash) {
+        return i === 0 ? null : stored[i].number;
+      }
+    }
+
+    return stored.length > 0 ? stored[stored.length - 1].number - 1 : null;
+  }
+
+  return { rememberBlockHashes, forgetBlockHashesAfter, findForkBlock };
+}
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { RpcProvider, rpcProviderArgs } from './rpc.js';
+
+// Recording and replaying JSON-RPC traffic. A recording provider forwards
+// every request to the RPC and keeps each request with its response; the
+// fixture written from them can later be served by a replay provider, so an
+// indexer run can be reproduced offline and gives the same stats every time.
+// Requests are matched on method and params. When the same request was made
+// several times (e.g. eth_blockNumber), its responses are served in the order
+// they were recorded and the last one is repeated after that. Transport
+// errors (connection refused, HTTP errors) are not recorded.
+
+export const FIXTURE_VERSION = 1;
+
+function requestKey({ method, params }) {
+  return `${method}:${JSON.stringify(params ?? [])}`;
+}
+
+// RPC provider (see rpc.js) that records the calls it makes
+class RecordingProvider extends RpcProvider {
+  constructor(endpoints, options) {
+    super(endpoints, options);
+    this.calls = [];
+  }
+
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    const responses = await super._send(payload);
+
+    for (const request of requests) {
+      const response = responses.find(r => r.id === request.id);
+      if (response) {
+        this.calls.push({
+          method: request.method,
+          params: request.params ?? [],
+          ...('error' in response ? { error: response.error } : { result: response.result })
+        });
+      }
+    }
+    return responses;
+  }
+}
+
+// Provider that answers from a fixture instead of an RPC
+class ReplayProvider extends ethers.JsonRpcProvider {
+  constructor(fixture) {
+    // The URL is never used, every request is answered by _send below
+    super('http://replay.invalid');
+    this.responses = new Map();
+    this.served = new Map();
+    this.missing = [];
+
+    for (const call of fixture.calls) {
+      const key = requestKey(call);
+      if (!this.responses.has(key)) {
+        this.responses.set(key, []);
+      }
+      this.responses.get(key).push(call);
+    }
+  }
+
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+
+    return requests.map(request => {
+      const key = requestKey(request);
+      const recorded = this.responses.get(key);
+      if (!recorded) {
+        this.missing.push({ method: request.method, params: request.params ?? [] });
+        return {
+          id: request.id,
+          jsonrpc: '2.0',
+          error: { code: -32000, message: `no recorded response for ${request.method} ${JSON.stringify(request.params ?? [])}` }
+        };
+      }
+
+      const index = this.served.get(key) || 0;
+      this.served.set(key, index + 1);
+      const call = recorded[Math.min(index, recorded.length - 1)];
+      return 'error' in call
+        ? { id: request.id, jsonrpc: '2.0', error: call.error }
+        : { id: request.id, jsonrpc: '2.0', result: call.result };
+    });
+  }
+}
+
+// Takes the same endpoints and options as createRpcProvider
+export function createRecordingProvider(endpoints, options = {}) {
+  return new RecordingProvider(...rpcProviderArgs(endpoints, options));
+}
+
+// Requests the fixture has no response for are answered with an error and
+// listed in `missing`
+export function createReplayProvider(fixture) {
+  return new ReplayProvider(fixture);
+}
+
+// Write the calls of a recording provider to a fixture file, with `meta`
+// (mode, indexer settings) describing how to replay it. One call per line so
+// fixtures can be diffed and edited by hand.
+export function saveFixture(file, provider, meta = {}) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const header = JSON.stringify({ version: FIXTURE_VERSION, recordedAt: new Date().toISOString(), ...meta }, null, 2);
+  const calls = provider.calls.map(call => `    ${JSON.stringify(call)}`).join(',\n');
+  fs.writeFileSync(file, `${header.slice(0, -2)},\n  "calls": [\n${calls}\n  ]\n}\n`);
+}
+
+export function loadFixture(file) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (fixture.version !== FIXTURE_VERSION || !Array.isArray(fixture.calls)) {
+    throw new Error(`${file} is not a version ${FIXTURE_VERSION} RPC fixture`);
+  }
+  return fixture;
+}
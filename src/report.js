@@ -0,0 +1,371 @@
+import fs from 'fs';
+import path from 'path';
+import { NETWORK, LABELS_FILE } from './network.js';
+import { createStatsFiles } from './statsFiles.js';
+import { loadLabels } from './labels.js';
+import { formatTokenAmount, formatTokenUnits } from './token.js';
+
+const DATA_DIR = NETWORK.dataDir;
+const { loadLatestStats } = createStatsFiles(DATA_DIR);
+
+// Address labels for the charts and tables
+let labels;
+try {
+  labels = loadLabels(LABELS_FILE);
+} catch (error) {
+  console.error(`Error: could not load labels from ${LABELS_FILE}: ${error.message}`);
+  process.exit(1);
+}
+const { getLabel, formatAddress, groupByOperator } = labels;
+
+// Parse command line arguments (e.g., "npm run report -- --out=weekly.html --by-operator")
+const ARGS = process.argv.slice(2);
+const OUT_ARG = ARGS.find(arg => arg.startsWith('--out='));
+const OUTPUT_FILE = OUT_ARG ? path.resolve(OUT_ARG.slice('--out='.length)) : path.join(DATA_DIR, `report-${Date.now()}.html`);
+// Group provers and attesters per operator from labels.json
+const BY_OPERATOR = ARGS.includes('--by-operator');
+
+// Number of L1 block buckets in the proofs-over-time chart
+const TIME_BUCKETS = 30;
+// Provers shown individually in charts, the rest are grouped as "Other"
+const TOP_PROVERS = 6;
+// Pending exits drawn on the exit timeline
+const MAX_TIMELINE_EXITS = 100;
+
+const COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function shortAddress(address) {
+  return formatAddress(address, { short: true });
+}
+
+// Table cell with the address and its label, sorted by the label when there
+// is one
+function addressCell(address) {
+  const label = getLabel(address);
+  if (!label) {
+    return [`<code>${escapeHtml(address)}</code>`, address];
+  }
+  const operator = label.operator && label.operator !== label.name ? `, ${label.operator}` : '';
+  return [`<code>${escapeHtml(address)}</code><br><span class="muted">${escapeHtml(label.name + operator)}</span>`, label.name];
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+// Table whose columns can be sorted by clicking the header. Each cell is
+// [display, sortValue]; the sort value defaults to the display text.
+function renderTable(columns, rows) {
+  const head = columns.map(c => `<th>${escapeHtml(c)}</th>`).join('');
+  const body = rows.map(row => {
+    const cells = row.map(cell => {
+      const [display, sortValue] = Array.isArray(cell) ? cell : [escapeHtml(cell), cell];
+      return `<td data-sort="${escapeHtml(sortValue)}">${display}</td>`;
+    }).join('');
+    return `<tr>${cells}</tr>`;
+  }).join('\n');
+
+  return `<table class="sortable"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function renderShareChart(items) {
+  const width = 760;
+  const rowHeight = 24;
+  const labelWidth = 140;
+  const maxValue = Math.max(...items.map(i => i.value), 1);
+  const barWidth = width - labelWidth - 90;
+
+  const rows = items.map((item, i) => {
+    const y = i * rowHeight;
+    const w = Math.max((item.value / maxValue) * barWidth, 1);
+    return `<text x="0" y="${y + 16}">${escapeHtml(item.label)}</text>` +
+      `<rect x="${labelWidth}" y="${y + 4}" width="${w.toFixed(1)}" height="${rowHeight - 8}" fill="${COLORS[i % COLORS.length]}"/>` +
+      `<text x="${(labelWidth + w + 6).toFixed(1)}" y="${y + 16}">${escapeHtml(item.note)}</text>`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${items.length * rowHeight}" width="${width}" class="chart">${rows}</svg>`;
+}
+
+// Stacked columns: series is [{ label, values }] with one value per bucket
+function renderStackedColumns(series, bucketLabels) {
+  const width = 760;
+  const height = 260;
+  const left = 40;
+  const bottom = 30;
+  const plotHeight = height - bottom - 10;
+  const columnWidth = (width - left) / bucketLabels.length;
+  const totals = bucketLabels.map((_, b) => series.reduce((sum, s) => sum + s.values[b], 0));
+  const maxTotal = Math.max(...totals, 1);
+
+  let svg = '';
+  bucketLabels.forEach((label, b) => {
+    let y = plotHeight + 10;
+    series.forEach((s, i) => {
+      const h = (s.values[b] / maxTotal) * plotHeight;
+      if (h > 0) {
+        y -= h;
+        svg += `<rect x="${(left + b * columnWidth + 1).toFixed(1)}" y="${y.toFixed(1)}" width="${(columnWidth - 2).toFixed(1)}" height="${h.toFixed(1)}" fill="${COLORS[i % COLORS.length]}"><title>${escapeHtml(s.label)}: ${s.values[b]} (${escapeHtml(label)})</title></rect>`;
+      }
+    });
+    if (b % Math.ceil(bucketLabels.length / 6) === 0) {
+      svg += `<text x="${(left + b * columnWidth).toFixed(1)}" y="${height - 8}" class="axis">${escapeHtml(label)}</text>`;
+    }
+  });
+  svg += `<text x="0" y="18" class="axis">${maxTotal}</text><text x="0" y="${plotHeight + 10}" class="axis">0</text>`;
+
+  const legend = series.map((s, i) =>
+    `<span class="legend"><span class="swatch" style="background:${COLORS[i % COLORS.length]}"></span>${escapeHtml(s.label)}</span>`
+  ).join(' ');
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" class="chart">${svg}</svg><div>${legend}</div>`;
+}
+
+function renderExitTimeline(pendingExits, now, token) {
+  const exits = pendingExits.slice(0, MAX_TIMELINE_EXITS);
+  const width = 760;
+  const rowHeight = 18;
+  const labelWidth = 140;
+  const start = Math.min(...exits.map(e => e.timestamp));
+  const end = Math.max(...exits.map(e => e.exitableAt), now);
+  const scale = t => labelWidth + ((t - start) / Math.max(end - start, 1)) * (width - labelWidth - 10);
+  const height = exits.length * rowHeight + 24;
+
+  let svg = exits.map((exit, i) => {
+    const y = i * rowHeight;
+    const x1 = scale(exit.timestamp);
+    const x2 = scale(exit.exitableAt);
+    const color = now >= exit.exitableAt ? '#59a14f' : '#f28e2b';
+    return `<text x="0" y="${y + 13}">${escapeHtml(shortAddress(exit.attester))}</text>` +
+      `<rect x="${x1.toFixed(1)}" y="${y + 3}" width="${Math.max(x2 - x1, 1).toFixed(1)}" height="${rowHeight - 6}" fill="${color}">` +
+      `<title>${escapeHtml(formatAddress(exit.attester))}: ${escapeHtml(formatTokenAmount(exit.amount, token))}, exitable ${formatDate(exit.exitableAt)}</title></rect>`;
+  }).join('');
+
+  const nowX = scale(now).toFixed(1);
+  svg += `<line x1="${nowX}" x2="${nowX}" y1="0" y2="${height - 20}" stroke="#333" stroke-dasharray="4 3"/>`;
+  svg += `<text x="${nowX}" y="${height - 6}" class="axis">now</text>`;
+  svg += `<text x="${labelWidth}" y="${height - 6}" class="axis">${formatDate(start)}</text>`;
+  svg += `<text x="${width - 70}" y="${height - 6}" class="axis">${formatDate(end)}</text>`;
+
+  const note = pendingExits.length > exits.length ? `<p class="muted">Showing the first ${exits.length} of ${pendingExits.length} pending exits.</p>` : '';
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" class="chart">${svg}</svg>${note}`;
+}
+
+function renderWarnings(data) {
+  const failedRanges = data.failedRanges || [];
+  if (failedRanges.length === 0) {
+    return '';
+  }
+  const ranges = failedRanges.map(r => `${r.from}&ndash;${r.to}`).join(', ');
+  return `<p class="warning">Data is incomplete: blocks ${ranges} could not be fetched.</p>`;
+}
+
+function renderProverSection(data) {
+  const { summary, provers } = data;
+  const share = p => summary.totalProofs > 0 ? (p.proofCount / summary.totalProofs) * 100 : 0;
+
+  const top = provers.slice(0, TOP_PROVERS);
+  const otherCount = provers.slice(TOP_PROVERS).reduce((sum, p) => sum + p.proofCount, 0);
+  const shareItems = top.map(p => ({ label: shortAddress(p.address), value: p.proofCount, note: `${p.proofCount} (${share(p).toFixed(2)}%)` }));
+  if (otherCount > 0) {
+    shareItems.push({ label: `Other (${provers.length - TOP_PROVERS})`, value: otherCount, note: `${otherCount} (${((otherCount / summary.totalProofs) * 100).toFixed(2)}%)` });
+  }
+
+  // Proofs per L1 block bucket, split by the top provers
+  const from = data.blockRange.from;
+  const bucketSize = Math.max(Math.ceil((data.blockRange.to - from + 1) / TIME_BUCKETS), 1);
+  const bucketCount = Math.ceil((data.blockRange.to - from + 1) / bucketSize);
+  const bucketOf = block => Math.min(Math.floor((block - from) / bucketSize), bucketCount - 1);
+  const series = top.map(p => ({ label: shortAddress(p.address), values: new Array(bucketCount).fill(0), provers: [p] }));
+  const other = { label: 'Other', values: new Array(bucketCount).fill(0), provers: provers.slice(TOP_PROVERS) };
+  for (const s of [...series, other]) {
+    for (const prover of s.provers) {
+      for (const block of prover.blocks) {
+        s.values[bucketOf(block.ethBlockNumber)]++;
+      }
+    }
+  }
+  if (other.provers.length > 0) {
+    series.push(other);
+  }
+  const bucketLabels = Array.from({ length: bucketCount }, (_, b) => `#${from + b * bucketSize}`);
+
+  const rows = provers.map((p, i) => {
+    const l2Blocks = p.blocks.map(b => Number(b.blockNumber));
+    return [
+      i + 1,
+      addressCell(p.address),
+      p.proofCount,
+      [`${share(p).toFixed(2)}%`, share(p)],
+      l2Blocks.length ? Math.min(...l2Blocks) : '',
+      l2Blocks.length ? Math.max(...l2Blocks) : ''
+    ];
+  });
+
+  return `
+<section>
+  <h2>Provers</h2>
+  ${renderWarnings(data)}
+  <p>L1 blocks ${data.blockRange.from} to ${data.blockRange.to} &middot; ${summary.totalProofs} proofs &middot; ${summary.uniqueProvers} provers &middot; scanned ${escapeHtml(data.scannedAt)}</p>
+  <h3>Proof share</h3>
+  ${renderShareChart(shareItems)}
+  <h3>Proofs over time (by L1 block)</h3>
+  ${renderStackedColumns(series, bucketLabels)}
+  <h3>Leaderboard</h3>
+  ${renderTable(['Rank', 'Prover', 'Proofs', 'Share', 'First L2 block', 'Last L2 block'], rows)}
+</section>`;
+}
+
+function renderSlashSection(data) {
+  const { summary, attesters } = data;
+
+  const rows = attesters.map(a => {
+    const lastSlash = a.slashes[a.slashes.length - 1];
+    return [
+      addressCell(a.address),
+      a.slashCount,
+      [escapeHtml(formatTokenAmount(a.totalAmountSlashed, data.token)), Number(formatTokenUnits(a.totalAmountSlashed, data.token))],
+      lastSlash ? lastSlash.ethBlockNumber : '',
+      lastSlash ? [`<code>${escapeHtml(lastSlash.txHash)}</code>`, lastSlash.txHash] : ''
+    ];
+  });
+
+  return `
+<section>
+  <h2>Slashing</h2>
+  ${renderWarnings(data)}
+  <p>L1 blocks ${data.blockRange.from} to ${data.blockRange.to} &middot; ${summary.totalSlashes} slashes &middot; ${escapeHtml(formatTokenAmount(summary.totalAmountSlashed, data.token))} slashed &middot; ${summary.uniqueAttesters} attesters</p>
+  ${attesters.length > 0
+    ? renderTable(['Attester', 'Slashes', 'Amount', 'Last slash block', 'Last slash tx'], rows)
+    : '<p>No slashing events found in the scanned block range.</p>'}
+</section>`;
+}
+
+function renderExitSection(data, now) {
+  const { summary, pendingExits, attesters } = data;
+  const ready = pendingExits.filter(e => now >= e.exitableAt).length;
+
+  const rows = pendingExits.map(e => [
+    addressCell(e.attester),
+    addressCell(e.recipient),
+    [escapeHtml(formatTokenAmount(e.amount, data.token)), Number(formatTokenUnits(e.amount, data.token))],
+    [formatDate(e.timestamp), e.timestamp],
+    [formatDate(e.exitableAt), e.exitableAt],
+    now >= e.exitableAt ? 'Can finalize' : `${Math.ceil((e.exitableAt - now) / 86400)}d left`
+  ]);
+
+  const attesterRows = attesters.map(a => [
+    addressCell(a.address),
+    a.initiatedCount,
+    a.finalizedCount,
+    a.pendingCount ?? a.initiatedCount - a.finalizedCount,
+    [escapeHtml(formatTokenAmount(a.totalInitiatedAmount, data.token)), Number(formatTokenUnits(a.totalInitiatedAmount, data.token))]
+  ]);
+
+  return `
+<section>
+  <h2>Exits</h2>
+  ${renderWarnings(data)}
+  <p>L1 blocks ${data.blockRange.from} to ${data.blockRange.to} &middot; ${summary.totalInitiated} initiated &middot; ${summary.totalFinalized} finalized &middot; ${pendingExits.length} pending (${ready} can finalize now)</p>
+  ${pendingExits.length > 0 ? `<h3>Pending exit timeline</h3>${renderExitTimeline(pendingExits, now, data.token)}` : '<p>No pending exits.</p>'}
+  ${pendingExits.length > 0 ? `<h3>Pending exits</h3>${renderTable(['Attester', 'Recipient', 'Amount', 'Initiated', 'Exitable at', 'Status'], rows)}` : ''}
+  ${attesters.length > 0 ? `<h3>Exits by attester</h3>${renderTable(['Attester', 'Initiated', 'Finalized', 'Pending', 'Amount initiated'], attesterRows)}` : ''}
+</section>`;
+}
+
+// Click a header to sort by that column, click again to reverse
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th').forEach((th, column) => {
+  th.addEventListener('click', () => {
+    const table = th.closest('table');
+    const tbody = table.querySelector('tbody');
+    const ascending = th.dataset.order !== 'asc';
+    table.querySelectorAll('th').forEach(h => delete h.dataset.order);
+    th.dataset.order = ascending ? 'asc' : 'desc';
+    const value = row => row.children[column].dataset.sort;
+    const rows = Array.from(tbody.rows).sort((a, b) => {
+      const x = value(a), y = value(b);
+      const nx = parseFloat(x), ny = parseFloat(y);
+      const cmp = !isNaN(nx) && !isNaN(ny) && String(nx) === x && String(ny) === y ? nx - ny : x.localeCompare(y);
+      return ascending ? cmp : -cmp;
+    });
+    rows.forEach(row => tbody.appendChild(row));
+  });
+});`;
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1000px; color: #222; }
+h1 { border-bottom: 2px solid #222; padding-bottom: .3rem; }
+section { margin-bottom: 3rem; }
+table { border-collapse: collapse; width: 100%; font-size: .85rem; }
+th, td { border-bottom: 1px solid #ddd; padding: .3rem .5rem; text-align: left; }
+th { cursor: pointer; background: #f4f4f4; user-select: none; }
+th[data-order="asc"]::after { content: " \\25B2"; }
+th[data-order="desc"]::after { content: " \\25BC"; }
+code { font-size: .8rem; }
+.chart { display: block; margin: .5rem 0; font-size: 11px; max-width: 100%; height: auto; }
+.axis { fill: #666; font-size: 10px; }
+.legend { margin-right: 1rem; font-size: .8rem; }
+.swatch { display: inline-block; width: .8rem; height: .8rem; margin-right: .3rem; vertical-align: middle; }
+.warning { background: #fff3cd; border: 1px solid #e0c36c; padding: .5rem; }
+.muted { color: #666; font-size: .8rem; }`;
+
+function renderReport({ proofs, slashes, exits, now }) {
+  const sections = [
+    proofs ? renderProverSection(proofs) : '<section><h2>Provers</h2><p>No prover stats found. Run <code>npm start</code> first.</p></section>',
+    slashes ? renderSlashSection(slashes) : '<section><h2>Slashing</h2><p>No slash stats found. Run <code>npm run slash</code> first.</p></section>',
+    exits ? renderExitSection(exits, now) : '<section><h2>Exits</h2><p>No exit stats found. Run <code>npm run exit</code> first.</p></section>'
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(NETWORK.displayName)} Prover Report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(NETWORK.displayName)} Prover Report</h1>
+<p class="muted">Generated ${new Date(now * 1000).toISOString()}</p>
+${sections.join('\n')}
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const proofs = loadLatestStats('prover');
+  const slashes = loadLatestStats('slash');
+  const exits = loadLatestStats('exit');
+
+  if (!proofs && !slashes && !exits) {
+    console.error('No stats files found. Run the indexer first with: npm start, npm run slash or npm run exit');
+    process.exit(1);
+  }
+
+  for (const stats of [proofs, slashes, exits].filter(Boolean)) {
+    console.log(`Reading stats from: ${path.basename(stats.file)}`);
+  }
+
+  const group = (mode, stats) => stats && (BY_OPERATOR ? groupByOperator(mode, stats.data) : stats.data);
+  const html = renderReport({
+    proofs: group('prover', proofs),
+    slashes: group('slash', slashes),
+    exits: group('exit', exits),
+    now: Math.floor(Date.now() / 1000)
+  });
+
+  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+  fs.writeFileSync(OUTPUT_FILE, html);
+  console.log(`\nReport saved to: ${OUTPUT_FILE}`);
+}
+
+main();
@@ -0,0 +1,97 @@
+import { ethers } from 'ethers';
+import { ROLLUP_ABI, REGISTRY_ABI } from './abi.js';
+import { describeError } from './scanner.js';
+
+// Rollup versions. When Aztec upgrades the rollup, a new contract is deployed
+// and registered in the Registry while the old one stops receiving proofs, so
+// the history of a network is spread over several addresses. They are all
+// scanned together with one log query per chunk, and each archived event is
+// tagged with the address and version of the rollup that emitted it.
+
+export const ROLLUP_INTERFACE = new ethers.Interface(ROLLUP_ABI);
+
+// Every rollup version registered in the Registry, oldest first
+async function readRegistry(provider, registryAddress) {
+  const registry = new ethers.Contract(registryAddress, REGISTRY_ABI, provider);
+  const count = Number(await registry.numberOfVersions());
+  const rollups = [];
+
+  for (let i = 0; i < count; i++) {
+    const version = await registry.getVersion(i);
+    const address = await registry.getRollup(version);
+    rollups.push({ version: version.toString(), address: ethers.getAddress(address) });
+  }
+
+  return rollups;
+}
+
+// Rollups given by address. The version is read from the contract, or is the
+// position in the list for rollups that don't expose one.
+async function readRollupVersions(provider, addresses) {
+  const rollups = [];
+
+  for (const [i, address] of addresses.entries()) {
+    let version;
+    try {
+      version = (await new ethers.Contract(address, ROLLUP_ABI, provider).getVersion()).toString();
+    } catch {
+      version = String(i + 1);
+    }
+    rollups.push({ version, address: ethers.getAddress(address) });
+  }
+
+  return rollups;
+}
+
+// First block at which the contract has code, found by binary search. Needs an
+// RPC that serves historical state; returns null if it doesn't or the
+// contract isn't deployed by toBlock.
+export async function findDeploymentBlock(provider, address, fromBlock, toBlock, onProgress = () => {}) {
+  const hasCode = async block => (await provider.getCode(address, block)) !== '0x';
+
+  try {
+    if (!(await hasCode(toBlock))) {
+      return null;
+    }
+    if (await hasCode(fromBlock)) {
+      return fromBlock;
+    }
+
+    let low = fromBlock;
+    let high = toBlock;
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (await hasCode(mid)) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return high;
+  } catch (error) {
+    onProgress({ type: 'warning', level: 'warn', message: `Warning: could not find the deployment block of ${address} (${describeError(error)})` });
+    return null;
+  }
+}
+
+// Rollup versions to index: from the Registry if one is configured, otherwise
+// the configured rollup addresses. Each gets the block its contract was
+// deployed at (reused from `known` for rollups indexed before), or fromBlock if
+// that can't be determined.
+export async function discoverRollups(provider, { registryAddress, rollupAddresses }, { fromBlock, toBlock, known = [], onProgress }) {
+  const rollups = registryAddress
+    ? await readRegistry(provider, registryAddress)
+    : await readRollupVersions(provider, rollupAddresses);
+
+  for (const rollup of rollups) {
+    const previous = known.find(r => r.fromBlock !== undefined && isSameAddress(r.address, rollup.address));
+    const deployedAt = previous ? previous.fromBlock : await findDeploymentBlock(provider, rollup.address, fromBlock, toBlock, onProgress);
+    rollup.fromBlock = deployedAt ?? fromBlock;
+  }
+
+  return rollups;
+}
+
+export function isSameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
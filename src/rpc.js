@@ -0,0 +1,263 @@
+import { ethers } from 'ethers';
+import { RATE_LIMIT_PATTERN, describeError } from './scanner.js';
+
+// JSON-RPC provider over one or more endpoints. Each request goes to the
+// healthy endpoint with the fewest requests in flight, earlier endpoints
+// first on a tie, and every endpoint can be held to a number of requests per
+// second. An endpoint that can't be reached, times out or rate limits a
+// request rests for a while (doubling with every failure in a row, up to a
+// minute) and the request moves on to the next endpoint; so does one that
+// answers with an internal error. When every endpoint fails the last answer
+// or error is passed on. Other JSON-RPC errors, such as a range rejected as
+// too large, are returned as they are for the scanner to handle. Before the
+// first request the chain id of every endpoint is checked, and endpoints on
+// another chain than the first one are never used. onProgress receives the
+// indexer's progress events (see indexer.js).
+
+export const RPC_DEFAULTS = {
+  // Requests per second per endpoint, unlimited when not set
+  rateLimit: undefined,
+  // Time after which a request is given up on and sent to the next endpoint
+  timeoutMs: 30000
+};
+
+const MIN_REST_MS = 5000;
+const MAX_REST_MS = 60000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Host of an endpoint URL, since the rest of it often holds an API key
+function endpointName(url) {
+  try {
+    return new URL(url).host || url;
+  } catch {
+    return url;
+  }
+}
+
+function createEndpoint({ url, rateLimit }, index, timeoutMs) {
+  let nextSlot = 0;
+
+  return {
+    url,
+    index,
+    name: endpointName(url),
+    rateLimit,
+    inFlight: 0,
+    failures: 0,
+    restingUntil: 0,
+    disabled: false,
+
+    // Wait for a free slot under the rate limit, one per request in the payload
+    async throttle(count) {
+      if (!rateLimit) {
+        return;
+      }
+      const now = Date.now();
+      const start = Math.max(now, nextSlot);
+      nextSlot = start + (count * 1000) / rateLimit;
+      if (start > now) {
+        await sleep(start - now);
+      }
+    },
+
+    async send(payload) {
+      await this.throttle(Array.isArray(payload) ? payload.length : 1);
+      this.inFlight++;
+      try {
+        const request = new ethers.FetchRequest(url);
+        request.body = JSON.stringify(payload);
+        request.setHeader('content-type', 'application/json');
+        request.timeout = timeoutMs;
+        // Rate limiting is handled by moving on to the next endpoint, not by
+        // ethers retrying the same one
+        request.setThrottleParams({ maxAttempts: 1 });
+
+        const response = await request.send();
+        response.assertOk();
+        const result = response.bodyJson;
+        return Array.isArray(result) ? result : [result];
+      } finally {
+        this.inFlight--;
+      }
+    }
+  };
+}
+
+// Errors that say more about the endpoint than about the request, worth
+// sending the request to another endpoint for
+const ENDPOINT_ERROR_PATTERN = /internal error|timed? ?out|unavailable|overloaded|try again/i;
+
+function isEndpointError(response) {
+  const error = response?.error;
+  return Boolean(error) && (
+    error.code === 429 ||
+    error.code === -32603 ||
+    RATE_LIMIT_PATTERN.test(error.message || '') ||
+    ENDPOINT_ERROR_PATTERN.test(error.message || '')
+  );
+}
+
+class RpcProvider extends ethers.JsonRpcProvider {
+  constructor(endpoints, { rateLimit, timeoutMs, onProgress }) {
+    // The URL is only used by ethers for display, requests go through _send
+    super(endpoints[0].url);
+    this.endpoints = endpoints.map((endpoint, index) => createEndpoint({ url: endpoint.url, rateLimit: endpoint.rateLimit ?? rateLimit }, index, timeoutMs));
+    this.onProgress = onProgress;
+    this.chainChecked = null;
+  }
+
+  // Check that every endpoint answers and is on the same chain as the first
+  // one that does. Endpoints that don't answer rest like after any failure.
+  async checkEndpoints() {
+    if (this.endpoints.length < 2) {
+      return;
+    }
+
+    const results = await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        const [response] = await endpoint.send({ id: 1, jsonrpc: '2.0', method: 'eth_chainId', params: [] });
+        if (response.error) {
+          throw new Error(response.error.message);
+        }
+        return Number(response.result);
+      } catch (error) {
+        this.markFailed(endpoint, error);
+        return null;
+      }
+    }));
+
+    const reference = results.findIndex(chainId => chainId !== null);
+    if (reference === -1) {
+      return;
+    }
+    results.forEach((chainId, i) => {
+      if (chainId !== null && chainId !== results[reference]) {
+        const endpoint = this.endpoints[i];
+        endpoint.disabled = true;
+        this.onProgress({
+          type: 'endpointChain',
+          level: 'warn',
+          message: `  RPC endpoint ${endpoint.name} is on chain ${chainId}, not ${results[reference]} like ${this.endpoints[reference].name}, it won't be used`,
+          endpoint: endpoint.name,
+          chainId
+        });
+      }
+    });
+  }
+
+  // Healthy endpoints by load, then resting ones by how soon they are back, so
+  // a request is still attempted when every endpoint is resting
+  pickEndpoint(tried) {
+    const now = Date.now();
+    const candidates = this.endpoints.filter(e => !e.disabled && !tried.has(e));
+    const healthy = candidates.filter(e => e.restingUntil <= now).sort((a, b) => a.inFlight - b.inFlight || a.index - b.index);
+    if (healthy.length > 0) {
+      return healthy[0];
+    }
+    return candidates.sort((a, b) => a.restingUntil - b.restingUntil)[0] || null;
+  }
+
+  markFailed(endpoint, error) {
+    const wasHealthy = endpoint.restingUntil <= Date.now();
+    const rest = Math.min(MIN_REST_MS * 2 ** endpoint.failures, MAX_REST_MS);
+    endpoint.failures++;
+    endpoint.restingUntil = Date.now() + rest;
+
+    if (wasHealthy && this.endpoints.length > 1) {
+      this.onProgress({
+        type: 'endpointDown',
+        level: 'warn',
+        message: `  RPC endpoint ${endpoint.name} failed (${describeError(error)}), resting it for ${rest / 1000}s`,
+        endpoint: endpoint.name,
+        error: describeError(error)
+      });
+    }
+  }
+
+  markHealthy(endpoint) {
+    if (endpoint.failures > 0 && this.endpoints.length > 1) {
+      this.onProgress({ type: 'endpointUp', level: 'info', message: `  RPC endpoint ${endpoint.name} is working again`, endpoint: endpoint.name });
+    }
+    endpoint.failures = 0;
+    endpoint.restingUntil = 0;
+  }
+
+  async _send(payload) {
+    if (!this.chainChecked) {
+      this.chainChecked = this.checkEndpoints();
+    }
+    await this.chainChecked;
+
+    const tried = new Set();
+    let lastError = new Error('no usable RPC endpoint');
+    let lastResponses = null;
+
+    for (let endpoint = this.pickEndpoint(tried); endpoint; endpoint = this.pickEndpoint(tried)) {
+      tried.add(endpoint);
+      let responses;
+      try {
+        responses = await endpoint.send(payload);
+      } catch (error) {
+        this.markFailed(endpoint, error);
+        lastError = error;
+        continue;
+      }
+
+      const failure = responses.find(isEndpointError);
+      if (!failure) {
+        this.markHealthy(endpoint);
+        return responses;
+      }
+      this.markFailed(endpoint, failure.error);
+      lastResponses = responses;
+    }
+
+    if (lastResponses) {
+      return lastResponses;
+    }
+    throw lastError;
+  }
+}
+
+// Endpoints are URLs or { url, rateLimit } objects; options are rateLimit
+// (default for endpoints without their own), timeoutMs and onProgress
+export function createRpcProvider(endpoints, options = {}) {
+  return new RpcProvider(...rpcProviderArgs(endpoints, options));
+}
+
+// Constructor arguments of RpcProvider for createRpcProvider's parameters
+export function rpcProviderArgs(endpoints, options) {
+  const list = (Array.isArray(endpoints) ? endpoints : [endpoints])
+    .map(endpoint => typeof endpoint === 'string' ? { url: endpoint } : endpoint);
+  if (list.length === 0 || list.some(endpoint => !endpoint?.url)) {
+    throw new Error('at least one RPC endpoint URL is required');
+  }
+  const settings = { ...RPC_DEFAULTS, onProgress: () => {} };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  }
+  return [list, settings];
+}
+
+// Exported for the recording provider, which records what this one sends
+export { RpcProvider };
+
+// Run fn over items with at most `concurrency` calls pending at once,
+// resolving to the results in the order of the items
+export async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, worker));
+  return results;
+}
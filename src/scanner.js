@@ -0,0 +1,180 @@
+import { formatDuration } from './durations.js';
+
+// Chunked log scanning with retries and adaptive chunk sizes.
+//
+// Up to `concurrency` chunks are fetched at once, but their results are
+// handed to the caller in block order. Each chunk is retried with
+// exponential backoff. When the provider rejects a range as too large the
+// chunk is halved and retried immediately; after a few consecutive
+// successful chunks the size doubles back towards the configured maximum.
+// Ranges that still fail once retries are exhausted are returned to the
+// caller so they can be recorded and retried on a later run instead of
+// silently undercounting. onProgress receives the indexer's progress events
+// (see indexer.js); with quiet set, the per-chunk ones are only debug level.
+
+const RANGE_TOO_LARGE_PATTERNS = [
+  /block range/i,
+  /range (is )?too (large|wide|big)/i,
+  /is limited to a [\d,]+ (block )?range/i,
+  /more than [\d,]+ (results|logs)/i,
+  /too many (results|logs|blocks)/i,
+  /response size (is )?(too large|exceeded)/i,
+  /exceed(s|ed)? (the )?max(imum)? (block )?range/i,
+  /query timeout/i
+];
+
+// Some providers reuse the "limit exceeded" code for rate limiting, which must
+// not shrink the chunk size
+export const RATE_LIMIT_PATTERN = /rate limit|too many requests|request count|capacity/i;
+
+export function isRangeTooLargeError(error) {
+  const messages = [error?.message, error?.error?.message, error?.info?.error?.message].filter(Boolean);
+  if (messages.some(message => RATE_LIMIT_PATTERN.test(message))) {
+    return false;
+  }
+  const code = error?.error?.code ?? error?.info?.error?.code;
+  return code === -32005 || messages.some(message => RANGE_TOO_LARGE_PATTERNS.some(pattern => pattern.test(message)));
+}
+
+// ethers wraps JSON-RPC errors together with the whole request payload, keep
+// only the provider's own message
+export function describeError(error) {
+  return error?.error?.message || error?.info?.error?.message || error?.shortMessage || error?.message || String(error);
+}
+
+// Successful chunks in a row before the chunk size is allowed to grow again
+const GROW_AFTER_SUCCESSES = 3;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createChunkScanner({ maxChunkSize, minChunkSize = 1, maxRetries = 3, retryDelayMs = 1000, concurrency = 1, quiet = false, onProgress = () => {} }) {
+  let chunkSize = maxChunkSize;
+  let successes = 0;
+
+  async function fetchWithRetry(fetchChunk, start, end) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchChunk(start, end);
+      } catch (error) {
+        // Retrying the same range is pointless, the caller splits it instead
+        if (isRangeTooLargeError(error) || attempt >= maxRetries) {
+          throw error;
+        }
+        const delay = retryDelayMs * 2 ** attempt;
+        onProgress({
+          type: 'retry',
+          level: 'warn',
+          message: `  Error querying blocks ${start} to ${end}: ${describeError(error)}\n  Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})...`,
+          from: start,
+          to: end,
+          attempt: attempt + 1
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Scan [fromBlock, toBlock], calling onChunk(start, end, result) for every
+  // chunk fetched, in block order. Returns the block ranges that could not be
+  // fetched.
+  async function scan(fromBlock, toBlock, fetchChunk, onChunk) {
+    const failedRanges = [];
+    const startedAt = Date.now();
+    const totalBlocks = toBlock - fromBlock + 1;
+    // Chunks in block order, the first one being the next to hand over. Only
+    // the first `concurrency` are fetching; results of later ones wait for it.
+    const queue = [];
+    let next = fromBlock;
+
+    const fetch = chunk => {
+      onProgress({ type: 'chunk', level: quiet ? 'debug' : 'info', message: `Querying blocks ${chunk.start} to ${chunk.end}...`, from: chunk.start, to: chunk.end });
+      chunk.outcome = fetchWithRetry(fetchChunk, chunk.start, chunk.end).then(result => ({ result }), error => ({ error }));
+    };
+
+    // Split a range into chunks of the current size
+    const chunksOf = (start, end) => {
+      const chunks = [];
+      for (let s = start; s <= end; s += chunkSize) {
+        chunks.push({ start: s, end: Math.min(s + chunkSize - 1, end) });
+      }
+      return chunks;
+    };
+
+    while (queue.length > 0 || next <= toBlock) {
+      while (queue.length < concurrency && next <= toBlock) {
+        const end = Math.min(next + chunkSize - 1, toBlock);
+        queue.push({ start: next, end });
+        next = end + 1;
+      }
+      for (const chunk of queue.slice(0, concurrency)) {
+        if (!chunk.outcome) {
+          fetch(chunk);
+        }
+      }
+
+      const chunk = queue[0];
+      const { result, error } = await chunk.outcome;
+      queue.shift();
+
+      if (!error) {
+        await onChunk(chunk.start, chunk.end, result);
+
+        if (chunkSize < maxChunkSize && ++successes >= GROW_AFTER_SUCCESSES) {
+          chunkSize = Math.min(chunkSize * 2, maxChunkSize);
+          successes = 0;
+        }
+      } else {
+        successes = 0;
+        const size = chunk.end - chunk.start + 1;
+
+        // Chunks that were already fetching with a larger size are only split
+        // into chunks of the current size
+        if (isRangeTooLargeError(error) && (size > chunkSize || chunkSize > minChunkSize)) {
+          if (size <= chunkSize) {
+            chunkSize = Math.max(Math.floor(chunkSize / 2), minChunkSize);
+            onProgress({ type: 'chunkSize', level: 'warn', message: `  Provider rejected range as too large, reducing chunk size to ${chunkSize} blocks`, chunkSize });
+          }
+          queue.unshift(...chunksOf(chunk.start, chunk.end));
+          continue;
+        }
+
+        const message = describeError(error);
+        onProgress({
+          type: 'failed',
+          level: 'error',
+          message: `Error querying blocks ${chunk.start} to ${chunk.end}: ${message}\n  Giving up on this range, it will be retried on the next run`,
+          from: chunk.start,
+          to: chunk.end,
+          error: message
+        });
+        failedRanges.push({ from: chunk.start, to: chunk.end, error: message });
+      }
+
+      reportProgress(chunk.end - fromBlock + 1, totalBlocks, startedAt);
+    }
+
+    return failedRanges;
+  }
+
+  // Blocks per second and estimated time left, from the blocks handed over so
+  // far. Left out for the last chunk and scans of a single chunk.
+  function reportProgress(scannedBlocks, totalBlocks, startedAt) {
+    const remaining = totalBlocks - scannedBlocks;
+    const seconds = (Date.now() - startedAt) / 1000;
+    if (remaining <= 0 || seconds <= 0) {
+      return;
+    }
+    const rate = scannedBlocks / seconds;
+    onProgress({
+      type: 'progress',
+      level: quiet ? 'debug' : 'info',
+      message: `  ${((scannedBlocks / totalBlocks) * 100).toFixed(1)}% of ${totalBlocks} blocks, ${Math.round(rate)} blocks/s, ETA ${formatDuration(remaining / rate)}`,
+      scannedBlocks,
+      totalBlocks,
+      blocksPerSecond: rate,
+      etaSeconds: remaining / rate
+    });
+  }
+
+  return { scan, quiet, concurrency };
+}
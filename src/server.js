@@ -0,0 +1,291 @@
+import http from 'http';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { createArchive } from './archive.js';
+import { aggregateEvents, aggregatorOptions } from './aggregate.js';
+import { buildAddressProfile } from './profile.js';
+import { NETWORK, LABELS_FILE } from './network.js';
+import { loadLabels } from './labels.js';
+import { formatTokenUnits } from './token.js';
+
+dotenv.config();
+
+const { loadCheckpoint, loadEvents, archiveModifiedAt } = createArchive(NETWORK.dataDir);
+
+// Address labels for the label and operator fields of responses
+let labels;
+try {
+  labels = loadLabels(LABELS_FILE);
+} catch (error) {
+  console.error(`Error: could not load labels from ${LABELS_FILE}: ${error.message}`);
+  process.exit(1);
+}
+const { labelFields, groupByOperator } = labels;
+
+const API_PORT = process.env.API_PORT ? parseInt(process.env.API_PORT) : 3000;
+const API_HOST = process.env.API_HOST || '127.0.0.1';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Archived events are reloaded only when the indexer has written to the archive
+const archiveCache = {};
+
+function getEvents(mode) {
+  const modifiedAt = archiveModifiedAt(mode);
+  if (!archiveCache[mode] || archiveCache[mode].modifiedAt !== modifiedAt) {
+    archiveCache[mode] = { modifiedAt, records: loadEvents(mode) };
+  }
+  return archiveCache[mode].records;
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseIntParam(params, name, defaultValue) {
+  const value = params.get(name);
+  if (value === null || value === '') {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `${name} must be a non-negative integer`);
+  }
+  return parseInt(value);
+}
+
+function parseAddress(value) {
+  if (!ethers.isAddress(value)) {
+    throw new HttpError(400, `Invalid address: ${value}`);
+  }
+  return value.toLowerCase();
+}
+
+// fromBlock/toBlock filter on the L1 block the event was emitted in, version
+// on the rollup version that emitted it
+function getBlockRange(params) {
+  return {
+    fromBlock: parseIntParam(params, 'fromBlock', 0),
+    toBlock: parseIntParam(params, 'toBlock', Infinity),
+    version: params.get('version') || null
+  };
+}
+
+// ?by=operator groups leaderboards per operator from labels.json
+function groupsByOperator(params) {
+  const by = params.get('by') || 'address';
+  if (!['address', 'operator'].includes(by)) {
+    throw new HttpError(400, 'by must be address or operator');
+  }
+  return by === 'operator';
+}
+
+function aggregateRange(mode, { fromBlock, toBlock, version = null }) {
+  const records = getEvents(mode).filter(r =>
+    r.ethBlockNumber >= fromBlock && r.ethBlockNumber <= toBlock && (version === null || r.rollupVersion === version)
+  );
+  // Exit delays are the ones read from the contracts by the last exit scan
+  return aggregateEvents(mode, records, aggregatorOptions(loadCheckpoint(mode)));
+}
+
+function paginate(items, params) {
+  const page = Math.max(parseIntParam(params, 'page', 1), 1);
+  const pageSize = Math.min(Math.max(parseIntParam(params, 'pageSize', DEFAULT_PAGE_SIZE), 1), MAX_PAGE_SIZE);
+  const start = (page - 1) * pageSize;
+
+  return {
+    pagination: {
+      page,
+      pageSize,
+      total: items.length,
+      totalPages: Math.ceil(items.length / pageSize)
+    },
+    items: items.slice(start, start + pageSize)
+  };
+}
+
+function describeRange(mode, { fromBlock, toBlock, version }) {
+  const checkpoint = loadCheckpoint(mode);
+  return {
+    fromBlock: checkpoint ? Math.max(fromBlock, checkpoint.fromBlock) : fromBlock,
+    toBlock: checkpoint ? Math.min(toBlock, checkpoint.lastScannedBlock) : null,
+    version,
+    failedRanges: checkpoint?.failedRanges || []
+  };
+}
+
+function getProvers(params) {
+  const range = getBlockRange(params);
+  const stats = aggregateRange('proofs', range);
+  const { summary, provers } = groupsByOperator(params) ? groupByOperator('prover', stats) : stats;
+  const leaderboard = provers.map((prover, i) => ({
+    rank: i + 1,
+    address: prover.address,
+    ...labelFields(prover.address),
+    ...(prover.addresses && { addresses: prover.addresses }),
+    proofCount: prover.proofCount,
+    share: summary.totalProofs > 0 ? prover.proofCount / summary.totalProofs : 0
+  }));
+  const { pagination, items } = paginate(leaderboard, params);
+
+  return { blockRange: describeRange('proofs', range), summary, pagination, provers: items };
+}
+
+function getProverBlocks(address, params) {
+  const range = getBlockRange(params);
+  const { provers } = aggregateRange('proofs', range);
+  const prover = provers.find(p => p.address.toLowerCase() === address);
+  if (!prover) {
+    throw new HttpError(404, `No proofs found for prover ${address}`);
+  }
+
+  // Newest first
+  const blocks = [...prover.blocks].reverse();
+  const { pagination, items } = paginate(blocks, params);
+
+  return { address: prover.address, ...labelFields(prover.address), proofCount: prover.proofCount, pagination, blocks: items };
+}
+
+function getSlashes(params) {
+  const range = getBlockRange(params);
+  const stats = aggregateRange('slash', range);
+  const { summary, attesters } = groupsByOperator(params) ? groupByOperator('slash', stats) : stats;
+  const labelled = attesters.map(a => ({ ...a, ...labelFields(a.address) }));
+  const { pagination, items } = paginate(labelled, params);
+
+  return { blockRange: describeRange('slash', range), token: loadCheckpoint('slash')?.token ?? null, summary, pagination, attesters: items };
+}
+
+function getPendingExits(params) {
+  const range = getBlockRange(params);
+  const { currentTimestamp, exitDelaySeconds, summary, pendingExits } = aggregateRange('exit', range);
+  const labelled = pendingExits.map(e => ({ ...e, ...labelFields(e.attester) }));
+  const { pagination, items } = paginate(labelled, params);
+
+  return { blockRange: describeRange('exit', range), token: loadCheckpoint('exit')?.token ?? null, currentTimestamp, exitDelaySeconds, summary, pagination, pendingExits: items };
+}
+
+function getAddress(address, params) {
+  const range = getBlockRange(params);
+  const profile = buildAddressProfile(address, {
+    proofs: aggregateRange('proofs', range),
+    slashes: aggregateRange('slash', range),
+    exits: aggregateRange('exit', range)
+  });
+
+  if (!profile.found) {
+    throw new HttpError(404, `No events found for address ${address}`);
+  }
+
+  return profile;
+}
+
+// Prometheus text exposition format
+function getMetrics() {
+  const proofs = aggregateRange('proofs', { fromBlock: 0, toBlock: Infinity });
+  const slashes = aggregateRange('slash', { fromBlock: 0, toBlock: Infinity });
+  const exits = aggregateRange('exit', { fromBlock: 0, toBlock: Infinity });
+  const lines = [];
+
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      const labelText = Object.entries(labels).map(([k, v]) => `${k}="${v}"`).join(',');
+      lines.push(labelText ? `${name}{${labelText}} ${value}` : `${name} ${value}`);
+    }
+  };
+
+  metric('aztec_proofs_total', 'counter', 'Total L2ProofVerified events indexed',
+    [[{}, proofs.summary.totalProofs]]);
+  metric('aztec_prover_proofs_total', 'counter', 'L2ProofVerified events per prover',
+    proofs.provers.map(p => [{ prover: p.address }, p.proofCount]));
+
+  metric('aztec_slashes_total', 'counter', 'Total Slashed events indexed',
+    [[{}, slashes.summary.totalSlashes]]);
+  metric('aztec_slashed_amount_tokens_total', 'counter', 'Total amount slashed in whole tokens of the staking asset',
+    [[{}, formatTokenUnits(slashes.summary.totalAmountSlashed, loadCheckpoint('slash')?.token)]]);
+  metric('aztec_attester_slashes_total', 'counter', 'Slashed events per attester',
+    slashes.attesters.map(a => [{ attester: a.address }, a.slashCount]));
+
+  metric('aztec_pending_exits', 'gauge', 'Withdrawals initiated but not finalized, by whether they can be finalized now',
+    [[{ status: 'finalizable' }, exits.summary.pendingCanFinalize], [{ status: 'waiting' }, exits.summary.pendingCannotFinalize]]);
+
+  metric('aztec_indexer_last_scanned_block', 'gauge', 'Last L1 block scanned by the indexer',
+    ['proofs', 'slash', 'exit']
+      .map(mode => [mode, loadCheckpoint(mode)])
+      .filter(([, checkpoint]) => checkpoint)
+      .map(([mode, checkpoint]) => [{ mode }, checkpoint.lastScannedBlock]));
+
+  return lines.join('\n') + '\n';
+}
+
+const ROUTES = [
+  [/^\/api\/provers$/, (match, params) => getProvers(params)],
+  [/^\/api\/provers\/([^/]+)\/blocks$/, (match, params) => getProverBlocks(parseAddress(match[1]), params)],
+  [/^\/api\/slashes$/, (match, params) => getSlashes(params)],
+  [/^\/api\/exits\/pending$/, (match, params) => getPendingExits(params)],
+  [/^\/api\/address\/([^/]+)$/, (match, params) => getAddress(parseAddress(match[1]), params)]
+];
+
+function handleRequest(req, res) {
+  const send = (status, body, contentType = 'application/json') => {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(contentType === 'application/json' ? JSON.stringify(body, null, 2) : body);
+  };
+
+  if (req.method !== 'GET') {
+    return send(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    // Parsed against a fixed base, as the Host header is up to the client.
+    // A path that still isn't a URL (e.g. "//a b") is a bad request.
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      throw new HttpError(400, 'Invalid request URL');
+    }
+
+    if (url.pathname === '/metrics') {
+      return send(200, getMetrics(), 'text/plain; version=0.0.4');
+    }
+
+    if (url.pathname === '/health') {
+      return send(200, { status: 'ok', network: NETWORK.name, displayName: NETWORK.displayName });
+    }
+
+    for (const [pattern, handler] of ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (match) {
+        return send(200, handler(match, url.searchParams));
+      }
+    }
+
+    send(404, { error: `Not found: ${url.pathname}` });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return send(error.status, { error: error.message });
+    }
+    console.error(`Error handling ${req.url}:`, error);
+    send(500, { error: 'Internal server error' });
+  }
+}
+
+const server = http.createServer(handleRequest);
+
+server.listen(API_PORT, API_HOST, () => {
+  console.log(`Stats API listening on http://${API_HOST}:${API_PORT}`);
+  console.log(`Network: ${NETWORK.displayName}${NETWORK.name ? ` (${NETWORK.name})` : ''}`);
+  console.log('Routes:');
+  console.log('  GET /api/provers                   Prover leaderboard');
+  console.log('  GET /api/provers/:address/blocks   L2 blocks proven by a prover');
+  console.log('  GET /api/slashes                   Slashed attesters');
+  console.log('  GET /api/exits/pending             Pending exits sorted by exitableAt');
+  console.log('  GET /api/address/:address          Proofs, slashes and exits for one address');
+  console.log('  GET /metrics                       Prometheus metrics');
+});
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+
+// Stats files written by the indexer, keyed by the mode names getStats.js uses
+export const STATS_FILES = {
+  prover: { filePrefix: 'prover-stats-', command: 'npm start' },
+  proposer: { filePrefix: 'proposer-stats-', command: 'npm run proposals' },
+  slash: { filePrefix: 'slash-stats-', command: 'npm run slash' },
+  exit: { filePrefix: 'exit-stats-', command: 'npm run exit' },
+  staking: { filePrefix: 'staking-stats-', command: 'npm run staking' }
+};
+
+export function readStatsFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Stats files saved in a data directory (see network.js)
+export function createStatsFiles(dataDir) {
+  // All stats files for a mode, newest first
+  function listStatsFiles(mode) {
+    const { filePrefix } = STATS_FILES[mode];
+
+    if (!fs.existsSync(dataDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dataDir)
+      .filter(f => f.startsWith(filePrefix) && f.endsWith('.json'))
+      .map(f => ({
+        name: f,
+        path: path.join(dataDir, f),
+        time: fs.statSync(path.join(dataDir, f)).mtime.getTime()
+      }))
+      .sort((a, b) => b.time - a.time);
+  }
+
+  // Newest stats for a mode, or null if the indexer hasn't produced any yet
+  function loadLatestStats(mode) {
+    const [latest] = listStatsFiles(mode);
+    return latest ? { file: latest.path, data: readStatsFile(latest.path) } : null;
+  }
+
+  // A stats file picked by file name or path, by date (the newest snapshot taken
+  // on or before it) or by L1 block (the newest snapshot that ends at or before
+  // it). Returns null if no snapshot matches.
+  function findStatsFile(mode, selector) {
+    if (/\.json$/.test(selector)) {
+      const file = fs.existsSync(selector) ? selector : path.join(dataDir, selector);
+      return fs.existsSync(file) ? { file, data: readStatsFile(file) } : null;
+    }
+
+    let matches;
+    if (/^\d+$/.test(selector)) {
+      const block = parseInt(selector);
+      matches = data => data.blockRange.to <= block;
+    } else {
+      // A plain date covers the whole day (UTC)
+      const time = /^\d{4}-\d{2}-\d{2}$/.test(selector)
+        ? Date.parse(`${selector}T23:59:59.999Z`)
+        : Date.parse(selector);
+      if (Number.isNaN(time)) {
+        throw new Error(`Cannot read "${selector}" as a stats file, date or block number`);
+      }
+      matches = data => Date.parse(data.scannedAt) <= time;
+    }
+
+    for (const { path: file } of listStatsFiles(mode)) {
+      const data = readStatsFile(file);
+      if (matches(data)) {
+        return { file, data };
+      }
+    }
+    return null;
+  }
+
+  return { dataDir, listStatsFiles, loadLatestStats, findStatsFile };
+}
@@ -0,0 +1,152 @@
+// Time series of proofs, block proposals, slashes, exits and staking events
+// bucketed by hour, day or week (UTC, weeks start on Monday). Built from the
+// per-event timestamps in a stats file, so the same code serves the saved
+// JSON and the getStats.js view.
+
+export const BUCKETS = {
+  hour: 3600,
+  day: 86400,
+  week: 7 * 86400
+};
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// Count field, amount field and sign of the stake change of each staking event
+const STAKING_FIELDS = {
+  Deposit: ['deposits', 'depositedAmount', 1n],
+  Slashed: ['slashes', 'slashedAmount', -1n],
+  WithdrawInitiated: ['withdrawals', 'withdrawnAmount', -1n]
+};
+
+export function bucketStart(timestamp, bucket) {
+  if (bucket === 'week') {
+    const dayStart = Math.floor(timestamp / BUCKETS.day) * BUCKETS.day;
+    const daysSinceMonday = (new Date(dayStart * 1000).getUTCDay() + 6) % 7;
+    return dayStart - daysSinceMonday * BUCKETS.day;
+  }
+  return Math.floor(timestamp / BUCKETS[bucket]) * BUCKETS[bucket];
+}
+
+// Events of a stats file as { timestamp, key, kind, amount } entries. key is
+// the prover, proposer or attester address, kind separates initiated and
+// finalized exits and the staking events. Proofs carry their cost when the
+// stats include proof costs.
+function getTimedEvents(mode, data) {
+  if (mode === 'staking') {
+    return data.attesters.flatMap(a => a.history.map(h => ({ timestamp: h.timestamp, key: h.attester ?? a.address, kind: h.event, amount: h.amount })));
+  } else if (mode === 'exit') {
+    return data.attesters.flatMap(a => [
+      ...a.initiated.map(e => ({ timestamp: e.timestamp, key: a.address, kind: 'initiated', amount: e.amount })),
+      ...a.finalized.map(e => ({ timestamp: e.timestamp, key: a.address, kind: 'finalized', amount: e.amount }))
+    ]);
+  } else if (mode === 'slash') {
+    return data.attesters.flatMap(a => a.slashes.map(s => ({ timestamp: s.timestamp, key: a.address, amount: s.amount })));
+  } else if (mode === 'proposer') {
+    return data.proposers.flatMap(p => p.blocks.map(b => ({ timestamp: b.timestamp, key: p.address })));
+  }
+  return data.provers.flatMap(p => p.blocks.map(b => ({ timestamp: b.timestamp, key: p.address, cost: b.cost })));
+}
+
+// Bucket the events of a stats file. Empty buckets between the first and last
+// event are included so quiet periods show up as zeros.
+export function buildTimeSeries(mode, data, bucket = 'day') {
+  if (!BUCKETS[bucket]) {
+    throw new Error(`Unknown bucket "${bucket}", expected one of: ${Object.keys(BUCKETS).join(', ')}`);
+  }
+
+  const allEvents = getTimedEvents(mode, data);
+  const events = allEvents.filter(e => e.timestamp !== undefined);
+  const series = [];
+  // Cost of the proofs of each bucket, from those whose receipt was fetched
+  const withCosts = mode === 'prover' && Boolean(data.summary.costs);
+
+  if (events.length > 0) {
+    const starts = events.map(e => bucketStart(e.timestamp, bucket));
+    const first = starts.reduce((min, t) => Math.min(min, t), Infinity);
+    const last = starts.reduce((max, t) => Math.max(max, t), -Infinity);
+    const index = new Map();
+
+    for (let start = first; start <= last; start += BUCKETS[bucket]) {
+      const entry = { start: new Date(start * 1000).toISOString(), timestamp: start };
+      if (mode === 'staking') {
+        Object.assign(entry, { deposits: 0, slashes: 0, withdrawals: 0, depositedAmount: 0n, slashedAmount: 0n, withdrawnAmount: 0n, stakeChange: 0n });
+      } else if (mode === 'exit') {
+        Object.assign(entry, { initiated: 0, finalized: 0, initiatedAmount: 0n, finalizedAmount: 0n });
+      } else if (mode === 'slash') {
+        Object.assign(entry, { count: 0, amount: 0n, byAttester: {} });
+      } else if (mode === 'proposer') {
+        Object.assign(entry, { count: 0, byProposer: {} });
+      } else {
+        Object.assign(entry, { count: 0, byProver: {} });
+        if (withCosts) {
+          Object.assign(entry, { proofsWithCost: 0, cost: 0n });
+        }
+      }
+      index.set(start, entry);
+      series.push(entry);
+    }
+
+    events.forEach((event, i) => {
+      const entry = index.get(starts[i]);
+      if (mode === 'staking') {
+        const [count, amount, sign] = STAKING_FIELDS[event.kind];
+        entry[count]++;
+        entry[amount] += BigInt(event.amount);
+        entry.stakeChange += sign * BigInt(event.amount);
+      } else if (mode === 'exit') {
+        entry[event.kind]++;
+        entry[`${event.kind}Amount`] += BigInt(event.amount);
+      } else if (mode === 'slash') {
+        entry.count++;
+        entry.amount += BigInt(event.amount);
+        entry.byAttester[event.key] = (entry.byAttester[event.key] || 0) + 1;
+      } else if (mode === 'proposer') {
+        entry.count++;
+        entry.byProposer[event.key] = (entry.byProposer[event.key] || 0) + 1;
+      } else {
+        entry.count++;
+        entry.byProver[event.key] = (entry.byProver[event.key] || 0) + 1;
+        if (withCosts && event.cost) {
+          entry.proofsWithCost++;
+          entry.cost += BigInt(event.cost.totalCost);
+        }
+      }
+    });
+
+    // Stake at the end of each bucket, counted from the start of the scanned
+    // range, so it leaves out deposits made before it
+    if (mode === 'staking') {
+      let stake = 0n;
+      for (const entry of series) {
+        stake += entry.stakeChange;
+        entry.stake = stake;
+      }
+    }
+
+    // Amounts are saved as wei strings like everywhere else
+    for (const entry of series) {
+      for (const field of ['amount', 'initiatedAmount', 'finalizedAmount', 'depositedAmount', 'slashedAmount', 'withdrawnAmount', 'stakeChange', 'stake', 'cost']) {
+        if (typeof entry[field] === 'bigint') {
+          entry[field] = entry[field].toString();
+        }
+      }
+    }
+  }
+
+  return {
+    bucket,
+    eventsWithoutTimestamp: allEvents.length - events.length,
+    series
+  };
+}
+
+// Unicode sparkline of a list of counts, scaled to the largest value
+export function sparkline(values) {
+  const max = values.reduce((m, v) => Math.max(m, v), 0);
+  return values.map(v => {
+    if (v === 0) {
+      return ' ';
+    }
+    return SPARK_CHARS[Math.min(Math.floor((v / max) * (SPARK_CHARS.length - 1)), SPARK_CHARS.length - 1)];
+  }).join('');
+}
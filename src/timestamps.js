@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { mapConcurrent } from './rpc.js';
+
+// Cache of L1 block timestamps shared by all modes, kept in the archive
+// directory. Timestamps never change for a canonical block, so each block is
+// fetched at most once; entries for reorged blocks are dropped by
+// forgetBlockTimestampsAfter. Up to `concurrency` blocks are fetched at once.
+// onProgress receives the indexer's progress events (see indexer.js).
+export function createTimestampCache(archiveDir, { concurrency = 10, onProgress = () => {} } = {}) {
+  const blockTimestampsFile = path.join(archiveDir, 'block-timestamps.json');
+  let cache = null;
+
+  function loadCache() {
+    if (!cache) {
+      cache = fs.existsSync(blockTimestampsFile)
+        ? JSON.parse(fs.readFileSync(blockTimestampsFile, 'utf-8'))
+        : {};
+    }
+    return cache;
+  }
+
+  function saveCache() {
+    if (!fs.existsSync(archiveDir)) {
+      fs.mkdirSync(archiveDir, { recursive: true });
+    }
+    fs.writeFileSync(blockTimestampsFile, JSON.stringify(cache));
+  }
+
+  // Resolve timestamps for the given block numbers, fetching only the ones not
+  // cached yet. Returns a { blockNumber: timestamp } map.
+  async function getBlockTimestamps(provider, blockNumbers) {
+    const timestamps = loadCache();
+    const missing = [...new Set(blockNumbers)].filter(bn => timestamps[bn] === undefined);
+
+    let fetched = 0;
+    await mapConcurrent(missing, concurrency, async bn => {
+      const block = await provider.getBlock(bn);
+      // A lagging endpoint may not have the block yet. Thrown from a chunk
+      // fetch, this is retried like any other failed query.
+      if (!block) {
+        throw new Error(`block ${bn} not found, the RPC endpoint may be behind the chain`);
+      }
+      timestamps[block.number] = block.timestamp;
+      if (++fetched % 50 === 0 && fetched < missing.length) {
+        onProgress({
+          type: 'timestamps',
+          level: 'info',
+          message: `  Fetched ${fetched}/${missing.length} block timestamps...`,
+          fetched,
+          total: missing.length
+        });
+      }
+    });
+
+    if (missing.length > 0) {
+      saveCache();
+    }
+
+    return Object.fromEntries(blockNumbers.map(bn => [bn, timestamps[bn]]));
+  }
+
+  // Set `timestamp` on archived event records from their L1 block
+  async function addBlockTimestamps(provider, records) {
+    const timestamps = await getBlockTimestamps(provider, records.map(r => r.ethBlockNumber));
+    for (const record of records) {
+      record.timestamp = timestamps[record.ethBlockNumber];
+    }
+  }
+
+  function forgetBlockTimestampsAfter(blockNumber) {
+    const timestamps = loadCache();
+    for (const bn of Object.keys(timestamps)) {
+      if (Number(bn) > blockNumber) {
+        delete timestamps[bn];
+      }
+    }
+    saveCache();
+  }
+
+  // Drop the timestamps held in memory, so the next lookup reads the file
+  // again after another process changed it (e.g. rolled back a reorg)
+  function reloadBlockTimestamps() {
+    cache = null;
+  }
+
+  return { getBlockTimestamps, addBlockTimestamps, forgetBlockTimestampsAfter, reloadBlockTimestamps };
+}
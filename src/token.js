@@ -0,0 +1,35 @@
+import { ethers } from 'ethers';
+import { ERC20_ABI } from './abi.js';
+import { ROLLUP_INTERFACE } from './rollups.js';
+
+// Staking token amounts. Deposits, slashes and withdrawals are in the rollup's
+// staking asset, whose symbol and decimals are read from the token contract
+// at scan time and saved with the stats as `token`. Stats files written
+// before that, or when the token couldn't be read, are shown as 18 decimal
+// amounts in ETH like they used to be.
+
+export const DEFAULT_TOKEN = { address: null, symbol: 'ETH', decimals: 18 };
+
+// { address, symbol, decimals } of a rollup's staking asset
+export async function readStakingToken(provider, rollupAddress) {
+  const rollup = new ethers.Contract(rollupAddress, ROLLUP_INTERFACE, provider);
+  const address = ethers.getAddress(await rollup.getStakingAsset());
+  const token = new ethers.Contract(address, ERC20_ABI, provider);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address, symbol, decimals: Number(decimals) };
+}
+
+// Amount in base units as a decimal string of whole tokens, e.g. "1.5"
+export function formatTokenUnits(amount, token) {
+  return ethers.formatUnits(amount, (token || DEFAULT_TOKEN).decimals);
+}
+
+// Amount in base units with the token symbol, e.g. "1.5 STK"
+export function formatTokenAmount(amount, token) {
+  return `${formatTokenUnits(amount, token)} ${(token || DEFAULT_TOKEN).symbol}`;
+}
+
+// Whole tokens (e.g. "100000" or "0.5") to base units
+export function parseTokenAmount(value, token) {
+  return ethers.parseUnits(String(value), (token || DEFAULT_TOKEN).decimals);
+}